@@ -3,113 +3,244 @@
 /**
  * Retools AI Driver
  *
- * Uses Claude API to apply AI-powered changes to a codebase.
+ * Uses an LLM (Claude by default) to apply AI-powered changes to a codebase.
  * This is a simplified version focused on PR generation (no deployment logic).
  */
 
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const { execSync } = require('child_process');
+const { createPathPolicy } = require('./lib/path-policy');
+const { applyPatch } = require('./lib/patch');
+const { createUnifiedDiff, diffStats } = require('./lib/diff');
+const { listGitFiles, walkWithIgnores } = require('./lib/ignore');
+const { analyzePrompt, rankFiles, packContext } = require('./lib/context-selector');
+const { LARGE_FILE_BYTES, createViewLog, headOf, regionView, spliceRegion, tokensForBytes } = require('./lib/regions');
+const { AGENT_INSTRUCTIONS, DEFAULT_MAX_TOTAL_TOKENS, TOOLS, runAgent } = require('./lib/agent');
+const { parseBuildErrors, collectErrorSlices, formatBuildErrorsForPrompt } = require('./lib/build-errors');
+const { createProvider, withRecording } = require('./lib/providers');
+const { SUBMIT_TOOL, requestModifications } = require('./lib/modifications');
+const { discoverWorkspace, isMonorepo, selectTargetPackage } = require('./lib/workspace');
+const { layoutFor, readProjectManifest } = require('./lib/ecosystems');
+const { extractDesignTokens, formatTokensForPrompt, hasTokens } = require('./lib/design-tokens');
+const { formatViolationsForPrompt, lintBranding } = require('./lib/branding-lint');
+const { formatSyntaxError, formatSyntaxErrorsForPrompt, validateSyntax } = require('./lib/syntax');
+const { createTranscript } = require('./lib/run-transcript');
+const { contextWindowFor, createBudget, estimateRequestTokens, usageReport, withBudget } = require('./lib/budget');
+const { createRedactor, isSecretFile, readEnvValues, scanChanges, withRedaction } = require('./lib/secrets');
+const { applyTransaction } = require('./lib/snapshot');
+const { changesPackageConfig, loadConfig } = require('./lib/config');
+const { matchAny } = require('./lib/glob');
+const { createGitHubClient } = require('./lib/github-api');
+const { repoPathOf } = require('./lib/job-payload');
+const {
+  DEFAULT_REVISION_PROMPT,
+  branchDiff,
+  fetchReviewComments,
+  findOriginalPrompt,
+  formatRevisionForPrompt,
+  lastReviewedAt,
+  loadReviewComments,
+  selectComments,
+} = require('./lib/revision');
 
 // Parse command line arguments
 const args = process.argv.slice(2);
-const promptIndex = args.indexOf('--prompt');
-const workingDirIndex = args.indexOf('--working-dir');
+
+function getArg(name) {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : null;
+}
+
+const workingDir = getArg('--working-dir');
 const fixMode = args.includes('--fix-mode');
+// Revision mode: follow-up edits on an existing AI branch from its review comments
+const revise = args.includes('--revise');
+const prompt = getArg('--prompt') || (revise ? DEFAULT_REVISION_PROMPT : null);
+const dryRun = args.includes('--dry-run');
+const agentMode = args.includes('--agent') || process.env.RETOOLS_AGENT_MODE === 'true';
+const runMode = fixMode ? 'fix' : revise ? 'revise' : 'customize';
+
+if (!prompt || !workingDir || (fixMode && revise)) {
+  console.error('Usage: ai-driver.js --prompt "..." --working-dir /path/to/repo [--fix-mode] [--protected-paths "glob,glob"] [--dry-run] [--manifest manifest.json] [--agent [--max-turns n] [--max-agent-tokens n]] [--build-log build.log] [--context-budget tokens] [--package name|dir] [--branding-fix] [--budget-tokens n] [--budget-usd n] [--budget-file path] [--provider anthropic|openai|replay] [--model name] [--replay-fixtures path] [--record-dir dir]');
+  console.error('       ai-driver.js --revise --working-dir /path/to/branch-checkout [--prompt "follow-up"] [--base ref] [--review-comments comments.json | --pull-request n] [options above except --fix-mode]');
+  process.exit(1);
+}
 
-if (promptIndex === -1 || workingDirIndex === -1) {
-  console.error('Usage: ai-driver.js --prompt "..." --working-dir /path/to/repo [--fix-mode]');
+// The repository's .retools.json; flags and RETOOLS_* variables override it
+let config;
+try {
+  config = loadConfig(path.resolve(workingDir));
+} catch (error) {
+  console.error(`❌ ${error.message}`);
   process.exit(1);
 }
 
-const prompt = args[promptIndex + 1];
-const workingDir = args[workingDirIndex + 1];
+/**
+ * A count from its flag, else its RETOOLS_* variable, else the config
+ * (already schema-checked), else `fallback`. Anything but a positive
+ * integer is refused rather than parsed to NaN, which would lift the limit.
+ */
+function positiveIntegerOption(flag, envName, configured, fallback) {
+  const [source, raw] = getArg(flag) ? [flag, getArg(flag)]
+    : envName && process.env[envName] ? [envName, process.env[envName]]
+      : [null, configured ?? fallback];
+  if (!/^\d+$/.test(String(raw).trim()) || parseInt(raw, 10) < 1) {
+    console.error(`❌ ${source} must be a positive integer, got "${raw}"`);
+    process.exit(1);
+  }
+  return parseInt(raw, 10);
+}
 
-if (!process.env.ANTHROPIC_API_KEY) {
-  console.error('❌ ANTHROPIC_API_KEY environment variable not set');
+const extraProtectedPaths = [
+  ...(getArg('--protected-paths') || '').split(','),
+  ...(process.env.RETOOLS_PROTECTED_PATHS || '').split(','),
+  ...config.protectedPaths,
+].map((p) => p.trim()).filter(Boolean);
+const maxTurns = positiveIntegerOption('--max-turns', 'RETOOLS_AGENT_MAX_TURNS', config.limits.maxTurns, 25);
+const maxAgentTokens = positiveIntegerOption('--max-agent-tokens', 'RETOOLS_AGENT_MAX_TOKENS', config.limits.maxAgentTokens, DEFAULT_MAX_TOTAL_TOKENS);
+const buildLogPath = getArg('--build-log') ? path.resolve(getArg('--build-log')) : null;
+// Dry runs always produce a manifest; kept outside the repo so it is never committed
+const manifestPath = getArg('--manifest')
+  ? path.resolve(getArg('--manifest'))
+  : dryRun ? path.join(os.tmpdir(), 'retools-manifest.json') : null;
+const contextBudget = positiveIntegerOption('--context-budget', 'RETOOLS_CONTEXT_BUDGET', config.limits.contextBudget, 40000);
+const packageOverride = getArg('--package') || process.env.RETOOLS_PACKAGE || null;
+const brandingFix = args.includes('--branding-fix') || process.env.RETOOLS_BRANDING_FIX === 'true';
+const revisionBase = getArg('--base');
+const reviewCommentsPath = getArg('--review-comments') ? path.resolve(getArg('--review-comments')) : null;
+const pullRequestNumber = getArg('--pull-request') ? positiveIntegerOption('--pull-request', null, null, null) : null;
+
+let provider;
+try {
+  provider = createProvider({
+    name: getArg('--provider'),
+    model: getArg('--model') || process.env.RETOOLS_MODEL || config.model || undefined,
+    fixtures: getArg('--replay-fixtures') ? path.resolve(getArg('--replay-fixtures')) : undefined,
+    recordDir: getArg('--record-dir') ? path.resolve(getArg('--record-dir')) : undefined,
+  });
+} catch (error) {
+  console.error(`❌ ${error.message}`);
   process.exit(1);
 }
 
+// Spend is tracked across every driver run of the job (initial + fix runs)
+const budget = createBudget({
+  file: getArg('--budget-file') ? path.resolve(getArg('--budget-file')) : undefined,
+  maxTokens: getArg('--budget-tokens') ?? undefined,
+  maxCostUsd: getArg('--budget-usd') ?? undefined,
+});
+provider = withBudget(provider, budget, { run: runMode });
+
+// Secrets found in anything sent to the model (wrapped around the provider in main)
+const redactor = createRedactor();
+
+// Record of this run under .retools-run/ (set up in main)
+let transcript = null;
+
+// What the model was shown of each file, for region edits and the rewrite guard
+const views = createViewLog();
+// Prompt keywords that pick the regions of large files read for branding (set in buildContext)
+let regionTerms = { keywords: [], identifiers: [] };
+
 console.log('🤖 Retools AI Driver');
 console.log('📁 Working directory:', workingDir);
+if (config.source) console.log(`⚙️  Config: ${config.source}`);
+console.log(`🧠 Provider: ${provider.name} (${provider.model})`);
 console.log('🔧 Fix mode:', fixMode ? 'ENABLED (fixing build errors)' : 'DISABLED (initial changes)');
+if (revise) console.log('🔁 Revision mode: ENABLED (follow-up edits from review comments)');
+if (dryRun) console.log('📋 Dry run: ENABLED (no files will be written)');
+if (agentMode) console.log(`🕵️  Agent mode: ENABLED (up to ${maxTurns} turns, ${maxAgentTokens} tokens)`);
 console.log('💬 Prompt:', prompt.substring(0, 100) + '...');
 
 // Change to working directory
 process.chdir(workingDir);
 
+const SOURCE_EXTENSIONS = [
+  '.js',
+  '.ts',
+  '.jsx',
+  '.tsx',
+  '.py',
+  '.rb',
+  '.go',
+  '.rs',
+  '.java',
+  '.svelte',
+  '.vue',
+  '.css',
+  '.scss',
+  '.html',
+  // Server-side templates (ERB/Haml/Slim, Jinja, Go, Tera/Handlebars)
+  '.erb',
+  '.haml',
+  '.slim',
+  '.jinja',
+  '.jinja2',
+  '.j2',
+  '.tmpl',
+  '.gohtml',
+  '.tera',
+  '.hbs',
+  '.json',
+  '.md',
+];
+
+const MAX_SCANNED_FILES = config.limits.maxScannedFiles || 5000; // Safety valve for enormous repos
+const SYNTAX_REPAIR_ROUNDS = config.limits.syntaxRepairRounds ?? 2; // Rounds a file that does not parse goes back to the model
+
 /**
  * Scan the repository to build context
+ *
+ * Honours .gitignore (via git when available) with no depth cutoff; the
+ * ranking step decides which of these files the model actually sees.
+ * `files.include` / `files.exclude` / `files.extensions` in the config
+ * narrow or widen the scan; configured branding files are always kept.
  */
 function scanRepository() {
   console.log('\n📊 Scanning repository...');
 
-  const files = [];
-  const maxFiles = 50; // Limit to avoid token overflow
-
-  function scanDir(dir, depth = 0) {
-    if (depth > 3) return; // Limit depth
-
-    const entries = fs.readdirSync(dir, { withFileTypes: true });
-
-    for (const entry of entries) {
-      const fullPath = path.join(dir, entry.name);
-      const relativePath = path.relative(workingDir, fullPath);
-
-      // Skip common ignore patterns
-      if (
-        entry.name.startsWith('.') ||
-        entry.name === 'node_modules' ||
-        entry.name === 'dist' ||
-        entry.name === 'build' ||
-        entry.name === '__pycache__'
-      ) {
-        continue;
-      }
-
-      if (entry.isDirectory()) {
-        scanDir(fullPath, depth + 1);
-      } else if (entry.isFile() && files.length < maxFiles) {
-        // Only include source files
-        const ext = path.extname(entry.name);
-        if (
-          [
-            '.js',
-            '.ts',
-            '.jsx',
-            '.tsx',
-            '.py',
-            '.rb',
-            '.go',
-            '.rs',
-            '.java',
-            '.svelte',
-            '.vue',
-            '.css',
-            '.html',
-            '.json',
-            '.md',
-          ].includes(ext)
-        ) {
-          files.push(relativePath);
-        }
-      }
-    }
-  }
-
-  scanDir(workingDir);
+  // Skip common ignore patterns even when they are not gitignored
+  const shouldSkip = (name) =>
+    name.startsWith('.') ||
+    name === 'node_modules' ||
+    name === 'dist' ||
+    name === 'build' ||
+    name === '__pycache__' ||
+    name === 'venv' ||
+    name === 'vendor' ||
+    name === 'target';
+
+  const candidates = listGitFiles(workingDir) || walkWithIgnores(workingDir, shouldSkip);
+
+  const extensions = [...SOURCE_EXTENSIONS, ...config.files.extensions];
+  const { include, exclude } = config.files;
+  const sources = candidates
+    .filter((f) => !f.split('/').some(shouldSkip))
+    .filter((f) => matchAny(f, config.branding.files) || (
+      extensions.includes(path.extname(f)) &&
+      (!include.length || matchAny(f, include)) &&
+      !matchAny(f, exclude)
+    ));
+
+  // Credentials files are never read into the prompt
+  const withheld = sources.filter(isSecretFile);
+  const files = sources.filter((f) => !isSecretFile(f)).slice(0, MAX_SCANNED_FILES);
 
   console.log(`✅ Found ${files.length} source files`);
+  if (withheld.length) console.log(`🔐 Withheld ${withheld.length} secret file(s): ${withheld.join(', ')}`);
   return files;
 }
 
 /**
- * Read a file safely, returning empty string if it doesn't exist or is too large
+ * Read at most the first `maxBytes` of a file, returning empty string if it
+ * doesn't exist. Returns `{ content, truncated }`.
  */
-function safeReadFile(filePath, maxBytes = 8000) {
+function readHead(filePath, maxBytes) {
   try {
     const fullPath = path.isAbsolute(filePath) ? filePath : path.join(workingDir, filePath);
-    if (!fs.existsSync(fullPath)) return '';
+    if (!fs.existsSync(fullPath)) return { content: '', truncated: false };
     const stat = fs.statSync(fullPath);
     if (stat.size > maxBytes) {
       // Read only the first maxBytes
@@ -117,12 +248,32 @@ function safeReadFile(filePath, maxBytes = 8000) {
       const fd = fs.openSync(fullPath, 'r');
       fs.readSync(fd, buf, 0, maxBytes, 0);
       fs.closeSync(fd);
-      return buf.toString('utf-8') + '\n... [truncated]';
+      return { content: buf.toString('utf-8'), truncated: true };
     }
-    return fs.readFileSync(fullPath, 'utf-8');
+    return { content: fs.readFileSync(fullPath, 'utf-8'), truncated: false };
   } catch {
-    return '';
+    return { content: '', truncated: false };
+  }
+}
+
+/**
+ * Read a file for the prompt, returning empty string if it doesn't exist.
+ * A file over `maxBytes` is shown by region (those matching the prompt
+ * first) and logged as seen only in part.
+ */
+function safeReadFile(filePath, maxBytes = LARGE_FILE_BYTES) {
+  const head = readHead(filePath, maxBytes);
+  if (!head.truncated) return head.content;
+
+  const relative = (path.isAbsolute(filePath) ? path.relative(workingDir, filePath) : filePath).split(path.sep).join('/');
+  const full = readHead(filePath, maxBytes * 64);
+  const view = full.truncated ? null : regionView(relative, full.content, regionTerms, tokensForBytes(maxBytes));
+  if (!view) {
+    views.partial(relative);
+    return headOf(head.content, maxBytes);
   }
+  views.partial(relative, { source: full.content, regions: view.regions });
+  return view.content;
 }
 
 /**
@@ -138,31 +289,53 @@ function findFiles(fileList, patterns) {
 
 /**
  * Extract branding context — README, styles, config, layouts, key components
+ *
+ * In a workspace, `packageDir` scopes the search to the target package;
+ * README, Tailwind config and global CSS fall back to shared files outside
+ * the other packages listed in `siblingDirs`. For Python, Ruby, Go and Rust
+ * projects (`ecosystem`) their templates and static CSS are searched too.
+ * Stylesheets, layouts and nav files named in the config's `branding`
+ * section are tried before the built-in patterns.
  */
-function extractBrandingContext(files) {
-  console.log('🎨 Extracting branding & style context...');
+function extractBrandingContext(files, { packageDir = '', siblingDirs = [], ecosystem = 'node' } = {}) {
+  console.log(`🎨 Extracting branding & style context${packageDir ? ` from ${packageDir}` : ''}...`);
 
   const branding = {};
+  const scoped = packageDir ? files.filter((f) => f.startsWith(`${packageDir}/`)) : files;
+  const inPackage = (f) => (packageDir ? f.slice(packageDir.length + 1) : f);
+  const layout = layoutFor(ecosystem);
+  const findLayoutFiles = (fileList, kind) => (layout ? fileList.filter((f) => layout[kind].test(inPackage(f))) : []);
+  const isShared = (f) => !siblingDirs.some((dir) => f.startsWith(`${dir}/`));
+  const configured = (kind) => files.filter((f) => matchAny(f, config.branding[kind]));
+  const preferScoped = (matches) => [
+    ...matches.filter((f) => scoped.includes(f)),
+    ...matches.filter((f) => !scoped.includes(f) && isShared(f)),
+  ];
 
   // 1. README — project name, purpose, identity
   const readmePatterns = ['README.md', 'readme.md', 'Readme.md'];
-  for (const p of readmePatterns) {
+  const readmeCandidates = packageDir
+    ? [...readmePatterns.map((p) => path.posix.join(packageDir, p)), ...readmePatterns]
+    : readmePatterns;
+  for (const p of readmeCandidates) {
     const content = safeReadFile(p, 4000);
     if (content) {
       branding.readme = content;
-      console.log('  📄 Found README.md');
+      console.log(`  📄 Found ${p}`);
       break;
     }
   }
 
   // 2. Tailwind config — color palette, fonts, theme
-  const tailwindMatches = findFiles(files, [
+  const tailwindMatches = preferScoped(findFiles(files, [
     'tailwind.config.js', 'tailwind.config.ts', 'tailwind.config.mjs', 'tailwind.config.cjs',
-  ]);
+  ]));
+  let tailwindSource = '';
   for (const f of tailwindMatches) {
     const content = safeReadFile(f);
     if (content) {
       branding.tailwindConfig = content;
+      tailwindSource = readHead(f, 64000).content;
       console.log(`  🎨 Found tailwind config: ${f}`);
       break;
     }
@@ -174,16 +347,28 @@ function extractBrandingContext(files) {
     'styles/globals.css', 'styles/global.css', 'src/app.css', 'src/index.css',
     'src/styles/globals.css', 'app/globals.css', 'app/layout.css',
   ];
-  const cssMatches = findFiles(files, cssPatterns);
+  const cssMatches = [
+    ...configured('stylesheets'),
+    ...preferScoped([...findFiles(files, cssPatterns), ...findLayoutFiles(files, 'stylesheets')]),
+  ];
+  let cssSource = '';
   for (const f of cssMatches) {
     const content = safeReadFile(f);
     if (content) {
       branding.globalCSS = content;
+      cssSource = readHead(f, 64000).content;
       console.log(`  🎨 Found global CSS: ${f}`);
       break;
     }
   }
 
+  // Structured palette, fonts, spacing and radii from the two sources above
+  const tokens = extractDesignTokens({ tailwindConfig: tailwindSource, globalCSS: cssSource });
+  if (hasTokens(tokens)) {
+    branding.tokens = tokens;
+    console.log(`  🎨 Parsed design tokens: ${Object.keys(tokens.colors).length} colors, ${Object.keys(tokens.fonts).length} fonts, ${Object.keys(tokens.spacing).length} spacing, ${Object.keys(tokens.radii).length} radii`);
+  }
+
   // 4. Layout files — app shell, navbar, header, footer
   const layoutPatterns = [
     '+layout.svelte', 'layout.svelte',
@@ -191,7 +376,7 @@ function extractBrandingContext(files) {
     '_app.tsx', '_app.jsx', '_app.js',
     'App.vue', 'App.svelte', 'App.tsx', 'App.jsx',
   ];
-  const layoutMatches = findFiles(files, layoutPatterns);
+  const layoutMatches = [...new Set([...configured('layouts'), ...findLayoutFiles(scoped, 'layouts'), ...findFiles(scoped, layoutPatterns)])];
   const layoutContents = [];
   for (const f of layoutMatches.slice(0, 2)) {
     const content = safeReadFile(f, 6000);
@@ -207,7 +392,7 @@ function extractBrandingContext(files) {
     'Navbar', 'navbar', 'Header', 'header', 'Nav.', 'nav.',
     'TopBar', 'topbar', 'AppBar', 'appbar', 'SiteHeader', 'Navigation',
   ];
-  const navMatches = findFiles(files, navPatterns);
+  const navMatches = [...new Set([...configured('nav'), ...findFiles(scoped, navPatterns)])];
   const navContents = [];
   for (const f of navMatches.slice(0, 2)) {
     const content = safeReadFile(f, 4000);
@@ -223,10 +408,12 @@ function extractBrandingContext(files) {
     '+page.svelte', 'page.tsx', 'page.jsx', 'page.js',
     'index.tsx', 'index.jsx', 'index.svelte', 'Home.tsx', 'Home.jsx',
   ];
-  // Only grab root-level pages, not nested routes
-  const homeMatches = findFiles(files, homePatterns).filter(
-    (f) => f.split('/').length <= 3
-  );
+  // Only grab root-level pages, not nested routes; template homepages are
+  // matched by their conventional location instead
+  const homeMatches = [
+    ...findLayoutFiles(scoped, 'homepages'),
+    ...findFiles(scoped, homePatterns).filter((f) => inPackage(f).split('/').length <= 3),
+  ];
   for (const f of homeMatches.slice(0, 1)) {
     const content = safeReadFile(f, 6000);
     if (content) {
@@ -235,53 +422,239 @@ function extractBrandingContext(files) {
     }
   }
 
-  // 7. package.json name field for project identity
-  if (fs.existsSync('package.json')) {
+  // 7. Manifest name and description for project identity — package.json,
+  // or pyproject.toml / Cargo.toml / go.mod / the Rails app module
+  const pkgPath = path.join(packageDir, 'package.json');
+  const project = ecosystem !== 'node' ? readProjectManifest(path.join(workingDir, packageDir)) : null;
+  if (project) {
+    if (project.name) branding.projectName = project.name;
+    if (project.description) branding.projectDescription = project.description;
+  } else if (fs.existsSync(pkgPath)) {
     try {
-      const pkg = JSON.parse(fs.readFileSync('package.json', 'utf-8'));
+      const pkg = JSON.parse(fs.readFileSync(pkgPath, 'utf-8'));
       if (pkg.name) branding.projectName = pkg.name;
       if (pkg.description) branding.projectDescription = pkg.description;
     } catch {}
   }
 
+  // 8. Brand guides and theme files named in the config
+  const brandFiles = [];
+  for (const f of configured('files').slice(0, 4)) {
+    const content = safeReadFile(f, 6000);
+    if (content) {
+      brandFiles.push({ path: f, content });
+      console.log(`  📘 Found brand file: ${f}`);
+    }
+  }
+  if (brandFiles.length) branding.brandFiles = brandFiles;
+
   const foundItems = Object.keys(branding).length;
   console.log(`  ✅ Extracted ${foundItems} branding context items`);
   return branding;
 }
 
 /**
- * Build context for Claude
+ * Parse the failing build log (fix mode) into structured errors plus the
+ * source around each one
+ */
+function loadBuildErrors() {
+  if (!buildLogPath || !fs.existsSync(buildLogPath)) return null;
+
+  console.log('🧯 Parsing build errors...');
+  const errors = parseBuildErrors(fs.readFileSync(buildLogPath, 'utf-8'), workingDir);
+  const slices = collectErrorSlices(errors, workingDir);
+  for (const error of errors) {
+    console.log(`  ❗ ${error.file}${error.line ? `:${error.line}` : ''} [${error.tool}${error.code ? ` ${error.code}` : ''}] ${error.message.slice(0, 120)}`);
+  }
+  console.log(`  ✅ ${errors.length} error(s) across ${slices.length} file(s)`);
+  return { errors, slices };
+}
+
+function gitOutput(command) {
+  try {
+    return execSync(command, { cwd: workingDir, encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * What a revision works from: the original prompt, the review comments
+ * (from --review-comments, or the pull request API with --pull-request)
+ * and the branch's diff against its base. Returns `{ base, originalPrompt,
+ * comments, diff }`.
+ */
+async function loadRevision() {
+  console.log('\n🔁 Loading revision context...');
+  let base = revisionBase;
+  let originalPrompt = null;
+  let prBody = null;
+  let comments = [];
+
+  if (reviewCommentsPath) {
+    ({ originalPrompt, comments } = loadReviewComments(reviewCommentsPath));
+    console.log(`  💬 ${comments.length} review comment(s) from ${reviewCommentsPath}`);
+  } else if (pullRequestNumber) {
+    const repoPath = repoPathOf(gitOutput('git remote get-url origin') || '');
+    const client = createGitHubClient({ token: process.env.GITHUB_TOKEN });
+    const pr = await client.getPullRequest(repoPath, pullRequestNumber);
+    if (!pr || !pr.number) throw new Error(`Pull request #${pullRequestNumber} not found in ${repoPath}`);
+    prBody = pr.body || null;
+    base = base || `origin/${pr.base.ref}`;
+    // Comments the last revision read were handled by it
+    const raw = await fetchReviewComments(client, repoPath, pr.number);
+    const since = lastReviewedAt(raw);
+    comments = selectComments(raw, { since });
+    console.log(`  💬 ${comments.length} review comment(s) on ${repoPath}#${pr.number}${since ? ` since the last revision (${since})` : ''}`);
+  }
+
+  base = base || gitOutput('git symbolic-ref --short refs/remotes/origin/HEAD');
+  if (!base) throw new Error('Cannot tell which branch the changes are based on; pass --base');
+  if (!comments.length && prompt === DEFAULT_REVISION_PROMPT) {
+    throw new Error('Nothing to revise: no review comments and no --prompt with follow-up instructions');
+  }
+
+  originalPrompt = originalPrompt || findOriginalPrompt(workingDir, base, prBody);
+  const diff = branchDiff(workingDir, base);
+  console.log(`  🧾 Original prompt: ${originalPrompt ? originalPrompt.split('\n')[0].slice(0, 80) : 'not recorded on the branch'}`);
+  console.log(`  🔀 Diff against ${base}: ${diff.stat ? diff.stat.split('\n').pop().trim() : 'no changes'}${diff.truncated ? ' (truncated for the prompt)' : ''}`);
+  return { base, originalPrompt, comments, diff };
+}
+
+/**
+ * Build context for Claude. `taskPrompt` is what the files are ranked
+ * against (the revision prompt in revision mode).
  */
-function buildContext(files) {
+function buildContext(files, taskPrompt = prompt) {
   const context = {
-    files: files.slice(0, 30),
+    files: files.slice(0, 300),
     structure: {},
   };
 
-  // Detect framework
-  if (fs.existsSync('package.json')) {
-    const pkg = JSON.parse(fs.readFileSync('package.json', 'utf-8'));
-    context.framework = detectFramework(pkg);
-    context.dependencies = Object.keys(pkg.dependencies || {});
+  // Rank files against the prompt; the ranking also tells us which
+  // workspace package the prompt is about
+  const ranked = rankFiles(workingDir, files, taskPrompt);
+  regionTerms = analyzePrompt(taskPrompt);
+
+  // Detect framework — per package in a workspace
+  const workspace = discoverWorkspace(workingDir, files);
+  const { package: target, reasons } = selectTargetPackage(workspace, taskPrompt, ranked, packageOverride);
+  if (isMonorepo(workspace)) {
+    console.log(`📦 ${workspace.type} workspace with ${workspace.packages.length - 1} package(s); target: ${target ? `${target.name || target.dir || 'root'} (${target.dir || '.'})` : 'none'} — ${reasons.join(', ')}`);
+    context.workspace = {
+      type: workspace.type,
+      packages: workspace.packages.filter((pkg) => pkg.dir).map((pkg) => ({ name: pkg.name, dir: pkg.dir, framework: pkg.framework })),
+    };
+  }
+  if (target) {
+    context.framework = target.framework;
+    context.dependencies = target.dependencies;
+    context.manifest = target.manifest;
+    if (target.language) context.language = target.language;
+    context.targetPackage = { name: target.name, dir: target.dir, framework: target.framework, buildCommand: target.buildCommand };
+    if (target.ecosystem !== 'node') console.log(`🧩 ${target.language} project (${target.manifest}); framework: ${target.framework}`);
   }
 
   // Extract branding context — the critical missing piece
-  context.branding = extractBrandingContext(files);
+  context.branding = extractBrandingContext(files, {
+    packageDir: target ? target.dir : '',
+    siblingDirs: workspace.packages.filter((pkg) => pkg.dir && pkg !== target).map((pkg) => pkg.dir),
+    ecosystem: target ? target.ecosystem : 'node',
+  });
+
+  // Pack the most relevant contents
+  // Files attached by the build-error parser are already in the prompt
+  context.buildErrors = loadBuildErrors();
+  console.log(`🔎 Selecting relevant files (budget: ${contextBudget} tokens)...`);
+  const attached = new Set((context.buildErrors?.slices || []).map((slice) => slice.path));
+  const packed = packContext(workingDir, ranked.filter((entry) => !attached.has(entry.path)), contextBudget, { prompt: taskPrompt });
+  context.selectedFiles = packed.selected;
+  for (const file of packed.selected) {
+    file.content = redactor.redact(file.content, file.path);
+    const shown = file.regions ? `, ${file.regions.filter((r) => r.shown).length}/${file.regions.length} regions` : file.truncated ? ', truncated' : '';
+    console.log(`  📎 ${file.path} (${file.tokens} tokens${shown}) — ${file.reasons.join(', ') || 'fill'}`);
+  }
+  console.log(`  ✅ Packed ${packed.selected.length} files into ${packed.usedTokens} tokens`);
 
   return context;
 }
 
-function detectFramework(pkg) {
-  const deps = { ...pkg.dependencies, ...pkg.devDependencies };
+/**
+ * Log what the final prompt shows of each file: whole, by region or cut
+ * off. Runs after fitContext, so files it dropped do not count as seen.
+ */
+function recordViews(context) {
+  // Branding files safeReadFile did not log as cut off were shown whole
+  const { layouts = [], navComponents = [], homepage, brandFiles = [] } = context.branding;
+  for (const file of [...layouts, ...navComponents, ...(homepage ? [homepage] : []), ...brandFiles]) {
+    if (!views.get(file.path)) views.full(file.path);
+  }
+
+  for (const file of context.selectedFiles) {
+    if (!file.truncated) views.full(file.path);
+    else if (file.regions) views.partial(file.path, { source: fs.readFileSync(path.join(workingDir, file.path), 'utf-8'), regions: file.regions });
+    else views.partial(file.path);
+  }
+
+  for (const slice of context.buildErrors?.slices || []) {
+    if (slice.whole) views.full(slice.path);
+    else views.partial(slice.path);
+  }
+}
+
+/**
+ * Format the selected file contents for the prompt
+ */
+function formatSelectedFilesForPrompt(selectedFiles) {
+  if (!selectedFiles || selectedFiles.length === 0) return '';
+
+  const sections = selectedFiles.map((file) => `## ${file.path}${file.regions ? ' (large file, shown by region)' : file.truncated ? ' (truncated)' : ''}
+\`\`\`
+${file.content}
+\`\`\``);
+
+  return `
+
+═══════════════════════════════════════════════════════
+RELEVANT FILE CONTENTS (current state on disk)
+═══════════════════════════════════════════════════════
+
+${sections.join('\n\n')}
+`;
+}
+
+/**
+ * Workspace lines for the prompt's context block ('' outside a monorepo)
+ */
+function formatWorkspaceForPrompt(context) {
+  if (!context.workspace) return '';
+
+  const target = context.targetPackage;
+  const others = context.workspace.packages
+    .filter((pkg) => !target || pkg.dir !== target.dir)
+    .map((pkg) => `${pkg.name || pkg.dir} (${pkg.dir}, ${pkg.framework})`);
+
+  return `
+- Workspace: ${context.workspace.type} monorepo${target && target.dir ? `; target package ${target.name || target.dir} in ${target.dir}/ — keep changes inside it unless the request needs a shared package` : ''}
+- Other packages: ${others.join(', ') || 'None'}`;
+}
+
+/**
+ * The repository's own style rules from its config ('' when it has none)
+ */
+function formatStyleRulesForPrompt(rules) {
+  if (!rules.length) return '';
+
+  return `
+
+═══════════════════════════════════════════════════════
+PROJECT STYLE RULES (from ${config.source})
+═══════════════════════════════════════════════════════
 
-  if (deps['next']) return 'Next.js';
-  if (deps['react']) return 'React';
-  if (deps['vue']) return 'Vue';
-  if (deps['svelte']) return 'Svelte';
-  if (deps['@angular/core']) return 'Angular';
-  if (deps['express']) return 'Express';
+The maintainers of this repository require the following. They take precedence over general conventions:
 
-  return 'Unknown';
+${rules.map((rule, i) => `${i + 1}. ${rule}`).join('\n')}
+`;
 }
 
 /**
@@ -307,8 +680,16 @@ ${branding.readme}
 \`\`\``);
   }
 
+  // Design tokens replace the raw config/CSS once they hold the palette;
+  // spacing or radii alone would leave the model without the brand colors
+  const hasPalette = Boolean(branding.tokens && Object.keys(branding.tokens.colors).length);
+  if (branding.tokens) {
+    sections.push(`## Design Tokens (from ${branding.tokens.sources.join(' + ')})
+${formatTokensForPrompt(branding.tokens)}`);
+  }
+
   // Tailwind config
-  if (branding.tailwindConfig) {
+  if (branding.tailwindConfig && !hasPalette) {
     sections.push(`## Tailwind Config (Color Palette & Theme)
 \`\`\`
 ${branding.tailwindConfig}
@@ -316,7 +697,7 @@ ${branding.tailwindConfig}
   }
 
   // Global CSS
-  if (branding.globalCSS) {
+  if (branding.globalCSS && !hasPalette) {
     sections.push(`## Global CSS (Base Styles & Variables)
 \`\`\`css
 ${branding.globalCSS}
@@ -351,16 +732,52 @@ ${branding.homepage.content}
 \`\`\``);
   }
 
+  // Brand files from the config
+  for (const file of branding.brandFiles || []) {
+    sections.push(`## Brand Reference: ${file.path}
+\`\`\`
+${file.content}
+\`\`\``);
+  }
+
   return sections.join('\n\n');
 }
 
+const MODIFICATION_FORMAT = `Submit your changes by calling the submit_modifications tool with a "modifications" array. Each entry is one of:
+
+1. Edit an existing file with search/replace blocks (PREFERRED for existing files — only send what changes):
+  {
+    "path": "relative/path/to/file.js",
+    "action": "patch",
+    "edits": [
+      { "search": "exact lines currently in the file", "replace": "the lines that replace them" }
+    ]
+  }
+  Each "search" block must match the current file exactly once; include a few surrounding lines to make it unique. Edits are applied in order.
+
+2. Edit an existing file with a unified diff (alternative to "edits"):
+  { "path": "relative/path/to/file.js", "action": "patch", "diff": "@@ -12,3 +12,4 @@\\n context\\n-old line\\n+new line\\n context" }
+
+3. Create a new file, or fully rewrite a small one you were shown in full:
+  { "path": "relative/path/to/file.js", "action": "create" | "modify", "content": "full file content" }
+
+4. Delete a file:
+  { "path": "relative/path/to/file.js", "action": "delete" }
+
+5. Replace one region of a large file shown by region (its text is spliced back into the rest of the file):
+  { "path": "relative/path/to/file.js", "action": "region", "region": "R3", "content": "new text of the whole region" }
+  Only regions whose text was shown can be replaced. Large files were shown in part, so "modify" or "create" for them is rejected — use "patch" or "region".
+
+Entries are validated strictly: no extra fields, "content" only for create/modify/region, "region" only for region, "edits" or "diff" (not both) only for patch. For large change sets, split the submission into several calls with "complete": false and set "complete": true on the last one.`;
+
 /**
- * Call Claude API to generate changes
+ * Build the system prompt. `outputInstructions` describes how the model
+ * hands back its modifications (submit_modifications, or tool calls in agent mode).
  */
-async function callClaude(prompt, context, isFixMode = false) {
-  console.log('\n🤖 Calling Claude API...');
-
+function buildSystemPrompt(context, isFixMode = false, outputInstructions = MODIFICATION_FORMAT) {
   const brandingText = formatBrandingForPrompt(context.branding);
+  const selectedFilesText = formatSelectedFilesForPrompt(context.selectedFiles);
+  const styleRulesText = formatStyleRulesForPrompt(config.styleRules);
   const hasBranding = brandingText.length > 0;
 
   const brandingInstructions = hasBranding
@@ -378,15 +795,15 @@ BRANDING PRESERVATION RULES (MANDATORY)
 
 You MUST follow these rules when generating code:
 
-1. **USE THE PROJECT'S REAL NAME** — Never use placeholder names like "YourBrand", "MyApp", "Acme", or "CompanyName". The project's real name and identity are in the README and package.json above. Use them.
+1. **USE THE PROJECT'S REAL NAME** — Never use placeholder names like "YourBrand", "MyApp", "Acme", or "CompanyName". The project's real name and identity are in the README and project manifest above. Use them.
 
-2. **MATCH THE EXISTING COLOR SCHEME** — The tailwind config and CSS files above define the project's exact colors. Use those exact color classes/variables. Do NOT invent new color palettes (no random purple, blue, or other off-brand colors).
+2. **MATCH THE EXISTING COLOR SCHEME** — The design tokens (or tailwind config and CSS files) above define the project's exact colors. Use those exact color classes/variables. Do NOT invent new color palettes (no random purple, blue, or other off-brand colors).
 
 3. **PRESERVE THE EXISTING THEME** — If the project uses a dark theme, keep it dark. If it uses light, keep it light. Match the existing background colors, text colors, and accent colors exactly.
 
 4. **REUSE EXISTING COMPONENT PATTERNS** — The layout files, navbar, and homepage above show how the project structures its UI. Follow the same patterns: same CSS classes, same component structure, same spacing conventions.
 
-5. **MATCH THE EXISTING TYPOGRAPHY** — Use the same font families, sizes, and weights defined in the tailwind config and CSS.
+5. **MATCH THE EXISTING TYPOGRAPHY** — Use the same font families, sizes, and weights defined in the design tokens, tailwind config and CSS.
 
 6. **DO NOT ADD GENERIC MARKETING COPY** — Don't add placeholder text like "Build Something Amazing" or "Welcome to our platform". If the project has a specific tagline or description in the README, use that.
 
@@ -398,9 +815,10 @@ You MUST follow these rules when generating code:
     ? `You are Retools AI, an expert debugging and error-fixing assistant.
 
 **Context:**
-- Framework: ${context.framework || 'Unknown'}
+- Framework: ${context.framework || 'Unknown'}${context.language ? `\n- Language: ${context.language} (${context.manifest})` : ''}
 - Files: ${context.files.length} source files
-- Dependencies: ${context.dependencies?.slice(0, 10).join(', ') || 'None'}
+- Dependencies: ${context.dependencies?.slice(0, 10).join(', ') || 'None'}${formatWorkspaceForPrompt(context)}
+- File list: ${context.files.join(', ')}
 
 **Your task:**
 The previous AI changes caused a build failure. Analyze the build error and fix ONLY the issues causing the build to fail.
@@ -411,27 +829,20 @@ The previous AI changes caused a build failure. Analyze the build error and fix
 - DO NOT add new features or make unrelated changes
 - Preserve all existing functionality and BRANDING (colors, names, theme)
 - Follow the project's coding style and framework conventions
-- If the error is about missing dependencies, add them to package.json
+- If the error is about missing dependencies, add them to ${context.manifest || 'package.json'}
 - If the error is about syntax, fix the syntax errors
 - If the error is about missing files, create them with minimal content
 - PROP INTERFACE RULE: If the error is a TypeScript prop mismatch (e.g., "Property X does not exist on type Props"), find EVERY file that imports the component with the changed interface and update ALL of them in the same response. Never patch the component definition without also fixing every caller.
-${brandingInstructions}
-Respond with a JSON array of file modifications in this format:
-[
-  {
-    "path": "relative/path/to/file.js",
-    "action": "modify" | "create" | "delete",
-    "content": "full file content after changes"
-  }
-]`
+${brandingInstructions}${styleRulesText}${selectedFilesText}
+${outputInstructions}`
     : `You are Retools AI, an expert code modification assistant.
 
 **Context:**
-- Framework: ${context.framework || 'Unknown'}
+- Framework: ${context.framework || 'Unknown'}${context.language ? `\n- Language: ${context.language} (${context.manifest})` : ''}
 - Files: ${context.files.length} source files
-- Dependencies: ${context.dependencies?.slice(0, 10).join(', ') || 'None'}
+- Dependencies: ${context.dependencies?.slice(0, 10).join(', ') || 'None'}${formatWorkspaceForPrompt(context)}
 - File list: ${context.files.join(', ')}
-${brandingInstructions}
+${brandingInstructions}${styleRulesText}${selectedFilesText}
 **Your task:**
 Apply the requested changes to the codebase. Be precise and preserve the existing code style, framework conventions, and BRANDING.
 
@@ -443,110 +854,521 @@ Apply the requested changes to the codebase. Be precise and preserve the existin
 - Ensure all changes will build successfully
 - PROP INTERFACE RULE: If you add, remove, or rename props on any component, you MUST search the entire file list for every place that component is imported and used, then update ALL callers to match the new interface in the same response. Changing a component interface without updating every caller causes TypeScript build failures.
 - PRESERVE the project's branding, colors, theme, and visual identity in ALL generated code
+- NEVER touch CI workflows (.github/workflows), lockfiles, .env files, .git internals, or paths outside the repository — such modifications are rejected
 
-Respond with a JSON array of file modifications in this format:
-[
-  {
-    "path": "relative/path/to/file.js",
-    "action": "modify" | "create" | "delete",
-    "content": "full file content after changes"
+${outputInstructions}`;
+
+  return systemPrompt;
+}
+
+/**
+ * Shrink the packed context until the first request fits both the model's
+ * context window (less its output allowance) and what is left of the job's
+ * token budget. The lowest-ranked files are dropped first.
+ */
+function fitContext(context, prompt, isFixMode, outputInstructions, tools) {
+  const limit = Math.min(contextWindowFor(provider.model), budget.remainingTokens()) - (provider.maxTokens || 0);
+  const estimate = () => estimateRequestTokens({
+    system: buildSystemPrompt(context, isFixMode, outputInstructions),
+    messages: [{ role: 'user', content: prompt }],
+    tools,
+  });
+
+  let tokens = estimate();
+  console.log(`📏 Estimated request size: ~${tokens} tokens (limit ${Number.isFinite(limit) ? limit : 'none'})`);
+  while (tokens > limit && context.selectedFiles.length) {
+    const dropped = context.selectedFiles.pop();
+    tokens = estimate();
+    console.log(`  ✂️  Dropped ${dropped.path} (${dropped.tokens} tokens) from the context — now ~${tokens} tokens`);
   }
-]`;
+  return tokens;
+}
 
-  const response = await fetch('https://api.anthropic.com/v1/messages', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'x-api-key': process.env.ANTHROPIC_API_KEY,
-      'anthropic-version': '2023-06-01',
-    },
-    body: JSON.stringify({
-      model: 'claude-sonnet-4-5',
-      max_tokens: 32000,
-      system: systemPrompt,
-      messages: [
-        {
-          role: 'user',
-          content: prompt,
-        },
-      ],
-    }),
+/**
+ * Call Claude API to generate changes
+ *
+ * The model submits modifications through a forced tool call; entries that
+ * fail schema validation come back as `invalid` after one repair attempt.
+ */
+async function callClaude(prompt, context, isFixMode = false) {
+  console.log(`\n🤖 Calling ${provider.name} API (${provider.model})...`);
+
+  const system = buildSystemPrompt(context, isFixMode);
+  transcript?.writeOnce('system-prompt.md', redactor.redact(system));
+  const { modifications, invalid, usage, rounds } = await requestModifications(provider, { system, prompt });
+
+  console.log(`✅ Model response received (${modifications.length} modification(s) in ${rounds} round(s), ${usage.input_tokens} in / ${usage.output_tokens} out tokens)`);
+  return { modifications, invalid };
+}
+
+/**
+ * Let the model explore the repo with tools over several turns
+ */
+async function callClaudeAgent(prompt, context, files, isFixMode = false) {
+  console.log(`\n🤖 Starting agent session (${provider.name}, ${provider.model})...`);
+
+  const system = buildSystemPrompt(context, isFixMode, AGENT_INSTRUCTIONS);
+  transcript?.writeOnce('system-prompt.md', redactor.redact(system));
+  const result = await runAgent({
+    sendMessages: provider.createMessage,
+    system,
+    prompt,
+    workingDir,
+    files,
+    maxTurns,
+    maxTotalTokens: maxAgentTokens,
+    policyOptions: { protectedPaths: extraProtectedPaths },
   });
 
-  if (!response.ok) {
-    const error = await response.text();
-    throw new Error(`Claude API error: ${response.status} - ${error}`);
+  console.log(`✅ Agent finished after ${result.turns} turn(s) with ${result.modifications.length} proposed edit(s) (${result.usage.input_tokens} in / ${result.usage.output_tokens} out tokens)`);
+  views.merge(result.views);
+  return { modifications: result.modifications, invalid: [] };
+}
+
+/**
+ * Why a full rewrite (`modify`, or `create` over an existing file) must be
+ * refused, or null. The model has to have seen the whole file: a rewrite
+ * of one shown only in part, or never shown and too large to write from
+ * memory, would drop everything it did not see.
+ */
+function truncatedRewrite(mod) {
+  if ((mod.action !== 'modify' && mod.action !== 'create') || !fs.existsSync(mod.absolutePath)) return null;
+  const view = views.get(mod.path);
+  if (view && !view.partial) return null;
+
+  const size = fs.statSync(mod.absolutePath).size;
+  if (view) {
+    return `${mod.path} (${size} bytes) was only shown in part; a full rewrite would drop the rest — use "patch"${view.regions ? ' or "region"' : ''} edits`;
   }
+  return size > LARGE_FILE_BYTES ? `${mod.path} (${size} bytes) was not shown; a full rewrite would replace content never seen — use "patch" edits` : null;
+}
 
-  const data = await response.json();
-  const rawContent = data.content[0].text;
-  const stopReason = data.stop_reason;
+/**
+ * Plan file modifications without touching the disk
+ *
+ * Every modification is checked against the path policy first; rejected
+ * ones are recorded and never written, as are full rewrites of files the
+ * model only saw in part. Region replacements are spliced into the file
+ * around the untouched rest. Patches are resolved against the
+ * file contents (including earlier planned edits to the same file) and only
+ * planned when every hunk applies. Entries that failed schema validation
+ * are carried through as rejections so they show up in the manifest.
+ * `base` is an earlier plan to build on (e.g. for a correction round).
+ */
+function planChanges(modifications, invalid = [], base = null) {
+  const policy = createPathPolicy(workingDir, { protectedPaths: extraProtectedPaths });
+  const { allowed: permitted, rejected } = policy.partition(modifications);
+  const allowed = [];
+  for (const mod of permitted) {
+    const reason = truncatedRewrite(mod);
+    if (reason) rejected.push({ path: mod.path, action: mod.action, code: 'truncated_rewrite', reason });
+    else allowed.push(mod);
+  }
+  for (const entry of invalid) {
+    rejected.push({
+      path: entry.path,
+      action: entry.modification?.action,
+      code: 'schema_invalid',
+      reason: entry.errors.map((e) => `${e.path} ${e.message}`).join('; '),
+    });
+  }
+  const changes = [];
+  const conflicts = [];
+
+  // Planned contents by path, so several edits to one file build on each other
+  const overlay = new Map((base ? base.changes : []).map((change) => [change.path, change.after]));
+  const basePaths = new Set(overlay.keys());
+  const readCurrent = (mod) => {
+    if (overlay.has(mod.path)) return overlay.get(mod.path);
+    return fs.existsSync(mod.absolutePath) ? fs.readFileSync(mod.absolutePath, 'utf-8') : null;
+  };
 
-  console.log(`✅ Claude response received (stop_reason: ${stopReason})`);
+  for (const mod of allowed) {
+    const before = readCurrent(mod);
+    const existedOnDisk = fs.existsSync(mod.absolutePath);
+    const warnings = [];
+    let after;
+    let hunks;
 
-  if (stopReason === 'max_tokens') {
-    console.warn('⚠️  Response truncated at max_tokens — attempting JSON repair...');
+    if (mod.action === 'delete') {
+      if (before === null) continue;
+      after = null;
+    } else if (mod.action === 'patch') {
+      if (before === null) {
+        conflicts.push({ path: mod.path, hunks: [{ index: 0, status: 'conflict', reason: 'File does not exist' }] });
+        continue;
+      }
+      const result = applyPatch(before, mod);
+      if (!result.ok) {
+        conflicts.push({ path: mod.path, hunks: result.hunks });
+        continue;
+      }
+      after = result.content;
+      hunks = result.hunks;
+      const fuzzy = hunks.filter((h) => h.status === 'fuzzy').length;
+      if (fuzzy) warnings.push(`${fuzzy} hunk(s) matched with whitespace differences`);
+    } else if (mod.action === 'region') {
+      const result = before === null
+        ? { ok: false, reason: 'File does not exist' }
+        : spliceRegion(before, views.get(mod.path), mod.region, mod.content);
+      if (!result.ok) {
+        conflicts.push({ path: mod.path, action: 'region', hunks: [{ index: 0, status: 'conflict', reason: result.reason }] });
+        continue;
+      }
+      after = result.content;
+    } else {
+      after = mod.content;
+      if (mod.action === 'create' && before !== null) warnings.push('"create" overwrites an existing file');
+      if (mod.action === 'modify' && before === null) warnings.push('"modify" targets a file that does not exist');
+    }
+
+    // The config lives in .retools.json (protected by the path policy) or here
+    if (mod.path === 'package.json' && changesPackageConfig(before, after)) {
+      rejected.push({ path: mod.path, action: mod.action, code: 'protected_path', reason: 'The "retools" key in package.json is protected' });
+      continue;
+    }
+
+    overlay.set(mod.path, after);
+    changes.push({
+      path: mod.path,
+      action: mod.action,
+      absolutePath: mod.absolutePath,
+      before,
+      after,
+      isNew: !existedOnDisk && !basePaths.has(mod.path),
+      hunks,
+      region: mod.region,
+      warnings,
+    });
   }
 
-  // Parse JSON response, with repair fallback for truncated responses
-  try {
-    const jsonMatch = rawContent.match(/\[\s\S\]*/);
-    const betterMatch = rawContent.match(/\[[\s\S]*\]/);
-    const match = betterMatch || jsonMatch;
-    if (!match) {
-      throw new Error('No JSON array found in response');
+  return { changes, rejected, conflicts };
+}
+
+/**
+ * Report rejections and conflicts from a plan
+ */
+function reportPlanProblems(plan) {
+  for (const rejection of plan.rejected) {
+    console.warn(`  🚫 Rejected ${rejection.action || 'unknown'}: ${rejection.path || '(no path)'} — ${rejection.reason}`);
+    if (process.env.GITHUB_ACTIONS) {
+      console.log(`::warning title=Retools rejected modification::${rejection.path || '(no path)'}: ${rejection.reason}`);
     }
-    let jsonStr = match[0];
-    // ensure it ends with ]
-    if (!jsonStr.trimEnd().endsWith(']')) jsonStr = jsonStr + '\n]';
-    let parsed;
-    try {
-      parsed = JSON.parse(jsonStr);
-    } catch (parseErr) {
-      if (stopReason !== 'max_tokens') throw parseErr;
-      // Attempt repair: trim to the last complete object
-      console.warn('🔧 Attempting truncated JSON repair...');
-      const lastClose = jsonStr.lastIndexOf('\n  }');
-      if (lastClose === -1) throw parseErr;
-      const repaired = jsonStr.slice(0, lastClose + 4) + '\n]';
-      parsed = JSON.parse(repaired);
-      console.log(`🔧 JSON repair succeeded — recovered ${parsed.length} file modification(s)`);
+  }
+  for (const conflict of plan.conflicts) {
+    for (const hunk of conflict.hunks.filter((h) => h.status === 'conflict')) {
+      if (conflict.action === 'region') console.warn(`  ⚔️  Region conflict: ${conflict.path} — ${hunk.reason}`);
+      else console.warn(`  ⚔️  Patch conflict: ${conflict.path} hunk #${hunk.index + 1} — ${hunk.reason}`);
     }
-    return parsed;
+  }
+}
+
+/**
+ * Apply a plan to disk as one transaction: the touched files are
+ * snapshotted first and restored if any write fails. Returns `{ applied,
+ * snapshot }`; scripts/rollback.js can restore the snapshot later.
+ */
+function applyChanges(plan) {
+  console.log(`\n📝 Applying ${plan.changes.length} file modifications...`);
+  reportPlanProblems(plan);
+
+  // Only the final state of each file matters once every edit is planned.
+  // Paths are taken from the policy-resolved targets so symlinks are written through.
+  const root = fs.realpathSync(workingDir);
+  const writes = netChanges(plan).map((change) => ({
+    path: path.relative(root, change.absolutePath).split(path.sep).join('/'),
+    content: change.after,
+  }));
+  let snapshot;
+  try {
+    snapshot = applyTransaction(root, writes, { mode: runMode, runId: transcript?.runId || null });
   } catch (error) {
-    console.error('❌ Failed to parse Claude response:', error);
-    console.log('Raw response (first 2000 chars):', rawContent.slice(0, 2000));
+    console.error(`❌ Applying the changes failed (${error.message}); every file was restored to its previous state`);
     throw error;
   }
+  if (snapshot) console.log(`📸 Snapshot ${snapshot.id} saved (undo with scripts/rollback.js)`);
+
+  const applied = [];
+  for (const change of plan.changes) {
+    applied.push(change);
+    if (change.action === 'delete') {
+      console.log(`  🗑️  Deleted: ${change.path}`);
+    } else if (change.action === 'patch') {
+      const fuzzy = change.hunks.filter((h) => h.status === 'fuzzy').length;
+      console.log(`  🩹 patch: ${change.path} (${change.hunks.length} hunk(s)${fuzzy ? `, ${fuzzy} fuzzy` : ''})`);
+    } else if (change.action === 'region') {
+      console.log(`  🧩 region: ${change.path} (${change.region})`);
+    } else {
+      console.log(`  ${change.action === 'create' ? '✨' : '✏️ '} ${change.action}: ${change.path}`);
+    }
+  }
+
+  if (plan.rejected.length || plan.conflicts.length) {
+    console.warn(`⚠️  Applied ${applied.length} change(s), rejected ${plan.rejected.length} by path policy, ${plan.conflicts.length} with patch conflicts`);
+  } else {
+    console.log('✅ All changes applied');
+  }
+
+  return { applied, snapshot };
 }
 
 /**
- * Apply file modifications
+ * Print a unified diff of every planned change
  */
-function applyChanges(modifications) {
-  console.log(`\n📝 Applying ${modifications.length} file modifications...`);
+function printPlanDiff(plan) {
+  console.log(`\n📋 Dry run — ${plan.changes.length} planned modification(s), nothing written\n`);
+  reportPlanProblems(plan);
 
-  for (const mod of modifications) {
-    const filePath = path.join(workingDir, mod.path);
+  for (const change of plan.changes) {
+    const diff = createUnifiedDiff(change.path, change.before, change.after);
+    process.stdout.write(diff || `(no changes to ${change.path})\n`);
+  }
+}
 
-    if (mod.action === 'delete') {
-      if (fs.existsSync(filePath)) {
-        fs.unlinkSync(filePath);
-        console.log(`  🗑️  Deleted: ${mod.path}`);
-      }
-    } else if (mod.action === 'create' || mod.action === 'modify') {
-      // Ensure directory exists
-      const dir = path.dirname(filePath);
-      if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
-      }
+/**
+ * Final state of every planned path, collapsing repeated edits to one file
+ */
+function netChanges(plan) {
+  const byPath = new Map();
+  for (const change of plan.changes) {
+    const first = byPath.get(change.path);
+    byPath.set(change.path, { ...change, before: first ? first.before : change.before });
+  }
+  return [...byPath.values()];
+}
+
+/**
+ * Lint the plan against the project's design tokens and, with
+ * --branding-fix, give the model one round to correct the violations.
+ * Returns `{ plan, violations, corrected }`.
+ */
+async function checkBranding(plan, context) {
+  const tokens = context.branding.tokens || null;
+  const lint = (p) => lintBranding(netChanges(p), tokens, { projectName: context.branding.projectName });
+  let violations = lint(plan);
+  let corrected = false;
+
+  if (violations.length && brandingFix && !agentMode) {
+    console.log(`\n🎨 ${violations.length} branding violation(s); asking for one correction round...`);
+    try {
+      const { modifications, invalid } = await callClaude(formatViolationsForPrompt(violations, netChanges(plan)), context, false);
+      transcript?.recordModifications('branding', { modifications, invalid });
+      const correction = planChanges(modifications, invalid, plan);
+      plan = {
+        changes: [...plan.changes, ...correction.changes],
+        rejected: [...plan.rejected, ...correction.rejected],
+        conflicts: [...plan.conflicts, ...correction.conflicts],
+      };
+      const remaining = lint(plan);
+      corrected = remaining.length < violations.length;
+      console.log(`  🎨 ${violations.length - remaining.length} fixed, ${remaining.length} remaining`);
+      violations = remaining;
+    } catch (error) {
+      // The original plan still stands; the violations are reported below
+      console.warn(`  ⚠️  Branding correction failed: ${error.message}`);
+    }
+  }
+
+  for (const v of violations) {
+    console.warn(`  ⚠️  Branding: ${v.path}:${v.line} [${v.rule}] ${v.message}`);
+    if (process.env.GITHUB_ACTIONS) {
+      console.log(`::warning file=${v.path},line=${v.line},title=Retools branding::${v.message}`);
+    }
+  }
+
+  return { plan, violations, corrected };
+}
+
+/**
+ * Files in the plan that do not parse. A file that was already broken
+ * before the change is not held against it.
+ */
+function findSyntaxErrors(plan) {
+  const broken = [];
+  for (const change of netChanges(plan)) {
+    if (change.after === null) continue;
+    const result = validateSyntax(change.path, change.after, { root: workingDir });
+    if (result.ok) continue;
+    if (change.before !== null && !validateSyntax(change.path, change.before, { root: workingDir }).ok) continue;
+    broken.push({ path: change.path, action: change.action, parser: result.parser, errors: result.errors });
+  }
+  return broken;
+}
+
+/**
+ * Parse every generated file before anything is written. Broken files go
+ * back to the model with the parser errors for up to
+ * SYNTAX_REPAIR_ROUNDS rounds; whatever still fails is dropped from the
+ * plan as a `syntax_error` rejection. Returns `{ plan, repaired, rejected }`.
+ */
+async function checkSyntax(plan, context) {
+  let broken = findSyntaxErrors(plan);
+  const initiallyBroken = broken.map((b) => b.path);
+
+  for (let round = 1; broken.length && !agentMode && round <= SYNTAX_REPAIR_ROUNDS; round++) {
+    console.log(`\n🧩 ${broken.length} file(s) do not parse; asking for a fix (round ${round}/${SYNTAX_REPAIR_ROUNDS})...`);
+    for (const b of broken) console.log(`  ❌ ${b.path} (${b.parser}): ${b.errors.map(formatSyntaxError).join('; ')}`);
+    try {
+      const { modifications, invalid } = await callClaude(formatSyntaxErrorsForPrompt(broken, netChanges(plan), views), context, false);
+      transcript?.recordModifications(`syntax-${round}`, { modifications, invalid });
+      const repair = planChanges(modifications, invalid, plan);
+      plan = {
+        changes: [...plan.changes, ...repair.changes],
+        rejected: [...plan.rejected, ...repair.rejected],
+        conflicts: [...plan.conflicts, ...repair.conflicts],
+      };
+    } catch (error) {
+      console.warn(`  ⚠️  Syntax repair failed: ${error.message}`);
+      break;
+    }
+    broken = findSyntaxErrors(plan);
+  }
+
+  const repaired = initiallyBroken.filter((p) => !broken.some((b) => b.path === p));
+  if (repaired.length) console.log(`  🧩 Repaired: ${repaired.join(', ')}`);
+
+  if (broken.length) {
+    const drop = new Set(broken.map((b) => b.path));
+    plan = { ...plan, changes: plan.changes.filter((change) => !drop.has(change.path)) };
+    for (const b of broken) {
+      plan.rejected.push({
+        path: b.path,
+        action: b.action,
+        code: 'syntax_error',
+        reason: `${b.parser}: ${b.errors.map(formatSyntaxError).join('; ')}`,
+      });
+    }
+  }
+
+  return { plan, repaired, rejected: broken.map((b) => b.path) };
+}
 
-      fs.writeFileSync(filePath, mod.content, 'utf-8');
-      console.log(`  ${mod.action === 'create' ? '✨' : '✏️ '} ${mod.action}: ${mod.path}`);
+/**
+ * Block changes that add secrets — known key formats, values from the
+ * repository's .env files, or redaction markers the model copied back
+ * (which would overwrite the real value). Affected files are dropped from
+ * the plan as `secret_detected` rejections. Returns `{ plan, leaks }`.
+ */
+function checkSecrets(plan) {
+  const leaks = scanChanges(netChanges(plan), { envValues: readEnvValues(workingDir) });
+  if (!leaks.length) return { plan, leaks };
+
+  console.warn(`\n🔐 ${leaks.length} secret(s) in the generated changes; blocking the affected file(s)`);
+  for (const leak of leaks) {
+    console.warn(`  🔐 ${leak.path}${leak.line ? `:${leak.line}` : ''} ${leak.message}`);
+    if (process.env.GITHUB_ACTIONS) {
+      console.log(`::error file=${leak.path}${leak.line ? `,line=${leak.line}` : ''},title=Retools secret scan::${leak.message}`);
     }
   }
 
-  console.log('✅ All changes applied');
+  const blocked = new Map();
+  for (const leak of leaks) blocked.set(leak.path, [...(blocked.get(leak.path) || []), leak]);
+  const rejected = [...plan.rejected];
+  for (const [file, fileLeaks] of blocked) {
+    rejected.push({
+      path: file,
+      action: plan.changes.filter((change) => change.path === file).pop().action,
+      code: 'secret_detected',
+      reason: fileLeaks.map((leak) => `${leak.line ? `line ${leak.line}: ` : ''}${leak.message}`).join('; '),
+    });
+  }
+
+  return { plan: { ...plan, changes: plan.changes.filter((change) => !blocked.has(change.path)), rejected }, leaks };
+}
+
+/**
+ * Build the machine-readable change manifest
+ */
+function buildManifest(plan, { dryRun, target, branding, syntax, secrets, snapshot, revision, usage }) {
+  const entries = plan.changes.map((change) => ({
+    path: change.path,
+    action: change.action,
+    status: dryRun ? 'planned' : 'applied',
+    isNew: change.isNew,
+    bytesBefore: change.before === null ? 0 : Buffer.byteLength(change.before, 'utf-8'),
+    bytesAfter: change.after === null ? 0 : Buffer.byteLength(change.after, 'utf-8'),
+    ...diffStats(change.before, change.after),
+    warnings: change.warnings,
+  }));
+
+  for (const rejection of plan.rejected) {
+    entries.push({
+      path: rejection.path,
+      action: rejection.action,
+      status: 'rejected',
+      warnings: [`${rejection.code}: ${rejection.reason}`],
+    });
+  }
+
+  for (const conflict of plan.conflicts) {
+    entries.push({
+      path: conflict.path,
+      action: conflict.action || 'patch',
+      status: 'conflict',
+      warnings: conflict.hunks
+        .filter((h) => h.status === 'conflict')
+        .map((h) => (conflict.action === 'region' ? h.reason : `hunk #${h.index + 1}: ${h.reason}`)),
+    });
+  }
+
+  const changed = entries.filter((e) => e.status === 'planned' || e.status === 'applied');
+  return {
+    version: 1,
+    dryRun,
+    fixMode,
+    generatedAt: new Date().toISOString(),
+    // Package the change targets; the workflow builds with its command
+    target: target
+      ? { package: target.name, dir: target.dir, framework: target.framework, buildCommand: target.buildCommand }
+      : null,
+    branding: branding
+      ? { violations: branding.violations.map(({ path: file, line, rule, message }) => ({ path: file, line, rule, message })), corrected: branding.corrected }
+      : null,
+    syntax: syntax ? { repaired: syntax.repaired, rejected: syntax.rejected } : null,
+    // Secrets redacted from the requests and leaks blocked in the changes (never their values)
+    secrets: secrets ? { redacted: secrets.redacted, blocked: secrets.leaks } : null,
+    // Pre-apply state of every written file (restore with scripts/rollback.js)
+    snapshot: snapshot ? snapshot.id : null,
+    // What a revision run addressed
+    revision: revision
+      ? { base: revision.base, comments: revision.comments.length, originalPrompt: Boolean(revision.originalPrompt) }
+      : null,
+    // Token usage and estimated cost of the whole job so far
+    usage: usage || null,
+    summary: {
+      changes: changed.length,
+      created: changed.filter((e) => e.isNew).length,
+      deleted: changed.filter((e) => e.action === 'delete').length,
+      rejected: plan.rejected.length,
+      conflicts: plan.conflicts.length,
+      bytesChanged: changed.reduce((sum, e) => sum + e.bytesChanged, 0),
+      brandingViolations: branding ? branding.violations.length : 0,
+      secretsRedacted: secrets ? secrets.redacted.length : 0,
+      secretsBlocked: secrets ? secrets.leaks.length : 0,
+    },
+    modifications: entries,
+  };
+}
+
+/**
+ * Log this run's usage and the job's running total against its budget
+ */
+function reportUsage(usage, spentBefore) {
+  const runTokens = usage.total_tokens - spentBefore.total_tokens;
+  const runCost = usage.cost_usd === null ? null : usage.cost_usd - (spentBefore.cost_usd || 0);
+  const dollars = (value) => (value === null ? 'unpriced' : `~$${value.toFixed(4)}`);
+  const limits = [usage.budget_tokens && `${usage.budget_tokens} tokens`, usage.budget_usd && `$${usage.budget_usd}`].filter(Boolean);
+
+  console.log(`\n💰 This run: ${runTokens} tokens (${dollars(runCost)}); job so far: ${usage.total_tokens} tokens in ${usage.calls} call(s) (${dollars(usage.cost_usd)})${limits.length ? ` of ${limits.join(' / ')}` : ''}`);
+}
+
+/**
+ * Write the change manifest for the workflow to inspect
+ */
+function writeManifest(manifest) {
+  fs.mkdirSync(path.dirname(manifestPath), { recursive: true });
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + '\n', 'utf-8');
+  console.log(`🧾 Change manifest written to ${manifestPath}`);
 }
 
 /**
@@ -554,19 +1376,84 @@ function applyChanges(modifications) {
  */
 async function main() {
   try {
+    transcript = createTranscript(workingDir, {
+      mode: runMode,
+      agent: agentMode,
+      dryRun,
+      provider: provider.name,
+      model: provider.model,
+      prompt,
+      package: packageOverride,
+    });
+    provider = withRecording(provider, transcript.callsDir);
+    console.log(`🗂️  Run transcript: ${path.relative(workingDir, transcript.dir)}`);
+  } catch (error) {
+    // A missing transcript must not fail the job
+    console.warn(`⚠️  Could not start the run transcript: ${error.message}`);
+  }
+  // Outside the recorder, so recorded calls hold the redacted requests
+  provider = withRedaction(provider, redactor);
+
+  const spentBefore = budget.totals();
+
+  try {
+    const revision = revise ? await loadRevision() : null;
+    const taskPrompt = revision ? formatRevisionForPrompt({ ...revision, request: prompt }) : prompt;
     const files = scanRepository();
-    const context = buildContext(files);
-    const modifications = await callClaude(prompt, context, fixMode);
-    applyChanges(modifications);
+    const context = buildContext(files, taskPrompt);
+
+    // Structured errors and the failing source travel with the user prompt
+    const fullPrompt = context.buildErrors
+      ? taskPrompt + formatBuildErrorsForPrompt(context.buildErrors.errors, context.buildErrors.slices)
+      : taskPrompt;
+    fitContext(context, fullPrompt, fixMode, agentMode ? AGENT_INSTRUCTIONS : MODIFICATION_FORMAT, agentMode ? TOOLS : [SUBMIT_TOOL]);
+    recordViews(context);
+    transcript?.recordContext(context);
+    transcript?.write('user-prompt.md', redactor.redact(fullPrompt));
+
+    const { modifications, invalid } = agentMode
+      ? await callClaudeAgent(fullPrompt, context, files, fixMode)
+      : await callClaude(fullPrompt, context, fixMode);
+    transcript?.recordModifications('initial', { modifications, invalid });
+    const branding = await checkBranding(planChanges(modifications, invalid), context);
+    const syntax = await checkSyntax(branding.plan, context);
+    const { plan, leaks } = checkSecrets(syntax.plan);
+    const secrets = { redacted: redactor.findings(), leaks };
+    if (secrets.redacted.length) console.log(`🔐 ${secrets.redacted.length} secret(s) redacted from the model requests`);
+    const usage = usageReport(budget);
+    reportUsage(usage, spentBefore);
+
+    if (dryRun) {
+      printPlanDiff(plan);
+      writeManifest(buildManifest(plan, { dryRun: true, target: context.targetPackage, branding, syntax, secrets, revision, usage }));
+      transcript?.recordResult(plan, { applied: false, branding, syntax, secrets });
+      transcript?.finish('planned');
+      console.log('\n✅ Dry run completed — no files were modified');
+      process.exit(0);
+    }
+
+    const { snapshot } = applyChanges(plan);
+    transcript?.recordResult(plan, { applied: true, branding, syntax, secrets });
+    transcript?.finish('applied');
+    if (manifestPath) writeManifest(buildManifest(plan, { dryRun: false, target: context.targetPackage, branding, syntax, secrets, snapshot, revision, usage }));
 
     if (fixMode) {
       console.log('\n✅ AI auto-fix completed successfully');
+    } else if (revise) {
+      console.log('\n✅ AI revision completed successfully');
     } else {
       console.log('\n✅ AI driver completed successfully');
     }
     process.exit(0);
   } catch (error) {
+    if (error.name === 'BudgetExceededError') {
+      // A distinct exit code lets the workflow stop its fix loop
+      console.error(`\n💸 ${error.message}`);
+      transcript?.finish('budget_exceeded', error);
+      process.exit(3);
+    }
     console.error('\n❌ AI driver failed:', error);
+    transcript?.finish('failed', error);
     process.exit(1);
   }
 }
@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+
+/**
+ * Retools Fake GitHub Server
+ *
+ * Local stand-in for the parts of the GitHub REST API a job uses: opening a
+ * pull request, looking one up by branch or number, and reading and
+ * posting its comments and reviews. Pull requests and comments are kept in
+ * memory and every request is logged, so `retools run` (including a
+ * revision) can be exercised end to end against a local bare repository:
+ *
+ *   node scripts/fake-github-server.js --port 8789 --log github.jsonl [--preview-url https://demo.vercel.app]
+ *   node scripts/retools.js run --payload job.json --github-api-url http://127.0.0.1:8789
+ *
+ * With `--preview-url`, every pull request gets a Vercel bot comment
+ * linking to it. Review feedback for a revision can be posted like on
+ * GitHub: conversation comments to `POST /repos/:owner/:repo/issues/:n/comments`,
+ * inline ones (`{ body, path, line }`) to `POST .../pulls/:n/comments` and
+ * reviews (`{ body, event }`) to `POST .../pulls/:n/reviews`; add
+ * `author_association` (default OWNER) to post as someone else. Comment and
+ * review lists are paginated like GitHub's (`per_page`, `page`, `Link`).
+ */
+
+const fs = require('fs');
+const http = require('http');
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+
+function getArg(name) {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : null;
+}
+
+const port = parseInt(getArg('--port') || '8789', 10);
+const logPath = getArg('--log');
+const previewUrl = getArg('--preview-url');
+
+const pulls = [];
+// Per pull request number: conversation comments, inline comments and reviews
+const comments = { issue: new Map(), inline: new Map(), reviews: new Map() };
+let commentId = 100;
+
+function reply(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * One page of a list, GitHub style: `per_page` (default 30) and `page`
+ * query parameters, and a `Link: rel="next"` header while more remain
+ */
+function paginate(url, items) {
+  const perPage = Math.min(100, Math.max(1, parseInt(url.searchParams.get('per_page') || '30', 10)));
+  const page = Math.max(1, parseInt(url.searchParams.get('page') || '1', 10));
+  const headers = {};
+  if (page * perPage < items.length) {
+    const next = new URL(url);
+    next.searchParams.set('page', String(page + 1));
+    headers.Link = `<${next}>; rel="next"`;
+  }
+  return [200, items.slice((page - 1) * perPage, page * perPage), headers];
+}
+
+function handle(req, url, body) {
+  const pullsRoute = url.pathname.match(/^\/repos\/([^/]+)\/([^/]+)\/pulls$/);
+  const commentsRoute = url.pathname.match(/^\/repos\/([^/]+)\/([^/]+)\/issues\/(\d+)\/comments$/);
+  const pullRoute = url.pathname.match(/^\/repos\/([^/]+)\/([^/]+)\/pulls\/(\d+)(?:\/(comments|reviews))?$/);
+  const findPull = (match) => pulls.find((p) => p.repo === `${match[1]}/${match[2]}` && p.number === Number(match[3]));
+  const addComment = (kind, number, fields) => {
+    // Reviews are dated by submitted_at, comments by created_at
+    const comment = {
+      id: ++commentId,
+      user: { login: 'reviewer', type: 'User' },
+      author_association: 'OWNER',
+      [kind === 'reviews' ? 'submitted_at' : 'created_at']: new Date().toISOString(),
+      ...fields,
+    };
+    comments[kind].set(number, [...(comments[kind].get(number) || []), comment]);
+    return [201, comment];
+  };
+
+  // Comments count as the repository owner's unless the request says otherwise
+  const association = (fields) => (fields && fields.author_association ? { author_association: fields.author_association } : {});
+
+  if (pullsRoute && req.method === 'POST') {
+    const repo = `${pullsRoute[1]}/${pullsRoute[2]}`;
+    if (!body || !body.title || !body.head || !body.base) {
+      return [422, { message: 'Validation Failed', errors: [{ message: 'title, head and base are required' }] }];
+    }
+    if (pulls.some((pr) => pr.repo === repo && pr.head.ref === body.head && pr.state === 'open')) {
+      return [422, { message: 'Validation Failed', errors: [{ message: `A pull request already exists for ${body.head}.` }] }];
+    }
+    const number = pulls.length + 1;
+    const pr = {
+      repo,
+      number,
+      state: 'open',
+      draft: Boolean(body.draft),
+      title: body.title,
+      body: body.body,
+      head: { ref: body.head },
+      base: { ref: body.base },
+      html_url: `http://127.0.0.1:${port}/${repo}/pull/${number}`,
+    };
+    pulls.push(pr);
+    console.log(`🔀 ${repo}#${number} ${pr.draft ? '(draft) ' : ''}${body.head} → ${body.base}: ${body.title}`);
+    return [201, pr];
+  }
+
+  if (pullsRoute && req.method === 'GET') {
+    const repo = `${pullsRoute[1]}/${pullsRoute[2]}`;
+    const head = (url.searchParams.get('head') || '').split(':').pop();
+    const state = url.searchParams.get('state') || 'open';
+    return [200, pulls.filter((pr) => pr.repo === repo && (!head || pr.head.ref === head) && (state === 'all' || pr.state === state))];
+  }
+
+  if (commentsRoute && req.method === 'GET') {
+    const pr = findPull(commentsRoute);
+    if (!pr) return [404, { message: 'Not Found' }];
+    const preview = previewUrl ? [{ id: 1, user: { login: 'vercel[bot]', type: 'Bot' }, body: `[Visit Preview](${previewUrl})` }] : [];
+    return paginate(url, [...preview, ...(comments.issue.get(pr.number) || [])]);
+  }
+
+  if (commentsRoute && req.method === 'POST') {
+    const pr = findPull(commentsRoute);
+    if (!pr) return [404, { message: 'Not Found' }];
+    if (!body || !body.body) return [422, { message: 'Validation Failed', errors: [{ message: 'body is required' }] }];
+    console.log(`💬 ${pr.repo}#${pr.number}: ${body.body.split('\n')[0].slice(0, 80)}`);
+    return addComment('issue', pr.number, { body: body.body, ...association(body) });
+  }
+
+  if (pullRoute) {
+    const pr = findPull(pullRoute);
+    if (!pr) return [404, { message: 'Not Found' }];
+    const kind = pullRoute[4] === 'comments' ? 'inline' : pullRoute[4];
+    if (!kind && req.method === 'GET') return [200, pr];
+    if (kind && req.method === 'GET') return paginate(url, comments[kind].get(pr.number) || []);
+    if (kind === 'inline' && req.method === 'POST') {
+      if (!body || !body.body || !body.path) return [422, { message: 'Validation Failed', errors: [{ message: 'body and path are required' }] }];
+      return addComment('inline', pr.number, { body: body.body, path: body.path, line: body.line ?? null, ...association(body) });
+    }
+    if (kind === 'reviews' && req.method === 'POST') {
+      const states = { APPROVE: 'APPROVED', REQUEST_CHANGES: 'CHANGES_REQUESTED', COMMENT: 'COMMENTED' };
+      const [, review] = addComment('reviews', pr.number, { body: body?.body || '', state: states[body?.event] || 'COMMENTED', ...association(body) });
+      return [200, review];
+    }
+  }
+
+  return [404, { message: 'Not Found' }];
+}
+
+const server = http.createServer((req, res) => {
+  let raw = '';
+  req.on('data', (chunk) => {
+    raw += chunk;
+  });
+  req.on('end', () => {
+    const url = new URL(req.url, `http://127.0.0.1:${port}`);
+    let body = null;
+    try {
+      body = raw ? JSON.parse(raw) : null;
+    } catch {
+      reply(res, 400, { message: 'Problems parsing JSON' });
+      return;
+    }
+
+    const [status, response, headers] = handle(req, url, body);
+    if (logPath) {
+      fs.appendFileSync(logPath, JSON.stringify({
+        method: req.method,
+        path: req.url,
+        authorization: req.headers.authorization ? 'present' : 'missing',
+        body,
+        status,
+      }) + '\n');
+    }
+    reply(res, status, response, headers);
+  });
+});
+
+server.listen(port, '127.0.0.1', () => {
+  console.log(`🧪 Fake GitHub API listening on http://127.0.0.1:${port}${previewUrl ? ` (preview comments → ${previewUrl})` : ''}`);
+});
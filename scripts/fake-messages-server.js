@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+
+/**
+ * Retools Fake Messages Server
+ *
+ * Local stand-in for the Anthropic Messages endpoint. Serves a scripted
+ * list of responses in order, one per request, and records every request
+ * body so agent-mode runs can be exercised and inspected offline:
+ *
+ *   node scripts/fake-messages-server.js --script turns.json --port 8787 --log requests.jsonl
+ *   ANTHROPIC_BASE_URL=http://127.0.0.1:8787 ANTHROPIC_API_KEY=fake \
+ *     node scripts/ai-driver.js --agent --prompt "..." --working-dir ./repo
+ *
+ * The script file is a JSON array of Messages API response bodies. An entry
+ * may instead be `{ "status": 529, "body": {...} }` to simulate an error.
+ */
+
+const fs = require('fs');
+const http = require('http');
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+
+function getArg(name) {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : null;
+}
+
+const scriptPath = getArg('--script');
+const port = parseInt(getArg('--port') || '8787', 10);
+const logPath = getArg('--log');
+
+if (!scriptPath) {
+  console.error('Usage: fake-messages-server.js --script responses.json [--port 8787] [--log requests.jsonl]');
+  process.exit(1);
+}
+
+const script = JSON.parse(fs.readFileSync(scriptPath, 'utf-8'));
+let turn = 0;
+
+const server = http.createServer((req, res) => {
+  if (req.method !== 'POST' || !req.url.startsWith('/v1/messages')) {
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ type: 'error', error: { type: 'not_found_error', message: 'Not found' } }));
+    return;
+  }
+
+  let raw = '';
+  req.on('data', (chunk) => {
+    raw += chunk;
+  });
+  req.on('end', () => {
+    if (logPath) fs.appendFileSync(logPath, raw.replace(/\n/g, ' ') + '\n');
+
+    const entry = script[turn];
+    turn++;
+
+    if (!entry) {
+      console.error(`❌ Request ${turn} has no scripted response (script has ${script.length})`);
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ type: 'error', error: { type: 'api_error', message: 'Script exhausted' } }));
+      return;
+    }
+
+    const status = entry.status || 200;
+    const body = entry.status ? entry.body : entry;
+    console.log(`📨 Request ${turn} → ${status}`);
+    res.writeHead(status, { 'Content-Type': 'application/json', ...(entry.headers || {}) });
+    res.end(JSON.stringify(body));
+
+    if (turn >= script.length && args.includes('--exit-when-done')) {
+      server.close();
+    }
+  });
+});
+
+server.listen(port, '127.0.0.1', () => {
+  console.log(`🧪 Fake Messages API listening on http://127.0.0.1:${port} (${script.length} scripted responses)`);
+});
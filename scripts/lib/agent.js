@@ -0,0 +1,362 @@
+/**
+ * Agent mode
+ *
+ * Multi-turn tool-use loop: instead of guessing from a file list, the model
+ * reads files, lists directories and greps the working directory, proposes
+ * edits one at a time, and calls `finish` when done. Each turn is a plain
+ * Messages API request, so the loop runs against any endpoint that speaks
+ * that protocol — including a local scripted fake.
+ *
+ * Reads are logged per file (`full` or `partial`): a file the model only
+ * read in part, or never read and too large to write from memory, cannot
+ * be rewritten with "modify" or "create".
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createPathPolicy } = require('./path-policy');
+const { applyPatch } = require('./patch');
+const { matchGlob } = require('./glob');
+const { ACTIONS, MODIFICATION_SCHEMA, validateModification } = require('./modifications');
+const { LARGE_FILE_BYTES } = require('./regions');
+const { formatSyntaxError, validateSyntax } = require('./syntax');
+const { isSecretFile } = require('./secrets');
+
+const MAX_READ_BYTES = 64 * 1024;
+const MAX_GREP_MATCHES = 100;
+const MAX_LIST_ENTRIES = 300;
+// Input plus output tokens of one session
+const DEFAULT_MAX_TOTAL_TOKENS = 600000;
+
+// Never shown to the model even though they are inside the working dir
+const UNREADABLE = ['.git/', '.env', '.env.*'];
+
+// Region edits need the outline of a prompt-packed file; the agent reads line ranges instead
+const EDIT_SCHEMA = {
+  ...MODIFICATION_SCHEMA,
+  properties: {
+    ...Object.fromEntries(Object.entries(MODIFICATION_SCHEMA.properties).filter(([name]) => name !== 'region')),
+    action: { type: 'string', enum: ACTIONS.filter((action) => action !== 'region') },
+  },
+};
+
+const TOOLS = [
+  {
+    name: 'read_file',
+    description: 'Read a file from the repository. Optionally restrict to a 1-based inclusive line range. Output is prefixed with line numbers.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'Path relative to the repository root' },
+        start_line: { type: 'integer', minimum: 1 },
+        end_line: { type: 'integer', minimum: 1 },
+      },
+      required: ['path'],
+    },
+  },
+  {
+    name: 'list_dir',
+    description: 'List the entries of a directory. Directories end with "/".',
+    input_schema: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'Directory relative to the repository root ("." for the root)' },
+      },
+      required: ['path'],
+    },
+  },
+  {
+    name: 'grep',
+    description: 'Search repository source files with a JavaScript regular expression. Returns "path:line: text" matches.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        pattern: { type: 'string' },
+        glob: { type: 'string', description: 'Only search files matching this glob, e.g. "src/**/*.tsx"' },
+        ignore_case: { type: 'boolean' },
+      },
+      required: ['pattern'],
+    },
+  },
+  {
+    name: 'propose_edit',
+    description: 'Propose one file modification. Use action "patch" with "edits" (search/replace blocks) for existing files, "create" with full "content" for new files, or "delete". The edit is validated immediately and an error is returned if it cannot be applied.',
+    input_schema: EDIT_SCHEMA,
+  },
+  {
+    name: 'finish',
+    description: 'Call when every edit has been proposed. Ends the session.',
+    input_schema: {
+      type: 'object',
+      properties: { summary: { type: 'string' } },
+      required: ['summary'],
+    },
+  },
+];
+
+const AGENT_INSTRUCTIONS = `**How to work (agent mode):**
+You have tools to explore the repository and propose edits. Do not guess file contents — read them first.
+1. Use list_dir, grep and read_file to find and read every file you need to change, and their callers.
+2. Call propose_edit once per file modification. Prefer action "patch" with small search/replace "edits" copied exactly from what read_file returned (without the line-number prefixes).
+3. If propose_edit returns an error (including a syntax error in the resulting file), read the file again and send a corrected edit.
+4. When all edits are proposed, call finish with a one-paragraph summary.`;
+
+/**
+ * Tool executors bound to a working directory
+ */
+function createToolbox(workingDir, files, policyOptions = {}) {
+  const policy = createPathPolicy(workingDir, policyOptions);
+  const root = policy.root;
+  const proposals = [];
+  const overlay = new Map();
+  // 'full' once a read returned the whole file, 'partial' for ranges and cut-off reads
+  const views = new Map();
+
+  function resolveReadable(relativePath) {
+    const normalized = (relativePath || '.').replace(/\\/g, '/').replace(/^\.\/|^\.$/, '');
+    const absolute = path.resolve(root, normalized || '.');
+    const rel = path.relative(root, absolute);
+    if (rel.startsWith('..') || path.isAbsolute(rel)) throw new Error('Path is outside the repository');
+
+    let real = absolute;
+    if (fs.existsSync(absolute)) real = fs.realpathSync(absolute);
+    const realRel = path.relative(root, real);
+    if (realRel.startsWith('..') || path.isAbsolute(realRel)) throw new Error('Path resolves outside the repository');
+
+    // A symlink is checked as itself and as its target, so `notes.txt -> .env` stays unreadable
+    const posix = rel.split(path.sep).join('/');
+    const realPosix = realRel.split(path.sep).join('/');
+    const unreadable = (p) => p && (UNREADABLE.some((pattern) => matchGlob(p, pattern)) || isSecretFile(p));
+    if (unreadable(posix) || unreadable(realPosix)) throw new Error('Path is not readable');
+    return { absolute: real, relative: posix };
+  }
+
+  function currentContent(relativePath, absolute) {
+    if (overlay.has(relativePath)) return overlay.get(relativePath);
+    return fs.existsSync(absolute) ? fs.readFileSync(absolute, 'utf-8') : null;
+  }
+
+  const handlers = {
+    read_file({ path: p, start_line: start, end_line: end }) {
+      const { absolute, relative } = resolveReadable(p);
+      if (fs.existsSync(absolute) && fs.statSync(absolute).isDirectory()) throw new Error(`${p} is a directory`);
+      const content = currentContent(relative, absolute);
+      if (content === null) throw new Error(`File not found: ${p}`);
+
+      const lines = content.split('\n');
+      const from = Math.max((start || 1) - 1, 0);
+      const to = Math.min(end || lines.length, lines.length);
+      let output = '';
+      let whole = from === 0 && to === lines.length;
+      for (let i = from; i < to; i++) {
+        const line = `${String(i + 1).padStart(5)}| ${lines[i]}\n`;
+        if (output.length + line.length > MAX_READ_BYTES) {
+          output += `... [output truncated at line ${i}; request a line range with start_line/end_line]\n`;
+          whole = false;
+          break;
+        }
+        output += line;
+      }
+      if (whole) views.set(relative, 'full');
+      else if (!views.has(relative)) views.set(relative, 'partial');
+      return `${relative} (${lines.length} lines)\n${output}`;
+    },
+
+    list_dir({ path: p }) {
+      const { absolute, relative } = resolveReadable(p);
+      if (!fs.existsSync(absolute) || !fs.statSync(absolute).isDirectory()) throw new Error(`Not a directory: ${p}`);
+
+      const entries = fs.readdirSync(absolute, { withFileTypes: true })
+        .filter((e) => e.name !== '.git' && e.name !== 'node_modules')
+        .map((e) => (e.isDirectory() ? `${e.name}/` : e.name))
+        .sort();
+      const shown = entries.slice(0, MAX_LIST_ENTRIES);
+      const more = entries.length > shown.length ? `\n... ${entries.length - shown.length} more` : '';
+      return `${relative || '.'}/\n${shown.join('\n')}${more}`;
+    },
+
+    grep({ pattern, glob, ignore_case: ignoreCase }) {
+      let regex;
+      try {
+        regex = new RegExp(pattern, ignoreCase ? 'i' : '');
+      } catch (error) {
+        throw new Error(`Invalid regular expression: ${error.message}`);
+      }
+
+      const matches = [];
+      for (const file of files) {
+        if (glob && !matchGlob(file, glob)) continue;
+        let content;
+        try {
+          content = currentContent(file, path.join(root, file));
+        } catch {
+          continue;
+        }
+        if (content === null) continue;
+
+        const lines = content.split('\n');
+        for (let i = 0; i < lines.length; i++) {
+          if (regex.test(lines[i])) {
+            matches.push(`${file}:${i + 1}: ${lines[i].trim().slice(0, 200)}`);
+            if (matches.length >= MAX_GREP_MATCHES) {
+              return `${matches.join('\n')}\n... [stopped after ${MAX_GREP_MATCHES} matches]`;
+            }
+          }
+        }
+      }
+      return matches.length ? matches.join('\n') : 'No matches';
+    },
+
+    propose_edit(input) {
+      const invalid = validateModification(input);
+      if (invalid.length) throw new Error(`Invalid edit: ${invalid.map((e) => `${e.path}: ${e.message}`).join('; ')}`);
+
+      const checked = policy.check(input);
+      if (!checked.ok) throw new Error(`Rejected (${checked.code}): ${checked.reason}`);
+
+      const before = currentContent(checked.relativePath, checked.absolutePath);
+      let after = input.content;
+
+      if (input.action === 'region') {
+        throw new Error('Region edits are not available in agent mode; read the lines you need and use "patch" edits');
+      }
+      // Files this session wrote are known in full; anything else must have been read whole
+      const rewrite = (input.action === 'modify' || input.action === 'create') && before !== null && !overlay.has(checked.relativePath);
+      if (rewrite && views.get(checked.relativePath) !== 'full') {
+        if (views.has(checked.relativePath)) {
+          throw new Error(`${checked.relativePath} was only read in part, so rewriting it would drop the rest; use "patch" edits`);
+        }
+        if (Buffer.byteLength(before, 'utf-8') > LARGE_FILE_BYTES) {
+          throw new Error(`${checked.relativePath} is large and was not read; read it and use "patch" edits instead of rewriting it`);
+        }
+      }
+
+      if (input.action === 'patch') {
+        if (before === null) throw new Error(`Cannot patch ${input.path}: file does not exist`);
+        const result = applyPatch(before, input);
+        if (!result.ok) {
+          const details = result.hunks
+            .filter((h) => h.status === 'conflict')
+            .map((h) => `edit #${h.index + 1}: ${h.reason}`)
+            .join('; ');
+          throw new Error(`Patch does not apply: ${details}`);
+        }
+        after = result.content;
+      } else if (input.action === 'delete') {
+        if (before === null) throw new Error(`Cannot delete ${input.path}: file does not exist`);
+        after = null;
+      }
+
+      // Broken output goes straight back to the model; files that did not parse before are left alone
+      if (after !== null) {
+        const syntax = validateSyntax(checked.relativePath, after, { root });
+        if (!syntax.ok && (before === null || validateSyntax(checked.relativePath, before, { root }).ok)) {
+          throw new Error(`Syntax error (${syntax.parser}) in ${checked.relativePath}: ${syntax.errors.map(formatSyntaxError).join('; ')}`);
+        }
+      }
+
+      overlay.set(checked.relativePath, after);
+      proposals.push({ ...input, path: checked.relativePath });
+      return `Accepted ${input.action} for ${checked.relativePath} (${proposals.length} edit(s) so far)`;
+    },
+  };
+
+  function execute(name, input) {
+    const handler = handlers[name];
+    if (!handler) throw new Error(`Unknown tool: ${name}`);
+    return handler(input || {});
+  }
+
+  return { execute, proposals, views };
+}
+
+/**
+ * Run the agent loop. `sendMessages(body)` performs one Messages API call
+ * and resolves to the parsed response. Throws when the turn or token limit
+ * is reached before the model finishes, as its edits may be incomplete.
+ */
+async function runAgent({ sendMessages, system, prompt, workingDir, files, maxTurns = 25, maxTotalTokens = DEFAULT_MAX_TOTAL_TOKENS, policyOptions, log = console.log }) {
+  const toolbox = createToolbox(workingDir, files, policyOptions);
+  const messages = [{ role: 'user', content: prompt }];
+  const usage = { input_tokens: 0, output_tokens: 0 };
+  let summary = null;
+  let turn = 0;
+  let stopped = false;
+
+  while (turn < maxTurns) {
+    turn++;
+    const data = await sendMessages({ system, messages, tools: TOOLS });
+    usage.input_tokens += data.usage?.input_tokens || 0;
+    usage.output_tokens += data.usage?.output_tokens || 0;
+
+    messages.push({ role: 'assistant', content: data.content });
+    const toolUses = data.content.filter((block) => block.type === 'tool_use');
+    const truncated = new Set(Object.keys(data.truncatedToolInputs || {}));
+
+    if (toolUses.length === 0) {
+      if (data.stop_reason === 'max_tokens') {
+        log(`  ✂️  Turn ${turn}: output cut off at max_tokens — asking the model to continue with tool calls`);
+        messages.push({ role: 'user', content: 'Your response was cut off by the output token limit. Continue by calling tools; keep each propose_edit small.' });
+        continue;
+      }
+      log(`  🏁 Turn ${turn}: model stopped without calling finish (stop_reason: ${data.stop_reason})`);
+      stopped = true;
+      break;
+    }
+
+    const results = [];
+    for (const call of toolUses) {
+      if (truncated.has(call.id)) {
+        log(`  ✂️  Turn ${turn}: ${call.name} call was cut off at max_tokens`);
+        results.push({ type: 'tool_result', tool_use_id: call.id, content: 'This tool call was cut off by the output token limit and was not executed. Send it again, split into smaller edits.', is_error: true });
+        continue;
+      }
+      if (call.name === 'finish') {
+        summary = call.input?.summary || '';
+        results.push({ type: 'tool_result', tool_use_id: call.id, content: 'Session finished' });
+        continue;
+      }
+
+      try {
+        const output = toolbox.execute(call.name, call.input);
+        log(`  🔧 Turn ${turn}: ${call.name}(${describeInput(call.input)})`);
+        results.push({ type: 'tool_result', tool_use_id: call.id, content: output });
+      } catch (error) {
+        log(`  ⚠️  Turn ${turn}: ${call.name}(${describeInput(call.input)}) — ${error.message}`);
+        results.push({ type: 'tool_result', tool_use_id: call.id, content: error.message, is_error: true });
+      }
+    }
+    messages.push({ role: 'user', content: results });
+
+    if (summary !== null) {
+      log(`  🏁 Turn ${turn}: finished — ${summary.slice(0, 200)}`);
+      stopped = true;
+      break;
+    }
+
+    const total = usage.input_tokens + usage.output_tokens;
+    if (total >= maxTotalTokens) {
+      throw new Error(`Agent reached its token limit (${total} >= ${maxTotalTokens}) before finishing; its ${toolbox.proposals.length} edit(s) were discarded`);
+    }
+  }
+
+  if (!stopped) {
+    throw new Error(`Agent did not finish within ${maxTurns} turn(s); its ${toolbox.proposals.length} edit(s) were discarded`);
+  }
+  return { modifications: toolbox.proposals, summary, turns: turn, usage, views: toolbox.views };
+}
+
+function describeInput(input = {}) {
+  if (input.path && input.action) return `${input.action} ${input.path}`;
+  if (input.path) return input.path;
+  if (input.pattern) return `/${input.pattern}/${input.glob ? ` in ${input.glob}` : ''}`;
+  return '';
+}
+
+module.exports = {
+  AGENT_INSTRUCTIONS,
+  DEFAULT_MAX_TOTAL_TOKENS,
+  TOOLS,
+  createToolbox,
+  runAgent,
+};
@@ -0,0 +1,121 @@
+/**
+ * Branding linter
+ *
+ * Checks the lines a change adds for colors outside the project's design
+ * tokens (hex / rgb / hsl literals and stock Tailwind color classes) and
+ * for placeholder brand names when the real project name is known. Only
+ * added lines are checked, so existing off-palette code is never blamed
+ * on the model.
+ */
+
+const path = require('path');
+const { diffLines } = require('./diff');
+const { normalizeColor } = require('./design-tokens');
+
+const STYLED_EXTENSIONS = ['.css', '.scss', '.sass', '.less', '.js', '.jsx', '.ts', '.tsx', '.svelte', '.vue', '.astro', '.html', '.mdx'];
+
+// Pure black and white are never considered off-brand
+const NEUTRAL_COLORS = ['#000000', '#ffffff'];
+
+const TAILWIND_PALETTE = [
+  'slate', 'gray', 'zinc', 'neutral', 'stone', 'red', 'orange', 'amber', 'yellow', 'lime', 'green',
+  'emerald', 'teal', 'cyan', 'sky', 'blue', 'indigo', 'violet', 'purple', 'fuchsia', 'pink', 'rose',
+];
+
+const TAILWIND_COLOR_CLASS = new RegExp(
+  `(?<![\\w-])(?:[\\w-]+:)*(?:bg|text|border(?:-[xytrbl])?|ring(?:-offset)?|from|via|to|fill|stroke|outline|divide|decoration|accent|caret|placeholder|shadow)-(${TAILWIND_PALETTE.join('|')})-(?:50|[1-9]00|950)(?:\\/\\d+)?(?![\\w-])`,
+  'g',
+);
+
+const COLOR_LITERAL = /(?<![\w&/-])#(?:[0-9a-fA-F]{8}|[0-9a-fA-F]{6}|[0-9a-fA-F]{3,4})(?![\w-])|\b(?:rgba?|hsla?)\(\s*\d[^)]*\)/g;
+
+const PLACEHOLDER_NAMES = /\b(Your ?Brand|Your ?Company|Company ?Name|Brand ?Name|Acme(?: (?:Inc|Corp|Co)\.?)?|MyApp|My App|Lorem ipsum)\b/gi;
+
+/**
+ * Lines added by a change as `[{ line, text }]` (1-based, in the new file)
+ */
+function addedLines(before, after) {
+  const result = [];
+  const ops = diffLines(before === null ? [] : before.split('\n'), after.split('\n'));
+  let line = 0;
+  for (const op of ops) {
+    if (op.type === '-') continue;
+    line++;
+    if (op.type === '+') result.push({ line, text: op.line });
+  }
+  return result;
+}
+
+/**
+ * Lint planned changes. `changes` are `{ path, before, after }` records;
+ * returns `[{ path, line, rule, message, excerpt }]`.
+ */
+function lintBranding(changes, tokens, { projectName } = {}) {
+  const violations = [];
+  const palette = new Set([...(tokens && tokens.palette) || [], ...NEUTRAL_COLORS]);
+  const colorNames = new Set((tokens && tokens.colorNames) || []);
+  const checkColors = Boolean(tokens && tokens.palette && tokens.palette.length);
+  const name = projectName ? projectName.replace(/^@[^/]+\//, '') : null;
+
+  for (const change of changes) {
+    if (change.after === null || change.after === undefined) continue;
+    const styled = STYLED_EXTENSIONS.includes(path.extname(change.path).toLowerCase());
+
+    for (const { line, text } of addedLines(change.before, change.after)) {
+      const report = (rule, message) => violations.push({ path: change.path, line, rule, message, excerpt: text.trim().slice(0, 160) });
+
+      if (checkColors && styled && !/\b(?:href|id|to)=/.test(text)) {
+        for (const match of text.matchAll(COLOR_LITERAL)) {
+          const hex = normalizeColor(match[0]);
+          if (hex && !palette.has(hex)) report('off-palette-color', `${match[0]} is not in the project palette`);
+        }
+        for (const match of text.matchAll(TAILWIND_COLOR_CLASS)) {
+          if (!colorNames.has(match[1])) report('off-palette-class', `${match[0].trim()} uses Tailwind's stock ${match[1]} instead of a project color`);
+        }
+      }
+
+      if (name) {
+        for (const match of text.matchAll(PLACEHOLDER_NAMES)) {
+          if (!name.toLowerCase().includes(match[0].toLowerCase())) {
+            report('placeholder-name', `"${match[0]}" looks like a placeholder; the project is called "${name}"`);
+          }
+        }
+      }
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Violations as a correction request for the model
+ */
+function formatViolationsForPrompt(violations, changes) {
+  const byPath = new Map();
+  for (const v of violations) {
+    if (!byPath.has(v.path)) byPath.set(v.path, []);
+    byPath.get(v.path).push(v);
+  }
+
+  const sections = [...byPath.entries()].map(([file, list]) => {
+    const current = changes.filter((c) => c.path === file).pop();
+    return `## ${file}
+${list.map((v) => `- line ${v.line} [${v.rule}]: ${v.message}\n  > ${v.excerpt}`).join('\n')}
+
+Current content:
+\`\`\`
+${current ? current.after : ''}
+\`\`\``;
+  });
+
+  return `Your changes break the project's branding rules. Fix ONLY the violations below using "patch" edits against the current content shown — replace off-palette colors with the closest project color token and placeholder names with the real project name. Do not make any other changes.
+
+${sections.join('\n\n')}`;
+}
+
+module.exports = {
+  TAILWIND_PALETTE,
+  addedLines,
+  formatViolationsForPrompt,
+  lintBranding,
+};
@@ -0,0 +1,258 @@
+/**
+ * Token accounting and per-job budget
+ *
+ * Every model call is priced from its `usage` block and appended to a
+ * ledger file shared by all driver invocations of one job — the initial
+ * run and each fix-mode run — so the job as a whole stops at its token /
+ * dollar budget instead of every run starting from zero. Requests are
+ * estimated before they are sent — their input plus the output they may
+ * generate — and refused when they cannot fit in what is left.
+ *
+ * The ledger lives in the file the job names (`--budget-file`, which
+ * `retools run` sets to one in the job's work directory) or in
+ * RETOOLS_BUDGET_FILE. In Actions it otherwise defaults to one per
+ * workflow run attempt in RUNNER_TEMP; anywhere else there is no shared
+ * ledger and the budget covers the one process. Limits come from
+ * RETOOLS_BUDGET_TOKENS and RETOOLS_BUDGET_USD.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { estimateTokens } = require('./tokens');
+
+const DEFAULT_BUDGET_TOKENS = 2000000;
+const DEFAULT_BUDGET_USD = 10;
+const DEFAULT_CONTEXT_WINDOW = 128000;
+
+// List prices in USD per million tokens; the first matching prefix wins.
+// RETOOLS_PRICE_INPUT / RETOOLS_PRICE_OUTPUT override them.
+const MODELS = [
+  { prefix: 'claude-opus-4-5', input: 5, output: 25, contextWindow: 200000 },
+  { prefix: 'claude-opus-4', input: 15, output: 75, contextWindow: 200000 },
+  { prefix: 'claude-sonnet-4', input: 3, output: 15, contextWindow: 200000 },
+  { prefix: 'claude-3-7-sonnet', input: 3, output: 15, contextWindow: 200000 },
+  { prefix: 'claude-3-5-sonnet', input: 3, output: 15, contextWindow: 200000 },
+  { prefix: 'claude-haiku-4', input: 1, output: 5, contextWindow: 200000 },
+  { prefix: 'claude-3-5-haiku', input: 0.8, output: 4, contextWindow: 200000 },
+  { prefix: 'gpt-4o-mini', input: 0.15, output: 0.6, contextWindow: 128000 },
+  { prefix: 'gpt-4o', input: 2.5, output: 10, contextWindow: 128000 },
+  { prefix: 'gpt-4.1-mini', input: 0.4, output: 1.6, contextWindow: 1047576 },
+  { prefix: 'gpt-4.1', input: 2, output: 8, contextWindow: 1047576 },
+];
+
+class BudgetExceededError extends Error {
+  constructor(message, totals) {
+    super(message);
+    this.name = 'BudgetExceededError';
+    this.totals = totals;
+  }
+}
+
+/**
+ * Ledger file of the current job, or null when nothing scopes one (a run
+ * outside Actions without RETOOLS_BUDGET_FILE)
+ */
+function defaultLedgerPath() {
+  if (process.env.RETOOLS_BUDGET_FILE) return process.env.RETOOLS_BUDGET_FILE;
+  if (!process.env.GITHUB_RUN_ID) return null;
+  const run = `${process.env.GITHUB_RUN_ID}-${process.env.GITHUB_RUN_ATTEMPT || '1'}`;
+  return path.join(process.env.RUNNER_TEMP || os.tmpdir(), `retools-budget-${run}.json`);
+}
+
+function modelInfo(model) {
+  return MODELS.find((entry) => String(model || '').startsWith(entry.prefix)) || null;
+}
+
+/**
+ * `{ input, output }` USD per million tokens for a model, or null when unknown
+ */
+function pricingFor(model) {
+  const input = parseFloat(process.env.RETOOLS_PRICE_INPUT || '');
+  const output = parseFloat(process.env.RETOOLS_PRICE_OUTPUT || '');
+  if (!Number.isNaN(input) && !Number.isNaN(output)) return { input, output };
+  const info = modelInfo(model);
+  return info ? { input: info.input, output: info.output } : null;
+}
+
+function contextWindowFor(model) {
+  const info = modelInfo(model);
+  return info ? info.contextWindow : DEFAULT_CONTEXT_WINDOW;
+}
+
+/**
+ * Estimated USD cost of a usage block, or null for unpriced models
+ */
+function costOf(model, usage) {
+  const pricing = pricingFor(model);
+  if (!pricing) return null;
+  const cost = ((usage.input_tokens || 0) * pricing.input + (usage.output_tokens || 0) * pricing.output) / 1e6;
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+/**
+ * Rough input size of a Messages request (system, messages and tool schemas)
+ */
+function estimateRequestTokens({ system, messages = [], tools = [] }) {
+  const text = (content) => (typeof content === 'string' ? content : JSON.stringify(content));
+  return estimateTokens(text(system || ''))
+    + messages.reduce((sum, message) => sum + estimateTokens(text(message.content)), 0)
+    + (tools && tools.length ? estimateTokens(JSON.stringify(tools)) : 0);
+}
+
+function readLedger(file = defaultLedgerPath()) {
+  if (!file) return { calls: [] };
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch {
+    return { calls: [] };
+  }
+}
+
+/**
+ * Totals over a ledger's calls. `cost_usd` is null when no call was priced;
+ * `unpriced_calls` counts calls to models without a known price.
+ */
+function summarize(ledger) {
+  const totals = { calls: 0, input_tokens: 0, output_tokens: 0, total_tokens: 0, cost_usd: null, unpriced_calls: 0 };
+  for (const call of ledger.calls || []) {
+    totals.calls++;
+    totals.input_tokens += call.input_tokens;
+    totals.output_tokens += call.output_tokens;
+    if (call.cost_usd === null) totals.unpriced_calls++;
+    else totals.cost_usd = Math.round(((totals.cost_usd || 0) + call.cost_usd) * 1e6) / 1e6;
+  }
+  totals.total_tokens = totals.input_tokens + totals.output_tokens;
+  return totals;
+}
+
+function parseLimit(value, fallback) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const number = Number(value);
+  // 0 (or anything non-numeric) disables the limit
+  return Number.isFinite(number) && number > 0 ? number : null;
+}
+
+/**
+ * Open the job's budget. Limits default to RETOOLS_BUDGET_TOKENS /
+ * RETOOLS_BUDGET_USD, then DEFAULT_BUDGET_TOKENS / DEFAULT_BUDGET_USD.
+ * Without a ledger `file` the calls are only kept in memory.
+ */
+function createBudget({ file = defaultLedgerPath(), maxTokens, maxCostUsd } = {}) {
+  const limits = {
+    tokens: parseLimit(maxTokens ?? process.env.RETOOLS_BUDGET_TOKENS, DEFAULT_BUDGET_TOKENS),
+    usd: parseLimit(maxCostUsd ?? process.env.RETOOLS_BUDGET_USD, DEFAULT_BUDGET_USD),
+  };
+  if (limits.tokens !== null) limits.tokens = Math.floor(limits.tokens);
+
+  const memory = { calls: [] };
+  const load = () => (file ? readLedger(file) : memory);
+  const totals = () => summarize(load());
+
+  /** Tokens left before the token limit (Infinity when unlimited) */
+  function remainingTokens() {
+    return limits.tokens === null ? Infinity : Math.max(0, limits.tokens - totals().total_tokens);
+  }
+
+  /**
+   * Throw BudgetExceededError if a request of `estimatedInput` tokens to
+   * `model`, allowed to generate up to `maxOutput` tokens, could go over
+   * either limit
+   */
+  function check(model, estimatedInput, maxOutput = 0) {
+    const spent = totals();
+    const needed = estimatedInput + maxOutput;
+    if (limits.tokens !== null && spent.total_tokens + needed > limits.tokens) {
+      throw new BudgetExceededError(
+        `Token budget exhausted: ${spent.total_tokens} of ${limits.tokens} tokens used, next request needs up to ~${needed} (${estimatedInput} in, ${maxOutput} out)`,
+        spent,
+      );
+    }
+    const nextCost = costOf(model, { input_tokens: estimatedInput, output_tokens: maxOutput });
+    if (limits.usd !== null && nextCost !== null && (spent.cost_usd || 0) + nextCost > limits.usd) {
+      throw new BudgetExceededError(
+        `Cost budget exhausted: ~$${(spent.cost_usd || 0).toFixed(2)} of $${limits.usd.toFixed(2)} used, next request ~$${nextCost.toFixed(2)}`,
+        spent,
+      );
+    }
+  }
+
+  /** Append one call's usage to the ledger */
+  function record(model, usage = {}, meta = {}) {
+    const ledger = load();
+    const entry = {
+      at: new Date().toISOString(),
+      ...meta,
+      model,
+      input_tokens: usage.input_tokens || 0,
+      output_tokens: usage.output_tokens || 0,
+      cost_usd: costOf(model, usage),
+    };
+    ledger.calls = [...(ledger.calls || []), entry];
+    if (!file) return entry;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(ledger, null, 2));
+    fs.renameSync(tmp, file);
+    return entry;
+  }
+
+  return { file, limits, totals, remainingTokens, check, record };
+}
+
+/**
+ * Wrap a provider so every request is checked against the budget before it
+ * is sent and its usage recorded afterwards. A request counts with its full
+ * output allowance (`max_tokens`, else the provider's), so no single call
+ * can take the job past its limit.
+ */
+function withBudget(provider, budget, meta = {}) {
+  return {
+    ...provider,
+    async createMessage(request) {
+      const estimate = estimateRequestTokens(request);
+      const window = contextWindowFor(provider.model);
+      if (estimate > window) {
+        throw new Error(`Request is ~${estimate} tokens, over the ${window}-token context window of ${provider.model}`);
+      }
+      budget.check(provider.model, estimate, request.max_tokens || provider.maxTokens || 0);
+
+      const response = await provider.createMessage(request);
+      budget.record(provider.model, response.usage, meta);
+      return response;
+    },
+  };
+}
+
+/**
+ * Job usage as sent in webhook payloads and written to the manifest
+ */
+function usageReport(budget) {
+  const totals = budget.totals();
+  return {
+    calls: totals.calls,
+    input_tokens: totals.input_tokens,
+    output_tokens: totals.output_tokens,
+    total_tokens: totals.total_tokens,
+    cost_usd: totals.cost_usd,
+    budget_tokens: budget.limits.tokens,
+    budget_usd: budget.limits.usd,
+  };
+}
+
+module.exports = {
+  BudgetExceededError,
+  DEFAULT_BUDGET_TOKENS,
+  DEFAULT_BUDGET_USD,
+  MODELS,
+  contextWindowFor,
+  costOf,
+  createBudget,
+  defaultLedgerPath,
+  estimateRequestTokens,
+  pricingFor,
+  readLedger,
+  summarize,
+  usageReport,
+  withBudget,
+};
@@ -0,0 +1,349 @@
+/**
+ * Build error parsing
+ *
+ * Turns raw build/lint output into structured `{ file, line, column, code,
+ * message, tool }` records. Understands tsc, Vite/Rollup/esbuild, Next.js,
+ * SvelteKit (vite-plugin-svelte and svelte-check), ESLint, webpack and Babel
+ * output, and failed tests from Jest, Vitest and node:test. Cascading errors
+ * are dropped so the fix request focuses on causes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ANSI_RE = /\x1b\[[0-9;]*[A-Za-z]/g;
+
+// Error codes / messages that usually invalidate everything after them in a file
+const SYNTAX_ERROR_RE = /^TS1\d{3}$|syntax|unexpected token|expected ["'`;),\]}]|unterminated|parse/i;
+
+const SOURCE_FILE = String.raw`((?:[A-Za-z]:)?[^\s:()'"]+\.(?:[cm]?[jt]sx?|svelte|vue|astro|css|scss|sass|less|json|mdx?|html))`;
+
+/**
+ * Single-line patterns. Order matters: the first matching pattern wins.
+ */
+const LINE_PATTERNS = [
+  // tsc (default): src/a.ts(12,5): error TS2322: Message
+  {
+    tool: 'tsc',
+    re: new RegExp(`^${SOURCE_FILE}\\((\\d+),(\\d+)\\): (?:error|warning) (TS\\d+): (.+)$`),
+    map: (m) => ({ file: m[1], line: m[2], column: m[3], code: m[4], message: m[5] }),
+  },
+  // tsc --pretty: src/a.ts:12:5 - error TS2322: Message
+  {
+    tool: 'tsc',
+    re: new RegExp(`^${SOURCE_FILE}:(\\d+):(\\d+) - (?:error|warning) (TS\\d+): (.+)$`),
+    map: (m) => ({ file: m[1], line: m[2], column: m[3], code: m[4], message: m[5] }),
+  },
+  // Babel: SyntaxError: /abs/src/a.js: Unexpected token (12:5)
+  {
+    tool: 'babel',
+    re: new RegExp(`(\\w*Error): ${SOURCE_FILE}: (.+?) \\((\\d+):(\\d+)\\)`),
+    map: (m) => ({ file: m[2], line: m[4], column: m[5], code: m[1], message: m[3] }),
+  },
+  // vite-plugin-svelte: [vite-plugin-svelte] src/routes/+page.svelte:12:5 Message
+  {
+    tool: 'svelte',
+    re: new RegExp(`\\[(?:vite-plugin-svelte|plugin:vite-plugin-svelte[^\\]]*)\\] ${SOURCE_FILE}:(\\d+):(\\d+) (.+)$`),
+    map: (m) => ({ file: m[1], line: m[2], column: m[3], message: m[4] }),
+  },
+  // esbuild (via Vite): src/a.ts:3:4: ERROR: Expected ";" but found "x"
+  {
+    tool: 'esbuild',
+    re: new RegExp(`^${SOURCE_FILE}:(\\d+):(\\d+): ERROR: (.+)$`),
+    map: (m) => ({ file: m[1], line: m[2], column: m[3], message: m[4] }),
+  },
+  // Rollup / Vite: Rollup failed to resolve import "x" from "src/a.ts".
+  {
+    tool: 'vite',
+    re: new RegExp(`(?:\\[vite\\]: )?Rollup failed to resolve import "([^"]+)" from "${SOURCE_FILE}"`),
+    map: (m) => ({ file: m[2], code: 'UNRESOLVED_IMPORT', message: `Failed to resolve import "${m[1]}"` }),
+  },
+  // ESLint unix formatter: src/a.js:12:5: Message [Error/no-undef]
+  {
+    tool: 'eslint',
+    re: new RegExp(`^${SOURCE_FILE}:(\\d+):(\\d+): (.+?) \\[(?:Error|Warning)/([^\\]]+)\\]$`),
+    map: (m) => ({ file: m[1], line: m[2], column: m[3], code: m[5], message: m[4] }),
+  },
+];
+
+/**
+ * Multi-line patterns: a location line followed by the message on later lines
+ */
+function parseMultiLine(lines, errors) {
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const next = (offset = 1) => (lines[i + offset] || '').trim();
+    let m;
+
+    // Next.js: ./src/app/page.tsx:12:5 \n Type error: Message
+    if ((m = line.match(new RegExp(`^\\.?/?${SOURCE_FILE}:(\\d+):(\\d+)\\s*$`)))) {
+      const message = next();
+      if (/^(Type error|Syntax error|Error|Module not found)/i.test(message)) {
+        errors.push({ tool: 'next', file: m[1], line: m[2], column: m[3], message: message.replace(/^Error: /, '') });
+        continue;
+      }
+    }
+
+    // Next.js / webpack without position: ./src/a.tsx \n Module not found: Can't resolve 'x'
+    if ((m = line.match(new RegExp(`^\\.\\/${SOURCE_FILE}\\s*$`)))) {
+      const message = next();
+      if (/^(Module not found|Module parse failed|Error|Syntax error|Type error)/i.test(message)) {
+        errors.push({ tool: 'next', file: m[1], message });
+        continue;
+      }
+    }
+
+    // webpack: ERROR in ./src/a.js 12:5 \n Module parse failed: ...
+    if ((m = line.match(new RegExp(`^ERROR in \\.?\\/?${SOURCE_FILE}(?:[ :](\\d+):(\\d+)(?:-\\d+)?)?`)))) {
+      let message = next();
+      const code = (message.match(/^(TS\d+):\s*/) || [])[1];
+      if (code) message = message.replace(/^TS\d+:\s*/, '');
+      errors.push({ tool: 'webpack', file: m[1], line: m[2], column: m[3], code, message });
+      continue;
+    }
+
+    // svelte-check human output: /abs/src/routes/+page.svelte:12:5 \n Error: Message
+    if ((m = line.match(new RegExp(`^(?:Error|Warn): ${SOURCE_FILE}:(\\d+):(\\d+)\\s*$`)))) {
+      errors.push({ tool: 'svelte-check', file: m[1], line: m[2], column: m[3], message: next() });
+      continue;
+    }
+
+    // esbuild pretty: ✘ [ERROR] Message \n\n    src/a.ts:3:4:
+    if ((m = line.match(/^\s*(?:✘|X) \[ERROR\] (.+)$/))) {
+      for (let j = 1; j <= 3; j++) {
+        const loc = next(j).match(new RegExp(`^${SOURCE_FILE}:(\\d+):(\\d+):?$`));
+        if (loc) {
+          errors.push({ tool: 'esbuild', file: loc[1], line: loc[2], column: loc[3], message: m[1] });
+          break;
+        }
+      }
+      continue;
+    }
+
+    // Rollup error object: file: /abs/src/a.tsx:12:4
+    if ((m = line.match(new RegExp(`^\\s*file: ${SOURCE_FILE}:(\\d+):(\\d+)`)))) {
+      const messageLine = lines.slice(Math.max(0, i - 4), i).reverse().find((l) => /error/i.test(l)) || '';
+      errors.push({ tool: 'rollup', file: m[1], line: m[2], column: m[3], message: messageLine.replace(/^.*?error[^:]*:\s*/i, '').trim() || 'Build error' });
+      continue;
+    }
+
+    // Jest: "● Suite › test" \n message ... "at Object.<anonymous> (src/a.test.js:4:21)"
+    if ((m = line.match(/^\s*● (.+)$/))) {
+      const message = lines.slice(i + 1, i + 6).map((l) => l.trim()).find(Boolean) || m[1];
+      for (let j = i + 1; j < Math.min(lines.length, i + 60) && !/^\s*● /.test(lines[j]); j++) {
+        const loc = lines[j].match(new RegExp(`^\\s*at .*?\\(?${SOURCE_FILE}:(\\d+):(\\d+)\\)?$`));
+        if (loc && !loc[1].includes('node_modules')) {
+          errors.push({ tool: 'jest', file: loc[1], line: loc[2], column: loc[3], message: `${m[1]}: ${message}` });
+          break;
+        }
+      }
+      continue;
+    }
+
+    // Vitest: "AssertionError: expected 3 to be 4" ... " ❯ src/a.test.ts:5:17"
+    if ((m = line.match(new RegExp(`^\\s*❯ ${SOURCE_FILE}:(\\d+):(\\d+)\\s*$`))) && !m[1].includes('node_modules')) {
+      const messageLine = lines.slice(Math.max(0, i - 12), i).reverse().find((l) => /^\s*\w*(Error|Exception)\b/.test(l)) || '';
+      errors.push({ tool: 'vitest', file: m[1], line: m[2], column: m[3], message: messageLine.trim() || 'Test failed' });
+      continue;
+    }
+
+    // node:test TAP: "location: '/abs/test/a.test.js:3:1'" \n "error: 'Message'"
+    if ((m = line.match(new RegExp(`^\\s*location: '${SOURCE_FILE}:(\\d+):(\\d+)'`)))) {
+      const at = lines.slice(i + 1, i + 6).findIndex((l) => /^\s*error: /.test(l));
+      let message = at === -1 ? '' : lines[i + 1 + at].replace(/^\s*error: /, '').replace(/^'|'$/g, '').trim();
+      // Multi-line errors are YAML block scalars ("error: |-") — use their first line
+      if (/^[|>]/.test(message)) message = (lines[i + 2 + at] || '').trim();
+      errors.push({ tool: 'node-test', file: m[1], line: m[2], column: m[3], message: message || 'Test failed' });
+      continue;
+    }
+
+    // ESLint stylish: a file path line followed by "  12:5  error  Message  rule-id"
+    if ((m = line.match(new RegExp(`^${SOURCE_FILE}$`)))) {
+      const file = m[1];
+      for (let j = i + 1; j < lines.length; j++) {
+        const entry = lines[j].match(/^\s+(\d+):(\d+)\s+error\s+(.+?)(?:\s{2,}(\S+))?\s*$/);
+        if (entry) {
+          errors.push({ tool: 'eslint', file, line: entry[1], column: entry[2], code: entry[4], message: entry[3] });
+        } else if (!/^\s+\d+:\d+\s+warning/.test(lines[j])) {
+          break;
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Make a reported path relative to the working directory
+ */
+function normalizeFile(file, workingDir) {
+  let normalized = file.replace(/\\/g, '/');
+  if (workingDir) {
+    const root = path.resolve(workingDir).replace(/\\/g, '/');
+    if (normalized.startsWith(root + '/')) normalized = normalized.slice(root.length + 1);
+  }
+  // Docker/CI absolute paths that are not the working dir: keep from the first src-ish segment
+  if (path.isAbsolute(normalized) && workingDir && !fs.existsSync(normalized)) {
+    const parts = normalized.split('/');
+    for (let i = 1; i < parts.length; i++) {
+      const candidate = parts.slice(i).join('/');
+      if (fs.existsSync(path.join(workingDir, candidate))) return candidate;
+    }
+  }
+  return normalized.replace(/^\.\//, '');
+}
+
+/**
+ * Parse raw build output into deduplicated, structured errors
+ */
+function parseBuildErrors(output, workingDir = null) {
+  const lines = output.replace(ANSI_RE, '').replace(/\r/g, '').split('\n');
+  const errors = [];
+
+  for (const line of lines) {
+    const trimmed = line.trim();
+    for (const pattern of LINE_PATTERNS) {
+      const m = trimmed.match(pattern.re);
+      if (m) {
+        errors.push({ tool: pattern.tool, ...pattern.map(m) });
+        break;
+      }
+    }
+  }
+  parseMultiLine(lines, errors);
+
+  const normalized = errors.map((e) => ({
+    file: normalizeFile(e.file, workingDir),
+    line: e.line ? parseInt(e.line, 10) : null,
+    column: e.column ? parseInt(e.column, 10) : null,
+    code: e.code || null,
+    message: (e.message || '').trim(),
+    tool: e.tool,
+  }));
+
+  return dedupeErrors(normalized);
+}
+
+/**
+ * Drop exact duplicates (the same error reported by two tools) and errors
+ * that follow a syntax error in the same file — those are almost always
+ * cascades of the first one.
+ */
+function dedupeErrors(errors) {
+  const seen = new Set();
+  const firstSyntaxLine = new Map();
+  const unique = [];
+
+  for (const error of errors) {
+    const key = `${error.file}:${error.line}:${error.message.replace(/\s+/g, ' ').toLowerCase()}`;
+    const looseKey = `${error.file}:${error.line}:${error.code}`;
+    if (seen.has(key) || (error.code && seen.has(looseKey))) continue;
+    seen.add(key);
+    if (error.code) seen.add(looseKey);
+    unique.push(error);
+
+    if (SYNTAX_ERROR_RE.test(error.code || '') || SYNTAX_ERROR_RE.test(error.message)) {
+      const current = firstSyntaxLine.get(error.file);
+      if (current === undefined || (error.line || 0) < current) firstSyntaxLine.set(error.file, error.line || 0);
+    }
+  }
+
+  return unique
+    .filter((error) => {
+      const syntaxLine = firstSyntaxLine.get(error.file);
+      if (syntaxLine === undefined) return true;
+      const isSyntax = SYNTAX_ERROR_RE.test(error.code || '') || SYNTAX_ERROR_RE.test(error.message);
+      return isSyntax ? error.line === syntaxLine || !error.line : (error.line || 0) < syntaxLine;
+    })
+    .sort((a, b) => a.file.localeCompare(b.file) || (a.line || 0) - (b.line || 0));
+}
+
+/**
+ * Collect the source around each error. Small files are attached whole;
+ * larger ones as merged line windows. Returns `[{ path, ranges, content }]`.
+ */
+function collectErrorSlices(errors, workingDir, options = {}) {
+  const contextLines = options.contextLines || 12;
+  const wholeFileLines = options.wholeFileLines || 200;
+  const maxFiles = options.maxFiles || 12;
+  const byFile = new Map();
+
+  for (const error of errors) {
+    if (!byFile.has(error.file)) byFile.set(error.file, []);
+    byFile.get(error.file).push(error.line);
+  }
+
+  const slices = [];
+  for (const [file, errorLines] of byFile) {
+    if (slices.length >= maxFiles) break;
+    const fullPath = path.resolve(workingDir, file);
+    if (!fullPath.startsWith(path.resolve(workingDir) + path.sep)) continue;
+    if (!fs.existsSync(fullPath) || !fs.statSync(fullPath).isFile()) continue;
+
+    const lines = fs.readFileSync(fullPath, 'utf-8').split('\n');
+    const numbered = (from, to) => lines.slice(from, to).map((l, i) => `${String(from + i + 1).padStart(5)}| ${l}`).join('\n');
+
+    if (lines.length <= wholeFileLines || errorLines.every((l) => !l)) {
+      const to = Math.min(lines.length, wholeFileLines * 2);
+      slices.push({ path: file, ranges: [[1, to]], content: numbered(0, to), whole: to === lines.length });
+      continue;
+    }
+
+    const ranges = [];
+    for (const line of errorLines.filter(Boolean).sort((a, b) => a - b)) {
+      const from = Math.max(1, line - contextLines);
+      const to = Math.min(lines.length, line + contextLines);
+      const last = ranges[ranges.length - 1];
+      if (last && from <= last[1] + 1) last[1] = Math.max(last[1], to);
+      else ranges.push([from, to]);
+    }
+
+    slices.push({
+      path: file,
+      ranges,
+      content: ranges.map(([from, to]) => numbered(from - 1, to)).join('\n  ...\n'),
+      whole: false,
+    });
+  }
+
+  return slices;
+}
+
+/**
+ * Render parsed errors and slices as a prompt section
+ */
+function formatBuildErrorsForPrompt(errors, slices) {
+  if (errors.length === 0) return '';
+
+  const list = errors
+    .map((e) => `- ${e.file}${e.line ? `:${e.line}${e.column ? `:${e.column}` : ''}` : ''} [${e.tool}${e.code ? ` ${e.code}` : ''}] ${e.message}`)
+    .join('\n');
+
+  const files = slices
+    .map((s) => `## ${s.path} ${s.whole ? '(entire file)' : `(lines ${s.ranges.map((r) => r.join('-')).join(', ')})`}
+\`\`\`
+${s.content}
+\`\`\``)
+    .join('\n\n');
+
+  return `
+
+═══════════════════════════════════════════════════════
+PARSED BUILD ERRORS (${errors.length}, cascading errors removed)
+═══════════════════════════════════════════════════════
+
+${list}
+
+═══════════════════════════════════════════════════════
+SOURCE OF THE FILES REFERENCED ABOVE (line-numbered; do not copy the "N| " prefixes)
+═══════════════════════════════════════════════════════
+
+${files}
+`;
+}
+
+module.exports = {
+  parseBuildErrors,
+  dedupeErrors,
+  collectErrorSlices,
+  formatBuildErrorsForPrompt,
+};
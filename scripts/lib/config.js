@@ -0,0 +1,172 @@
+/**
+ * Per-repository configuration
+ *
+ * A target repository can tune the driver with a `.retools.json` at its
+ * root (or a `retools` key in its package.json):
+ *
+ *   {
+ *     "files": { "include": ["src/**"], "exclude": ["src/legacy/"], "extensions": [".astro"] },
+ *     "protectedPaths": ["migrations/"],
+ *     "branding": { "stylesheets": ["src/theme.css"], "files": ["docs/brand.md"] },
+ *     "styleRules": ["Use the Button component from src/ui for every button"],
+ *     "validation": { "gates": ["build", "test"], "commands": { "test": "pytest -q" } },
+ *     "model": "claude-sonnet-4-5",
+ *     "limits": { "contextBudget": 60000, "maxTurns": 40, "maxAgentTokens": 400000 }
+ *   }
+ *
+ * Every key is optional. Command-line flags and RETOOLS_* variables win
+ * over the file; the file wins over the built-in defaults.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_GATES } = require('./gates');
+const { validate } = require('./schema');
+
+const CONFIG_FILE = '.retools.json';
+
+const globList = { type: 'array', items: { type: 'string', minLength: 1 } };
+const positiveInteger = { type: 'integer', minimum: 1 };
+
+const CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    $schema: { type: 'string' },
+    files: {
+      type: 'object',
+      properties: {
+        // Only files matching these are scanned (default: everything)
+        include: globList,
+        exclude: globList,
+        // Added to the driver's source extensions
+        extensions: { type: 'array', items: { type: 'string', pattern: '^\\.[A-Za-z0-9._+-]+$' } },
+      },
+      additionalProperties: false,
+    },
+    protectedPaths: globList,
+    branding: {
+      type: 'object',
+      properties: {
+        // Tried before the built-in file name patterns
+        stylesheets: globList,
+        layouts: globList,
+        nav: globList,
+        // Extra files (brand guides, theme modules) sent as they are
+        files: globList,
+      },
+      additionalProperties: false,
+    },
+    styleRules: { type: 'array', items: { type: 'string', minLength: 1 } },
+    validation: {
+      type: 'object',
+      properties: {
+        gates: { type: 'array', items: { type: 'string', enum: DEFAULT_GATES } },
+        // Shell commands run from the repository root instead of the package scripts
+        commands: {
+          type: 'object',
+          properties: Object.fromEntries(DEFAULT_GATES.map((name) => [name, { type: 'string', minLength: 1 }])),
+          additionalProperties: false,
+        },
+      },
+      additionalProperties: false,
+    },
+    model: { type: 'string', minLength: 1 },
+    limits: {
+      type: 'object',
+      properties: {
+        maxScannedFiles: positiveInteger,
+        contextBudget: { type: 'integer', minimum: 1000 },
+        maxTurns: positiveInteger,
+        maxAgentTokens: { type: 'integer', minimum: 1000 },
+        syntaxRepairRounds: { type: 'integer', minimum: 0 },
+      },
+      additionalProperties: false,
+    },
+  },
+  additionalProperties: false,
+};
+
+const EMPTY_CONFIG = {
+  source: null,
+  files: { include: [], exclude: [], extensions: [] },
+  protectedPaths: [],
+  branding: { stylesheets: [], layouts: [], nav: [], files: [] },
+  styleRules: [],
+  validation: { gates: null, commands: {} },
+  model: null,
+  limits: {},
+};
+
+function parseConfig(value, source) {
+  const errors = validate(value, CONFIG_SCHEMA);
+  if (errors.length) {
+    throw new Error(`Invalid ${source}:\n${errors.map((e) => `   ${e.path}: ${e.message}`).join('\n')}`);
+  }
+
+  return {
+    source,
+    files: { ...EMPTY_CONFIG.files, ...value.files },
+    protectedPaths: value.protectedPaths || [],
+    branding: { ...EMPTY_CONFIG.branding, ...value.branding },
+    styleRules: value.styleRules || [],
+    validation: { gates: null, commands: {}, ...value.validation },
+    model: value.model || null,
+    limits: value.limits || {},
+  };
+}
+
+/**
+ * Read the configuration of the repository at `root`. Returns the defaults
+ * (with `source` null) when it has none; throws with every problem listed
+ * when the file is not valid JSON or does not match the schema.
+ */
+function loadConfig(root) {
+  const configPath = path.join(root, CONFIG_FILE);
+  const pkgPath = path.join(root, 'package.json');
+
+  let fromFile;
+  if (fs.existsSync(configPath)) {
+    try {
+      fromFile = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+    } catch (error) {
+      throw new Error(`${CONFIG_FILE} is not valid JSON: ${error.message}`);
+    }
+  }
+
+  let fromPackage;
+  try {
+    fromPackage = JSON.parse(fs.readFileSync(pkgPath, 'utf-8')).retools;
+  } catch {
+    // No package.json, or one the build will complain about
+  }
+
+  if (fromFile !== undefined && fromPackage !== undefined) {
+    throw new Error(`Both ${CONFIG_FILE} and the "retools" key in package.json configure Retools; keep one`);
+  }
+  if (fromFile !== undefined) return parseConfig(fromFile, CONFIG_FILE);
+  if (fromPackage !== undefined) return parseConfig(fromPackage, 'package.json "retools" key');
+  return EMPTY_CONFIG;
+}
+
+/**
+ * Whether a change to the root package.json (`before` → `after`, null when
+ * absent) edits its "retools" key, which is as protected as .retools.json
+ */
+function changesPackageConfig(before, after) {
+  const read = (text) => {
+    try {
+      return JSON.stringify(JSON.parse(text).retools ?? null);
+    } catch {
+      // Absent or unparsable: no config, as loadConfig sees it
+      return 'null';
+    }
+  };
+  return read(before) !== read(after);
+}
+
+module.exports = {
+  CONFIG_FILE,
+  CONFIG_SCHEMA,
+  changesPackageConfig,
+  loadConfig,
+};
@@ -0,0 +1,229 @@
+/**
+ * Prompt-aware context selection
+ *
+ * Scores every candidate file by how likely it is to matter for the prompt
+ * (path and keyword hits, identifiers the prompt names, recent git activity,
+ * app entry points), then packs the best files' contents into a fixed token
+ * budget so the model sees real code instead of a bare file list. A file
+ * too large for what is left of the budget is shown by region (see
+ * lib/regions.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { estimateTokens } = require('./tokens');
+const { headOf, regionView } = require('./regions');
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'that', 'this', 'from', 'into', 'onto', 'when', 'then', 'than',
+  'add', 'make', 'change', 'update', 'use', 'using', 'new', 'should', 'would', 'could', 'please',
+  'page', 'file', 'files', 'code', 'have', 'has', 'are', 'was', 'were', 'can', 'all', 'any',
+  'some', 'more', 'less', 'like', 'want', 'need', 'also', 'just', 'our', 'your', 'its', 'but',
+  'not', 'there', 'their', 'them', 'they', 'what', 'which', 'where', 'how', 'each', 'only',
+]);
+
+const ENTRY_POINT_PATTERNS = [
+  /(^|\/)(index|main|app|server)\.[cm]?[jt]sx?$/i,
+  /(^|\/)\+(page|layout)(\.server)?\.(svelte|[jt]s)$/,
+  /(^|\/)app\/(page|layout)\.[jt]sx?$/,
+  /(^|\/)pages\/(index|_app)\.[jt]sx?$/,
+  /(^|\/)App\.(vue|svelte|[jt]sx?)$/,
+  /(^|\/)(routes|router)\.[jt]sx?$/,
+  /(^|\/)(manage|wsgi|asgi|app)\.py$/,
+  /(^|\/)(urls|views)\.py$/,
+  /(^|\/)config\/routes\.rb$/,
+  /(^|\/)app\/views\/layouts\/application\.html\.\w+$/,
+  /(^|\/)main\.go$/,
+  /(^|\/)src\/main\.rs$/,
+];
+
+const MAX_SCAN_BYTES = 200 * 1024;
+// Larger files are still shown by region when they rank high enough
+const MAX_PACK_BYTES = 2 * 1024 * 1024;
+
+/**
+ * Split camelCase / PascalCase / kebab / snake names into lowercase words
+ */
+function splitWords(text) {
+  return text
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+/**
+ * Pull keywords, identifiers and file references out of the prompt
+ */
+function analyzePrompt(prompt) {
+  const keywords = new Set();
+  for (const word of splitWords(prompt)) {
+    if (word.length >= 3 && !STOPWORDS.has(word)) keywords.add(word);
+  }
+
+  // camelCase, PascalCase, snake_case and backticked names are treated as code identifiers
+  const identifiers = new Set();
+  const identifierRe = /`([^`\s]{3,})`|\b([a-z]+[A-Z][A-Za-z0-9]*|[A-Z][a-z0-9]+[A-Z][A-Za-z0-9]*|[a-z0-9]+_[a-z0-9_]+)\b/g;
+  let match;
+  while ((match = identifierRe.exec(prompt)) !== null) {
+    identifiers.add((match[1] || match[2]).replace(/\(\)$/, ''));
+  }
+
+  const fileRefs = new Set();
+  const fileRe = /[\w@./+-]*\w\.(?:[cm]?[jt]sx?|svelte|vue|css|scss|html|json|md|py|rb|go|rs|java)\b/g;
+  while ((match = fileRe.exec(prompt)) !== null) {
+    fileRefs.add(match[0].replace(/^\.\//, ''));
+  }
+
+  return { keywords: [...keywords], identifiers: [...identifiers], fileRefs: [...fileRefs] };
+}
+
+/**
+ * Files touched in the last N commits, most recent first
+ */
+function recentlyChangedFiles(rootDir, commits = 30) {
+  try {
+    const output = execFileSync(
+      'git',
+      ['log', `-n${commits}`, '--name-only', '--pretty=format:'],
+      { cwd: rootDir, encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'] }
+    );
+    const seen = new Map();
+    output.split('\n').filter(Boolean).forEach((f, i) => {
+      if (!seen.has(f)) seen.set(f, i);
+    });
+    return seen;
+  } catch {
+    return new Map();
+  }
+}
+
+function readForScan(rootDir, relativePath, maxBytes = MAX_SCAN_BYTES) {
+  try {
+    const fullPath = path.join(rootDir, relativePath);
+    const stat = fs.statSync(fullPath);
+    if (stat.size > maxBytes) return null;
+    return fs.readFileSync(fullPath, 'utf-8');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Score each file; returns `[{ path, score, reasons }]` sorted best first
+ */
+function rankFiles(rootDir, files, prompt) {
+  const { keywords, identifiers, fileRefs } = analyzePrompt(prompt);
+  const recent = recentlyChangedFiles(rootDir);
+
+  const ranked = files.map((file) => {
+    const reasons = [];
+    let score = 0;
+
+    const lowerFile = file.toLowerCase();
+    const base = path.basename(file);
+    const pathWords = new Set(splitWords(file));
+
+    for (const ref of fileRefs) {
+      if (file === ref || file.endsWith('/' + ref) || base === path.basename(ref)) {
+        score += file === ref || file.endsWith('/' + ref) ? 50 : 25;
+        reasons.push(`named in prompt (${ref})`);
+      }
+    }
+
+    for (const keyword of keywords) {
+      if (pathWords.has(keyword)) {
+        score += splitWords(base).includes(keyword) ? 8 : 4;
+        reasons.push(`path matches "${keyword}"`);
+      } else if (keyword.length >= 5 && lowerFile.includes(keyword)) {
+        score += 2;
+        reasons.push(`path contains "${keyword}"`);
+      }
+    }
+
+    if (identifiers.length) {
+      const content = readForScan(rootDir, file);
+      if (content) {
+        for (const identifier of identifiers) {
+          if (content.includes(identifier)) {
+            // Definitions are worth more than mere references
+            const defines = new RegExp(`(function|class|const|let|var|def|interface|type|export)\\s+${identifier.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`).test(content);
+            score += defines ? 15 : 5;
+            reasons.push(`${defines ? 'defines' : 'references'} ${identifier}`);
+          }
+        }
+      }
+    }
+
+    if (recent.has(file)) {
+      score += Math.max(1, 6 - Math.floor(recent.get(file) / 10));
+      reasons.push('recently changed');
+    }
+
+    if (ENTRY_POINT_PATTERNS.some((re) => re.test(file))) {
+      score += 3;
+      reasons.push('entry point');
+    }
+
+    // Shallow files are more often the ones a prompt is about
+    score -= Math.min(file.split('/').length - 1, 6) * 0.25;
+
+    return { path: file, score, reasons };
+  });
+
+  return ranked.sort((a, b) => b.score - a.score || a.path.localeCompare(b.path));
+}
+
+/**
+ * Pack the highest-ranked files into a token budget. Files that would
+ * overflow the remaining budget are shown by region — the regions that
+ * match `options.prompt` first — when at least `minSliceTokens` still fit,
+ * otherwise skipped. A file shown in part has `truncated` set, and
+ * `regions` (each with `shown`) when it was split.
+ */
+function packContext(rootDir, ranked, budgetTokens, options = {}) {
+  const minSliceTokens = options.minSliceTokens || 400;
+  const terms = analyzePrompt(options.prompt || '');
+  const selected = [];
+  let used = 0;
+
+  for (const entry of ranked) {
+    if (entry.score <= 0 && selected.length >= 5) break;
+    const remaining = budgetTokens - used;
+    if (remaining < minSliceTokens) break;
+
+    const content = readForScan(rootDir, entry.path, MAX_PACK_BYTES);
+    if (content === null || content.includes('\0')) continue;
+
+    let text = content;
+    let truncated = false;
+    let regions = null;
+    let tokens = estimateTokens(text);
+
+    if (tokens > remaining) {
+      const view = regionView(entry.path, content, terms, remaining);
+      if (view) {
+        text = view.content;
+        regions = view.regions;
+      } else {
+        text = headOf(content, content.length * (remaining / tokens));
+      }
+      truncated = true;
+      tokens = estimateTokens(text);
+    }
+
+    selected.push({ path: entry.path, content: text, truncated, regions, tokens, score: entry.score, reasons: entry.reasons });
+    used += tokens;
+  }
+
+  return { selected, usedTokens: used, budgetTokens };
+}
+
+module.exports = {
+  analyzePrompt,
+  rankFiles,
+  packContext,
+  splitWords,
+};
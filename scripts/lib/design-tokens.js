@@ -0,0 +1,240 @@
+/**
+ * Design token extraction
+ *
+ * Parses the Tailwind theme (`theme` and `theme.extend`) and CSS custom
+ * properties into one structured token set — colors, fonts, spacing and
+ * radii — so the prompt can list the palette explicitly and the branding
+ * linter has something concrete to check against. Tailwind configs are
+ * JavaScript, so they are read statically rather than evaluated.
+ */
+
+const TOKEN_GROUPS = {
+  colors: 'colors',
+  fontFamily: 'fonts',
+  spacing: 'spacing',
+  borderRadius: 'radii',
+};
+
+/**
+ * Index just past the brace that closes the one at `open`, skipping
+ * strings and comments
+ */
+function matchBrace(text, open) {
+  const close = { '{': '}', '[': ']', '(': ')' };
+  const stack = [];
+  for (let i = open; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '"' || ch === "'" || ch === '`') {
+      for (i++; i < text.length && text[i] !== ch; i++) if (text[i] === '\\') i++;
+    } else if (ch === '/' && text[i + 1] === '/') {
+      while (i < text.length && text[i] !== '\n') i++;
+    } else if (ch === '/' && text[i + 1] === '*') {
+      i = text.indexOf('*/', i + 2);
+      if (i === -1) return text.length;
+      i++;
+    } else if (close[ch]) {
+      stack.push(close[ch]);
+    } else if (ch === stack[stack.length - 1]) {
+      stack.pop();
+      if (!stack.length) return i + 1;
+    }
+  }
+  return text.length;
+}
+
+/**
+ * Split the body of an object literal into `[{ key, value }]` where value
+ * is either a nested entry list or the raw expression text
+ */
+function parseObjectLiteral(body) {
+  const entries = [];
+  let i = 0;
+
+  while (i < body.length) {
+    // Skip separators, whitespace and comments
+    const skip = body.slice(i).match(/^(?:\s|,|\/\/[^\n]*|\/\*[\s\S]*?\*\/)+/);
+    if (skip) {
+      i += skip[0].length;
+      continue;
+    }
+
+    const keyMatch = body.slice(i).match(/^(?:'([^']*)'|"([^"]*)"|([\w$-]+))\s*:\s*/);
+    if (!keyMatch) {
+      // Spread or something we do not understand: skip to the next top-level comma
+      let j = i;
+      while (j < body.length && body[j] !== ',') j = /[{[(]/.test(body[j]) ? matchBrace(body, j) : j + 1;
+      i = j + 1;
+      continue;
+    }
+
+    const key = keyMatch[1] ?? keyMatch[2] ?? keyMatch[3];
+    i += keyMatch[0].length;
+
+    if (body[i] === '{') {
+      const end = matchBrace(body, i);
+      entries.push({ key, value: parseObjectLiteral(body.slice(i + 1, end - 1)) });
+      i = end;
+      continue;
+    }
+
+    let j = i;
+    while (j < body.length && body[j] !== ',') {
+      if (/[{[(]/.test(body[j])) j = matchBrace(body, j);
+      else if (/["'`]/.test(body[j])) {
+        const quote = body[j];
+        for (j++; j < body.length && body[j] !== quote; j++) if (body[j] === '\\') j++;
+        j++;
+      } else j++;
+    }
+    entries.push({ key, value: body.slice(i, j).trim() });
+    i = j + 1;
+  }
+
+  return entries;
+}
+
+function findEntry(entries, key) {
+  return entries.find((entry) => entry.key === key && Array.isArray(entry.value));
+}
+
+function unquote(value) {
+  const match = value.match(/^(['"`])([\s\S]*)\1$/);
+  return match ? match[2] : value;
+}
+
+/**
+ * Flatten nested token objects: `{ primary: { DEFAULT, 500 } }` becomes
+ * `primary` and `primary-500`
+ */
+function flatten(entries, prefix = '', out = {}) {
+  for (const { key, value } of entries) {
+    const name = key === 'DEFAULT' ? prefix : prefix ? `${prefix}-${key}` : key;
+    if (Array.isArray(value)) flatten(value, name, out);
+    else out[name] = unquote(value);
+  }
+  return out;
+}
+
+/**
+ * Tokens from a tailwind.config.* source
+ */
+function parseTailwindConfig(text) {
+  const tokens = { colors: {}, fonts: {}, spacing: {}, radii: {} };
+  const themeMatch = text && text.match(/\btheme\s*:\s*\{/);
+  if (!themeMatch) return tokens;
+
+  const open = themeMatch.index + themeMatch[0].length - 1;
+  const theme = parseObjectLiteral(text.slice(open + 1, matchBrace(text, open) - 1));
+  const extend = findEntry(theme, 'extend');
+
+  for (const scope of [theme, extend ? extend.value : []]) {
+    for (const [key, group] of Object.entries(TOKEN_GROUPS)) {
+      const entry = findEntry(scope, key);
+      if (entry) Object.assign(tokens[group], flatten(entry.value));
+    }
+  }
+
+  // Font stacks stay as written, minus the array brackets
+  for (const [name, value] of Object.entries(tokens.fonts)) {
+    tokens.fonts[name] = value.replace(/^\[|\]$/g, '').trim();
+  }
+
+  return tokens;
+}
+
+const COLOR_VALUE = /^(#[0-9a-f]{3,8}|(?:rgb|rgba|hsl|hsla|oklch|oklab|lab|lch|color)\(.*\)|\d+(?:\.\d+)?\s+\d+(?:\.\d+)?%\s+\d+(?:\.\d+)?%)$/i;
+
+/**
+ * Tokens from CSS custom properties (`--primary: 222 47% 11%;`)
+ */
+function parseCssTokens(css) {
+  const tokens = { colors: {}, fonts: {}, spacing: {}, radii: {} };
+  if (!css) return tokens;
+
+  for (const match of css.matchAll(/--([\w-]+)\s*:\s*([^;}]+)[;}]/g)) {
+    const name = match[1];
+    const value = match[2].trim();
+    if (/font/i.test(name)) tokens.fonts[name] = value;
+    else if (/radius|rounded/i.test(name)) tokens.radii[name] = value;
+    else if (/spac|gap|gutter/i.test(name)) tokens.spacing[name] = value;
+    else if (COLOR_VALUE.test(value) || /color|background|foreground|primary|secondary|accent|brand/i.test(name)) tokens.colors[name] = value;
+  }
+
+  return tokens;
+}
+
+function hslToHex(h, s, l) {
+  s /= 100;
+  l /= 100;
+  const k = (n) => (n + h / 30) % 12;
+  const a = s * Math.min(l, 1 - l);
+  const f = (n) => l - a * Math.max(-1, Math.min(k(n) - 3, Math.min(9 - k(n), 1)));
+  return '#' + [f(0), f(8), f(4)].map((x) => Math.round(x * 255).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Normalize a literal color to lowercase `#rrggbb` (alpha dropped), or null
+ */
+function normalizeColor(value) {
+  const v = String(value).trim().toLowerCase();
+
+  let m = v.match(/^#([0-9a-f]{3,4})$/);
+  if (m) return '#' + m[1].slice(0, 3).split('').map((c) => c + c).join('');
+  m = v.match(/^#([0-9a-f]{6})(?:[0-9a-f]{2})?$/);
+  if (m) return `#${m[1]}`;
+
+  m = v.match(/^rgba?\(\s*(\d+)[\s,]+(\d+)[\s,]+(\d+)/);
+  if (m) return '#' + m.slice(1, 4).map((n) => Math.min(255, Number(n)).toString(16).padStart(2, '0')).join('');
+
+  m = v.match(/^(?:hsla?\(\s*)?(\d+(?:\.\d+)?)(?:deg)?[\s,]+(\d+(?:\.\d+)?)%[\s,]+(\d+(?:\.\d+)?)%/);
+  if (m) return hslToHex(Number(m[1]), Number(m[2]), Number(m[3]));
+
+  return null;
+}
+
+/**
+ * Merge Tailwind and CSS tokens into one set with a resolved palette
+ */
+function extractDesignTokens({ tailwindConfig, globalCSS } = {}) {
+  const tailwind = parseTailwindConfig(tailwindConfig);
+  const css = parseCssTokens(globalCSS);
+  const tokens = {};
+  for (const group of Object.values(TOKEN_GROUPS)) {
+    tokens[group] = { ...css[group], ...tailwind[group] };
+  }
+
+  // Hex values of every literal color, and the top-level names usable in classes
+  tokens.palette = [...new Set(Object.values(tokens.colors).map(normalizeColor).filter(Boolean))];
+  tokens.colorNames = [...new Set(Object.keys(tailwind.colors).map((name) => name.split('-')[0]))];
+  tokens.sources = [tailwindConfig && 'tailwind', globalCSS && 'css'].filter(Boolean);
+  return tokens;
+}
+
+function hasTokens(tokens) {
+  return Boolean(tokens) && Object.values(TOKEN_GROUPS).some((group) => Object.keys(tokens[group] || {}).length);
+}
+
+/**
+ * Token set as a prompt section
+ */
+function formatTokensForPrompt(tokens) {
+  if (!hasTokens(tokens)) return '';
+
+  const list = (group) => Object.entries(tokens[group]).slice(0, 80).map(([name, value]) => `  - ${name}: ${value}`).join('\n');
+  const sections = [];
+  if (Object.keys(tokens.colors).length) sections.push(`Colors (use ONLY these):\n${list('colors')}`);
+  if (Object.keys(tokens.fonts).length) sections.push(`Fonts:\n${list('fonts')}`);
+  if (Object.keys(tokens.spacing).length) sections.push(`Spacing:\n${list('spacing')}`);
+  if (Object.keys(tokens.radii).length) sections.push(`Radii:\n${list('radii')}`);
+  return sections.join('\n');
+}
+
+module.exports = {
+  extractDesignTokens,
+  formatTokensForPrompt,
+  hasTokens,
+  normalizeColor,
+  parseCssTokens,
+  parseObjectLiteral,
+  parseTailwindConfig,
+};
@@ -0,0 +1,187 @@
+/**
+ * Unified diff generation
+ *
+ * Line-based Myers diff, rendered in the same format as `git diff` so the
+ * dry-run output can be read (or piped to `git apply`) without surprises.
+ */
+
+// Beyond this many differences the middle section is emitted as a plain
+// remove-all/add-all block; the Myers trace grows quadratically with it
+const MAX_EDIT_DISTANCE = 2000;
+
+/**
+ * Shortest edit script between two line arrays as `[{ type, line }]`
+ * where type is ' ', '-' or '+'
+ */
+function diffLines(a, b) {
+  // Common prefix and suffix never need the expensive search
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const middle = myers(a.slice(start, endA), b.slice(start, endB));
+  return [
+    ...a.slice(0, start).map((line) => ({ type: ' ', line })),
+    ...middle,
+    ...a.slice(endA).map((line) => ({ type: ' ', line })),
+  ];
+}
+
+function myers(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const v = new Map([[1, 0]]);
+  const trace = [];
+
+  outer: for (let d = 0; d <= max; d++) {
+    if (d > MAX_EDIT_DISTANCE) {
+      return [...a.map((line) => ({ type: '-', line })), ...b.map((line) => ({ type: '+', line }))];
+    }
+    trace.push(new Map(v));
+    for (let k = -d; k <= d; k += 2) {
+      let x;
+      if (k === -d || (k !== d && (v.get(k - 1) ?? -1) < (v.get(k + 1) ?? -1))) {
+        x = v.get(k + 1) ?? 0;
+      } else {
+        x = (v.get(k - 1) ?? 0) + 1;
+      }
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v.set(k, x);
+      if (x >= n && y >= m) break outer;
+    }
+  }
+
+  // Walk the trace backwards to recover the edit script
+  const ops = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const vd = trace[d];
+    const k = x - y;
+    let prevK;
+    if (k === -d || (k !== d && (vd.get(k - 1) ?? -1) < (vd.get(k + 1) ?? -1))) {
+      prevK = k + 1;
+    } else {
+      prevK = k - 1;
+    }
+    const prevX = vd.get(prevK) ?? 0;
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: ' ', line: a[x - 1] });
+      x--;
+      y--;
+    }
+    if (d > 0) {
+      if (x === prevX) {
+        ops.push({ type: '+', line: b[y - 1] });
+      } else {
+        ops.push({ type: '-', line: a[x - 1] });
+      }
+    }
+    x = prevX;
+    y = prevY;
+  }
+
+  return ops.reverse();
+}
+
+function splitForDiff(text) {
+  if (text === '') return [];
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+/**
+ * Render a unified diff between two file contents. `null` content stands
+ * for a file that does not exist (creation or deletion).
+ */
+function createUnifiedDiff(filePath, before, after, context = 3) {
+  const oldLines = before === null ? [] : splitForDiff(before);
+  const newLines = after === null ? [] : splitForDiff(after);
+  const ops = diffLines(oldLines, newLines);
+
+  if (!ops.some((op) => op.type !== ' ')) return '';
+
+  const header = [
+    `--- ${before === null ? '/dev/null' : `a/${filePath}`}`,
+    `+++ ${after === null ? '/dev/null' : `b/${filePath}`}`,
+  ];
+
+  // Group changes into hunks separated by more than 2×context unchanged lines
+  const hunks = [];
+  let oldNo = 0;
+  let newNo = 0;
+  let current = null;
+  let trailing = 0;
+
+  ops.forEach((op, i) => {
+    if (op.type !== ' ') {
+      if (!current) {
+        const lead = [];
+        for (let j = Math.max(0, i - context); j < i; j++) lead.push(ops[j]);
+        current = { oldStart: oldNo - lead.length + 1, newStart: newNo - lead.length + 1, ops: lead };
+      }
+      current.ops.push(op);
+      trailing = 0;
+    } else if (current) {
+      current.ops.push(op);
+      trailing++;
+      if (trailing >= context * 2 || i === ops.length - 1) {
+        const excess = Math.max(0, trailing - context);
+        current.ops.splice(current.ops.length - excess, excess);
+        hunks.push(current);
+        current = null;
+        trailing = 0;
+      }
+    }
+
+    if (op.type !== '+') oldNo++;
+    if (op.type !== '-') newNo++;
+  });
+  if (current) hunks.push(current);
+
+  const body = hunks.map((hunk) => {
+    const oldCount = hunk.ops.filter((op) => op.type !== '+').length;
+    const newCount = hunk.ops.filter((op) => op.type !== '-').length;
+    const oldStart = oldCount === 0 ? hunk.oldStart - 1 : hunk.oldStart;
+    const newStart = newCount === 0 ? hunk.newStart - 1 : hunk.newStart;
+    return [
+      `@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`,
+      ...hunk.ops.map((op) => op.type + op.line),
+    ].join('\n');
+  });
+
+  return [...header, ...body].join('\n') + '\n';
+}
+
+/**
+ * Count added/removed lines and bytes for a change
+ */
+function diffStats(before, after) {
+  const ops = diffLines(before === null ? [] : splitForDiff(before), after === null ? [] : splitForDiff(after));
+  const stats = { linesAdded: 0, linesRemoved: 0, bytesChanged: 0 };
+  for (const op of ops) {
+    if (op.type === '+') stats.linesAdded++;
+    if (op.type === '-') stats.linesRemoved++;
+    if (op.type !== ' ') stats.bytesChanged += Buffer.byteLength(op.line, 'utf-8') + 1;
+  }
+  return stats;
+}
+
+module.exports = {
+  diffLines,
+  createUnifiedDiff,
+  diffStats,
+};
@@ -0,0 +1,278 @@
+/**
+ * Non-Node ecosystems
+ *
+ * Reads the manifests of Python (`pyproject.toml`, `requirements.txt`),
+ * Ruby (`Gemfile`), Go (`go.mod`) and Rust (`Cargo.toml`) projects, detects
+ * their web framework, and knows where each keeps its templates and static
+ * CSS — so a Django, Rails or Go service gets the same framework,
+ * dependency and branding context as a package.json project.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Order matters within an ecosystem: full-stack frameworks before the
+// micro-frameworks they sometimes pull in
+const FRAMEWORKS = {
+  python: [
+    { name: 'Django', deps: ['django'] },
+    { name: 'FastAPI', deps: ['fastapi'] },
+    { name: 'Flask', deps: ['flask'] },
+    { name: 'Starlette', deps: ['starlette'] },
+  ],
+  ruby: [
+    { name: 'Rails', deps: ['rails', 'railties'] },
+    { name: 'Hanami', deps: ['hanami'] },
+    { name: 'Sinatra', deps: ['sinatra'] },
+  ],
+  // Go modules match by prefix so major-version suffixes (/v2, /v5) count
+  go: [
+    { name: 'Gin', deps: ['github.com/gin-gonic/gin'] },
+    { name: 'Echo', deps: ['github.com/labstack/echo'] },
+    { name: 'Fiber', deps: ['github.com/gofiber/fiber'] },
+    { name: 'Chi', deps: ['github.com/go-chi/chi'] },
+    { name: 'Gorilla', deps: ['github.com/gorilla/mux'] },
+  ],
+  rust: [
+    { name: 'Leptos', deps: ['leptos'] },
+    { name: 'Axum', deps: ['axum'] },
+    { name: 'Actix Web', deps: ['actix-web'] },
+    { name: 'Rocket', deps: ['rocket'] },
+  ],
+};
+
+const LANGUAGES = { python: 'Python', ruby: 'Ruby', go: 'Go', rust: 'Rust' };
+
+// Where each ecosystem keeps its layout templates, home page templates and
+// site-wide stylesheets (paths relative to the project directory)
+const LAYOUTS = {
+  python: {
+    layouts: /(^|\/)templates\/(.+\/)?_?(base|layout)\.(html|jinja2?|j2)$/,
+    homepages: /(^|\/)templates\/(.+\/)?(index|home)\.(html|jinja2?|j2)$/,
+    stylesheets: /(^|\/)static\/(.+\/)?(main|style|styles|site|app|base|global)\.s?css$/,
+  },
+  ruby: {
+    layouts: /(^|\/)(app\/)?views\/layouts\/(application|layout)\.html\.(erb|haml|slim)$/,
+    homepages: /(^|\/)(app\/)?views\/(home|pages|static_pages|welcome)\/(index|home)\.html\.(erb|haml|slim)$/,
+    stylesheets: /(^|\/)(app\/assets\/stylesheets\/application(\.tailwind)?|public\/(css\/)?(main|style|styles|application))\.s?css$/,
+  },
+  go: {
+    layouts: /(^|\/)(templates|views|web\/templates)\/(.+\/)?_?(base|layout)\.(html|tmpl|gohtml)$/,
+    homepages: /(^|\/)(templates|views|web\/templates)\/(.+\/)?(index|home)\.(html|tmpl|gohtml)$/,
+    stylesheets: /(^|\/)(static|public|assets|web\/static)\/(.+\/)?(main|style|styles|site|app)\.css$/,
+  },
+  rust: {
+    layouts: /(^|\/)templates\/(.+\/)?_?(base|layout)\.(html|tera|hbs|jinja)$/,
+    homepages: /(^|\/)templates\/(.+\/)?(index|home)\.(html|tera|hbs|jinja)$/,
+    stylesheets: /(^|\/)(static|public|assets|style)\/(.+\/)?(main|style|styles|site|app|tailwind)\.s?css$/,
+  },
+};
+
+function readText(filePath) {
+  try {
+    return fs.readFileSync(filePath, 'utf-8');
+  } catch {
+    return null;
+  }
+}
+
+function unquote(value) {
+  return value.trim().replace(/^(['"])(.*)\1$/, '$2');
+}
+
+/**
+ * The subset of TOML manifests use: `[section]` headers, `key = value` with
+ * string, number, boolean or (possibly multi-line) array of strings values,
+ * and inline tables kept as their raw text. Returns `{ section: { key: value } }`
+ * with '' for keys before the first header.
+ */
+function parseToml(text) {
+  const sections = { '': {} };
+  let current = sections[''];
+  const lines = text.split(/\r?\n/);
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].replace(/\s+#.*$/, '').trim();
+    if (!line || line.startsWith('#')) continue;
+
+    const header = line.match(/^\[\[?\s*([^\]]+?)\s*\]\]?$/);
+    if (header) {
+      current = sections[header[1]] = sections[header[1]] || {};
+      continue;
+    }
+
+    const entry = line.match(/^("[^"]+"|'[^']+'|[\w.-]+)\s*=\s*(.*)$/);
+    if (!entry) continue;
+    let value = entry[2];
+    if (value.startsWith('[')) {
+      // Arrays may span lines until the bracket closes
+      while (!/\]\s*,?$/.test(value.replace(/(["'])(?:(?!\1).)*\1/g, '')) && i + 1 < lines.length) {
+        value += ' ' + lines[++i].replace(/\s+#.*$/, '').trim();
+      }
+      value = (value.match(/(["'])(?:(?!\1).)*\1/g) || []).map(unquote);
+    } else if (!value.startsWith('{')) {
+      value = unquote(value);
+    }
+    current[unquote(entry[1])] = value;
+  }
+  return sections;
+}
+
+// PEP 503 normalisation: "Flask_Login" and "flask.login" are "flask-login"
+function pythonName(requirement) {
+  const match = requirement.trim().match(/^([A-Za-z0-9][A-Za-z0-9._-]*)/);
+  return match ? match[1].toLowerCase().replace(/[._-]+/g, '-') : null;
+}
+
+/**
+ * Package names from a requirements.txt (options, includes and URLs skipped)
+ */
+function parseRequirements(text) {
+  return text
+    .split(/\r?\n/)
+    .map((line) => line.replace(/(^|\s)#.*$/, '').trim())
+    .filter((line) => line && !line.startsWith('-') && !/^\w+\+?\w*:\/\//.test(line))
+    .map(pythonName)
+    .filter(Boolean);
+}
+
+function readPyproject(text) {
+  const toml = parseToml(text);
+  const project = toml.project || {};
+  const poetry = toml['tool.poetry'] || {};
+  const dependencies = [
+    ...(Array.isArray(project.dependencies) ? project.dependencies : []),
+    ...Object.keys(toml['tool.poetry.dependencies'] || {}).filter((name) => name !== 'python'),
+  ];
+  return {
+    name: project.name || poetry.name || null,
+    description: project.description || poetry.description || null,
+    dependencies: dependencies.map(pythonName).filter(Boolean),
+  };
+}
+
+/**
+ * Gem names from a Gemfile
+ */
+function parseGemfile(text) {
+  const gems = [];
+  for (const match of text.matchAll(/^\s*gem\s+['"]([^'"]+)['"]/gm)) gems.push(match[1]);
+  return gems;
+}
+
+/**
+ * `{ module, dependencies }` from a go.mod (both `require` forms; modules
+ * marked `// indirect` are left out)
+ */
+function parseGoMod(text) {
+  const module = (text.match(/^module\s+(\S+)/m) || [])[1] || null;
+  const dependencies = [];
+  let inRequire = false;
+
+  for (const raw of text.split(/\r?\n/)) {
+    if (/\/\/\s*indirect/.test(raw)) continue;
+    const line = raw.replace(/\/\/.*$/, '').trim();
+    if (/^require\s*\($/.test(line)) {
+      inRequire = true;
+    } else if (inRequire && line === ')') {
+      inRequire = false;
+    } else if (inRequire && line) {
+      dependencies.push(line.split(/\s+/)[0]);
+    } else if (/^require\s+\S+\s+\S+/.test(line)) {
+      dependencies.push(line.split(/\s+/)[1]);
+    }
+  }
+  return { module, dependencies };
+}
+
+function readCargo(text) {
+  const toml = parseToml(text);
+  const pkg = toml.package || {};
+  return {
+    name: pkg.name || null,
+    description: pkg.description || null,
+    dependencies: Object.keys(toml.dependencies || {}),
+  };
+}
+
+// Manifests in order of preference; the first one found picks the
+// ecosystem and the others of that ecosystem add their dependencies
+const MANIFESTS = [
+  { file: 'pyproject.toml', ecosystem: 'python', read: readPyproject },
+  { file: 'requirements.txt', ecosystem: 'python', read: (text) => ({ dependencies: parseRequirements(text) }) },
+  { file: 'Gemfile', ecosystem: 'ruby', read: (text) => ({ dependencies: parseGemfile(text) }) },
+  {
+    file: 'go.mod',
+    ecosystem: 'go',
+    read: (text) => {
+      const { module, dependencies } = parseGoMod(text);
+      return { name: module ? path.posix.basename(module) : null, dependencies };
+    },
+  },
+  { file: 'Cargo.toml', ecosystem: 'rust', read: readCargo },
+];
+
+/**
+ * Web framework for an ecosystem's dependency list, or its language name
+ */
+function detectEcosystemFramework(ecosystem, dependencies) {
+  const matches = (dep, candidate) => (ecosystem === 'go' ? dep === candidate || dep.startsWith(`${candidate}/`) : dep === candidate);
+  const framework = (FRAMEWORKS[ecosystem] || []).find((f) => f.deps.some((candidate) => dependencies.some((dep) => matches(dep, candidate))));
+  return framework ? framework.name : LANGUAGES[ecosystem] || 'Unknown';
+}
+
+// Rails apps are named by the module in config/application.rb
+function railsAppName(dir) {
+  const text = readText(path.join(dir, 'config', 'application.rb'));
+  const match = text && text.match(/^module\s+(\w+)/m);
+  return match ? match[1] : null;
+}
+
+/**
+ * Read the non-Node manifests in `dir`. Returns `{ ecosystem, language,
+ * manifests, name, description, framework, dependencies }`, or null when
+ * there are none.
+ */
+function readProjectManifest(dir) {
+  let result = null;
+
+  for (const manifest of MANIFESTS) {
+    if (result && manifest.ecosystem !== result.ecosystem) continue;
+    const text = readText(path.join(dir, manifest.file));
+    if (text === null) continue;
+
+    const info = manifest.read(text);
+    if (!result) {
+      result = { ecosystem: manifest.ecosystem, language: LANGUAGES[manifest.ecosystem], manifests: [], name: null, description: null, dependencies: [] };
+    }
+    result.manifests.push(manifest.file);
+    result.name = result.name || info.name || null;
+    result.description = result.description || info.description || null;
+    for (const dep of info.dependencies) {
+      if (!result.dependencies.includes(dep)) result.dependencies.push(dep);
+    }
+  }
+
+  if (!result) return null;
+  if (result.ecosystem === 'ruby') result.name = result.name || railsAppName(dir);
+  result.framework = detectEcosystemFramework(result.ecosystem, result.dependencies);
+  return result;
+}
+
+/**
+ * Template and stylesheet locations for an ecosystem (null for Node)
+ */
+function layoutFor(ecosystem) {
+  return LAYOUTS[ecosystem] || null;
+}
+
+module.exports = {
+  FRAMEWORKS,
+  detectEcosystemFramework,
+  layoutFor,
+  parseGemfile,
+  parseGoMod,
+  parseRequirements,
+  parseToml,
+  readProjectManifest,
+};
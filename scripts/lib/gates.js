@@ -0,0 +1,206 @@
+/**
+ * Validation gates
+ *
+ * The checks a job's changes must pass: the target package's `build`,
+ * `typecheck`, `lint` and `test` scripts, run in that order. A gate whose
+ * script the package does not define is skipped. Every gate runs on every
+ * attempt so each one's result can be reported; the output of the failing
+ * ones is what fix mode works from.
+ *
+ * A gate that already failed before the AI's changes is measured again on
+ * that baseline; it only counts as a new failure when the changes added
+ * errors to it.
+ *
+ * RETOOLS_GATES (or `retools run --gates`) picks the gates, e.g. `build,lint`;
+ * otherwise the repository's `.retools.json` can, and its
+ * `validation.commands` replace a gate's script with a command of its own.
+ */
+
+const fs = require('fs');
+const { spawnSync } = require('child_process');
+const { parseBuildErrors } = require('./build-errors');
+const { scriptArgsFor, scriptCommandFor } = require('./workspace');
+
+// Scripts that implement each gate, in order of preference
+const GATES = {
+  build: { scripts: ['build'] },
+  typecheck: { scripts: ['typecheck', 'type-check', 'check-types', 'tsc'] },
+  lint: { scripts: ['lint'] },
+  test: { scripts: ['test', 'test:unit'] },
+};
+
+const DEFAULT_GATES = Object.keys(GATES);
+
+// The test script `npm init` writes always fails
+const PLACEHOLDER_SCRIPT = /no test specified/;
+
+/**
+ * Gate names from a comma-separated list (default: all, in order)
+ */
+function parseGateNames(value) {
+  if (!value) return DEFAULT_GATES;
+  const names = value.split(',').map((name) => name.trim()).filter(Boolean);
+  const unknown = names.filter((name) => !GATES[name]);
+  if (unknown.length) {
+    throw new Error(`Unknown validation gate(s): ${unknown.join(', ')} (expected ${DEFAULT_GATES.join(', ')})`);
+  }
+  return names;
+}
+
+/**
+ * Commands for `names` in one workspace package: `[{ name, script, command,
+ * args }]`, `command` null when the package has no script for the gate.
+ * Scripts run from `args` without a shell; a command in `commands` (by
+ * gate name, from the repository's config) is a shell command, with
+ * `script` and `args` null.
+ */
+function resolveGates(workspace, pkg, names = DEFAULT_GATES, commands = {}) {
+  return names.map((name) => {
+    if (commands[name]) return { name, script: null, command: commands[name], args: null };
+    const scripts = pkg ? pkg.scripts : {};
+    const script = GATES[name].scripts.find((s) => scripts[s] && !PLACEHOLDER_SCRIPT.test(scripts[s])) || null;
+    if (!script) return { name, script: null, command: null, args: null };
+    return { name, script, command: scriptCommandFor(workspace, pkg, script), args: scriptArgsFor(workspace, pkg, script) };
+  });
+}
+
+/**
+ * Run one gate from `cwd` with its output in `logFile`. Returns
+ * `{ name, command, outcome, duration_ms, errors, log }`; `errors` counts
+ * the parsed errors of a failed gate.
+ */
+function runGate(gate, { cwd, logFile, timeoutMs }) {
+  if (!gate.command) {
+    return { name: gate.name, command: null, outcome: 'skipped', duration_ms: 0, errors: 0, log: null };
+  }
+
+  const started = Date.now();
+  const fd = fs.openSync(logFile, 'w');
+  let result;
+  try {
+    // CI=true keeps test runners out of watch mode
+    const options = { cwd, stdio: ['ignore', fd, fd], timeout: timeoutMs, env: { ...process.env, CI: 'true' } };
+    result = gate.args
+      ? spawnSync(gate.args[0], gate.args.slice(1), { ...options, shell: false })
+      : spawnSync(gate.command, { ...options, shell: true });
+  } finally {
+    fs.closeSync(fd);
+  }
+  if (result.error && result.error.code === 'ETIMEDOUT') {
+    fs.appendFileSync(logFile, `\n${gate.name} timed out after ${Math.round(timeoutMs / 1000)}s\n`);
+  } else if (result.error) {
+    fs.appendFileSync(logFile, `\n${gate.name} could not start: ${result.error.message}\n`);
+  }
+
+  const passed = result.status === 0;
+  return {
+    name: gate.name,
+    command: gate.command,
+    outcome: passed ? 'passed' : 'failed',
+    duration_ms: Date.now() - started,
+    errors: passed ? 0 : parseBuildErrors(fs.readFileSync(logFile, 'utf-8'), cwd).length,
+    log: logFile,
+  };
+}
+
+/**
+ * Outcome of a set of gate results: failed if any newly failed, skipped if
+ * none ran, passed otherwise
+ */
+function overallOutcome(results) {
+  if (newFailures(results).length) return 'failed';
+  return results.every((r) => r.outcome === 'skipped') ? 'skipped' : 'passed';
+}
+
+/**
+ * Results with each failed gate that also failed on the `baseline` results,
+ * with at least as many errors, marked `preexisting`
+ */
+function compareWithBaseline(results, baseline) {
+  return results.map((r) => {
+    const before = baseline.find((b) => b.name === r.name);
+    const preexisting = r.outcome === 'failed' && before?.outcome === 'failed' && (r.errors || 0) <= (before.errors || 0);
+    return preexisting ? { ...r, preexisting: true } : r;
+  });
+}
+
+/**
+ * Failed gates the changes are responsible for
+ */
+function newFailures(results) {
+  return results.filter((r) => r.outcome === 'failed' && !r.preexisting);
+}
+
+/**
+ * Errors across the failed gates, for comparing fix attempts; a failed gate
+ * whose output yielded no parsed errors counts as one
+ */
+function errorCount(results) {
+  return results.filter((r) => r.outcome === 'failed').reduce((sum, r) => sum + Math.max(r.errors || 0, 1), 0);
+}
+
+/**
+ * Gate results as sent in webhook payloads (without local log paths)
+ */
+function gatesForPayload(results) {
+  return results.map(({ name, command, outcome, duration_ms: durationMs, errors, preexisting }) => ({
+    name,
+    command,
+    outcome,
+    ...(durationMs !== undefined ? { duration_ms: durationMs } : {}),
+    ...(errors !== undefined ? { errors } : {}),
+    ...(preexisting ? { preexisting } : {}),
+  }));
+}
+
+function tail(text, lines) {
+  return text.split('\n').slice(-lines - 1).join('\n');
+}
+
+/**
+ * Output of the newly failed gates, each under a header naming the gate —
+ * the log fix mode parses, and (with `tailLines`) the excerpt for its prompt
+ */
+function failedGateOutput(results, { tailLines = null } = {}) {
+  return newFailures(results)
+    .map((r) => {
+      const output = fs.readFileSync(r.log, 'utf-8');
+      const header = `${r.name.toUpperCase()} ERRORS (${r.command}${tailLines ? `, last ${tailLines} lines` : ''}):`;
+      return `${header}\n${tailLines ? tail(output, tailLines) : output}`;
+    })
+    .join('\n\n');
+}
+
+const OUTCOME_LABELS = {
+  passed: '✅ passed',
+  failed: '❌ failed',
+  skipped: '⏭️ skipped (no script)',
+  pending: '⏳ pending',
+};
+
+/**
+ * Markdown table of gate results for the PR body
+ */
+function formatGatesForPullRequest(results) {
+  const rows = results.map((r) => {
+    let detail = r.outcome === 'failed' && r.errors ? ` (${r.errors} error${r.errors === 1 ? '' : 's'})` : '';
+    if (r.preexisting) detail += ', already failing before these changes';
+    return `| ${r.name} | ${r.command ? `\`${r.command}\`` : '—'} | ${OUTCOME_LABELS[r.outcome] || r.outcome}${detail} |`;
+  });
+  return ['| Gate | Command | Result |', '| --- | --- | --- |', ...rows].join('\n');
+}
+
+module.exports = {
+  DEFAULT_GATES,
+  GATES,
+  compareWithBaseline,
+  errorCount,
+  failedGateOutput,
+  formatGatesForPullRequest,
+  gatesForPayload,
+  newFailures,
+  overallOutcome,
+  parseGateNames,
+  resolveGates,
+  runGate,
+};
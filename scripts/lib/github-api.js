@@ -0,0 +1,106 @@
+/**
+ * GitHub REST client for the few calls a job makes: open a pull request,
+ * find one already open for a branch, read its comments and reviews (for
+ * revisions) and comment on it. The base URL
+ * comes from RETOOLS_GITHUB_API_URL so a job can run against a stub API
+ * (scripts/fake-github-server.js) instead of api.github.com.
+ */
+
+const { request, withRetries } = require('./providers/http');
+
+const DEFAULT_API_URL = 'https://api.github.com';
+// List calls follow `Link: rel="next"` up to this many pages of 100
+const MAX_PAGES = 20;
+
+/**
+ * The `rel="next"` URL of a `Link` header, or null
+ */
+function nextLink(header) {
+  const match = /<([^>]+)>\s*;\s*rel="next"/.exec(header || '');
+  return match ? match[1] : null;
+}
+
+function createGitHubClient({ token, apiUrl = process.env.RETOOLS_GITHUB_API_URL || DEFAULT_API_URL } = {}) {
+  const baseUrl = apiUrl.replace(/\/+$/, '');
+
+  // `route` is a path under the base URL or, for pagination, a full URL
+  async function send(method, route, body) {
+    return withRetries(async () => {
+      const response = await request(/^https?:\/\//.test(route) ? route : `${baseUrl}${route}`, {
+        method,
+        headers: {
+          ...(token ? { Authorization: `Bearer ${token}` } : {}),
+          Accept: 'application/vnd.github+json',
+          'X-GitHub-Api-Version': '2022-11-28',
+          'User-Agent': 'Retools-Builder-Engine',
+          ...(body ? { 'Content-Type': 'application/json' } : {}),
+        },
+        body: body ? JSON.stringify(body) : undefined,
+      }, { timeoutMs: 30000, label: 'GitHub API' });
+      const data = await response.json();
+      response.clearTimeout();
+      return { data, link: response.headers.get('link') };
+    }, { retries: 3 });
+  }
+
+  async function call(method, route, body) {
+    return (await send(method, route, body)).data;
+  }
+
+  /** Every item of a paginated list, failing rather than returning a partial one */
+  async function list(route) {
+    const items = [];
+    let next = `${route}${route.includes('?') ? '&' : '?'}per_page=100`;
+    for (let page = 0; next; page++) {
+      if (page === MAX_PAGES) throw new Error(`GitHub API list ${route} has more than ${MAX_PAGES * 100} items`);
+      const { data, link } = await send('GET', next);
+      if (!Array.isArray(data)) throw new Error(`GitHub API returned no list for ${route}: ${JSON.stringify(data)}`);
+      items.push(...data);
+      next = nextLink(link);
+    }
+    return items;
+  }
+
+  return {
+    apiUrl: baseUrl,
+
+    /** Open a pull request; resolves to the API's pull request object */
+    createPullRequest(repoPath, { title, body, head, base, draft = false }) {
+      return call('POST', `/repos/${repoPath}/pulls`, { title, body, head, base, draft });
+    },
+
+    /** The open pull request from `head` (a branch in the same repo), or null */
+    async findPullRequest(repoPath, head) {
+      const owner = repoPath.split('/')[0];
+      const pulls = await call('GET', `/repos/${repoPath}/pulls?state=open&head=${encodeURIComponent(`${owner}:${head}`)}`);
+      return Array.isArray(pulls) && pulls.length ? pulls[0] : null;
+    },
+
+    getPullRequest(repoPath, number) {
+      return call('GET', `/repos/${repoPath}/pulls/${number}`);
+    },
+
+    listIssueComments(repoPath, number) {
+      return list(`/repos/${repoPath}/issues/${number}/comments`);
+    },
+
+    /** Inline comments on the diff */
+    listReviewComments(repoPath, number) {
+      return list(`/repos/${repoPath}/pulls/${number}/comments`);
+    },
+
+    /** Submitted reviews (approve / request changes, with their summary) */
+    listReviews(repoPath, number) {
+      return list(`/repos/${repoPath}/pulls/${number}/reviews`);
+    },
+
+    createIssueComment(repoPath, number, body) {
+      return call('POST', `/repos/${repoPath}/issues/${number}/comments`, { body });
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_API_URL,
+  createGitHubClient,
+};
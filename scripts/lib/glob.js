@@ -0,0 +1,94 @@
+/**
+ * Minimal glob matching
+ *
+ * Supports `*`, `**`, `?` and `{a,b}` — enough for protected-path lists and
+ * ignore files without pulling in a dependency. Patterns without a slash match
+ * at any depth (gitignore semantics), and a trailing `/` matches a directory
+ * and everything below it.
+ */
+
+const cache = new Map();
+
+/**
+ * Convert a glob pattern into an anchored RegExp
+ */
+function globToRegExp(pattern) {
+  if (cache.has(pattern)) return cache.get(pattern);
+
+  let glob = pattern.replace(/\\/g, '/');
+  let dirOnly = false;
+
+  if (glob.endsWith('/')) {
+    glob = glob.slice(0, -1);
+    dirOnly = true;
+  }
+  if (glob.startsWith('/')) {
+    glob = glob.slice(1);
+  } else if (!glob.includes('/')) {
+    glob = '**/' + glob;
+  }
+
+  let source = '';
+  let inBraces = false;
+
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+
+    if (ch === '*') {
+      if (glob[i + 1] === '*') {
+        // `**/` matches zero or more directories, a trailing `**` matches anything
+        if (glob[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 2;
+        } else {
+          source += '.*';
+          i += 1;
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (ch === '?') {
+      source += '[^/]';
+    } else if (ch === '{') {
+      inBraces = true;
+      source += '(?:';
+    } else if (ch === '}' && inBraces) {
+      inBraces = false;
+      source += ')';
+    } else if (ch === ',' && inBraces) {
+      source += '|';
+    } else {
+      source += ch.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  // A match on a directory also covers everything inside it
+  const suffix = dirOnly ? '/.*' : '(?:/.*)?';
+  const regex = new RegExp(`^${source}${suffix}$`);
+  cache.set(pattern, regex);
+  return regex;
+}
+
+/**
+ * Test a relative, forward-slash path against a single pattern
+ */
+function matchGlob(relativePath, pattern) {
+  const normalized = relativePath.replace(/\\/g, '/').replace(/^\.\//, '');
+  return globToRegExp(pattern).test(normalized);
+}
+
+/**
+ * Return the first pattern that matches, or null
+ */
+function matchAny(relativePath, patterns) {
+  for (const pattern of patterns) {
+    if (matchGlob(relativePath, pattern)) return pattern;
+  }
+  return null;
+}
+
+module.exports = {
+  globToRegExp,
+  matchGlob,
+  matchAny,
+};
@@ -0,0 +1,117 @@
+/**
+ * .gitignore handling
+ *
+ * Inside a git checkout we ask git itself which files are tracked or
+ * untracked-but-not-ignored — that honours every ignore source exactly.
+ * Outside git we fall back to parsing .gitignore files while walking.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { matchGlob } = require('./glob');
+
+/**
+ * List files via `git ls-files`, or null when the directory is not a git repo
+ */
+function listGitFiles(rootDir) {
+  try {
+    const output = execFileSync(
+      'git',
+      ['ls-files', '--cached', '--others', '--exclude-standard', '-z'],
+      { cwd: rootDir, encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'], maxBuffer: 64 * 1024 * 1024 }
+    );
+    return output
+      .split('\0')
+      .filter(Boolean)
+      .filter((f) => fs.existsSync(path.join(rootDir, f)));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parse one .gitignore into rules scoped to the directory that holds it
+ */
+function parseIgnoreFile(content, baseDir) {
+  const rules = [];
+
+  for (const raw of content.split(/\r?\n/)) {
+    let line = raw.replace(/\s+$/, '');
+    if (!line || line.startsWith('#')) continue;
+
+    let negate = false;
+    if (line.startsWith('!')) {
+      negate = true;
+      line = line.slice(1);
+    }
+    if (line.startsWith('\\')) line = line.slice(1);
+
+    // A slash anywhere but the end anchors the pattern to baseDir
+    const anchored = line.replace(/\/$/, '').includes('/');
+    let pattern = line.replace(/^\//, '');
+    if (!anchored) pattern = '**/' + pattern;
+    pattern = baseDir ? `/${baseDir}/${pattern}` : `/${pattern}`;
+
+    rules.push({ pattern, negate });
+  }
+
+  return rules;
+}
+
+/**
+ * Last matching rule wins, as in git
+ */
+function isIgnored(relativePath, rules) {
+  let ignored = false;
+  for (const rule of rules) {
+    if (matchGlob(relativePath, rule.pattern)) ignored = !rule.negate;
+  }
+  return ignored;
+}
+
+/**
+ * Walk a directory honouring nested .gitignore files
+ */
+function walkWithIgnores(rootDir, shouldSkip) {
+  const files = [];
+
+  function walk(dir, inheritedRules) {
+    const relativeDir = path.relative(rootDir, dir).split(path.sep).join('/');
+    let rules = inheritedRules;
+
+    const ignoreFile = path.join(dir, '.gitignore');
+    if (fs.existsSync(ignoreFile)) {
+      rules = [...rules, ...parseIgnoreFile(fs.readFileSync(ignoreFile, 'utf-8'), relativeDir)];
+    }
+
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+
+    for (const entry of entries) {
+      const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+      if (shouldSkip(entry.name)) continue;
+      if (isIgnored(entry.isDirectory() ? relativePath + '/' : relativePath, rules)) continue;
+
+      if (entry.isDirectory()) {
+        walk(path.join(dir, entry.name), rules);
+      } else if (entry.isFile()) {
+        files.push(relativePath);
+      }
+    }
+  }
+
+  walk(rootDir, []);
+  return files;
+}
+
+module.exports = {
+  listGitFiles,
+  parseIgnoreFile,
+  isIgnored,
+  walkWithIgnores,
+};
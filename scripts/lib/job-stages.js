@@ -0,0 +1,769 @@
+/**
+ * Job stages
+ *
+ * The steps of one Retools job, in order: clone, install, review,
+ * customize, commit, validate (the gates in lib/gates.js, with AI fix
+ * attempts), push, pr, preview and notify. Each
+ * stage reads the job and the outputs of the stages before it from `ctx`
+ * and returns its own outputs, which the pipeline persists so a failed job
+ * can be resumed or a single stage re-run. Status webhooks are sent from
+ * the stages through `ctx.notify`.
+ *
+ * A revision (`revision_of` in the payload) checks out the earlier job's
+ * branch instead of creating one, gathers the review comments on its pull
+ * request in the review stage, and adds its commits to the same branch and
+ * pull request; its webhooks carry the original job's id.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync, spawnSync } = require('child_process');
+const { createOutbox } = require('./webhook-outbox');
+const { WebhookEventError, buildPayload, createSigner, deliverQueued, queueEvent, reportEventError } = require('./webhook-events');
+const { createGitHubClient } = require('./github-api');
+const { discoverWorkspace } = require('./workspace');
+const { loadConfig } = require('./config');
+const {
+  DEFAULT_GATES,
+  compareWithBaseline,
+  errorCount,
+  failedGateOutput,
+  formatGatesForPullRequest,
+  gatesForPayload,
+  newFailures,
+  parseGateNames,
+  resolveGates,
+  runGate,
+} = require('./gates');
+const {
+  DEFAULT_GIT_EMAIL,
+  DEFAULT_GIT_NAME,
+  authenticatedUrl,
+  featureBranchFor,
+  repoPathOf,
+} = require('./job-payload');
+const { latestSnapshot, restoreSnapshot } = require('./snapshot');
+const {
+  DEFAULT_REVISION_PROMPT,
+  JOB_TRAILER,
+  REVISION_TRAILER,
+  fetchReviewComments,
+  findOriginalPrompt,
+  lastReviewedAt,
+  loadReviewComments,
+  revisionMarker,
+  selectComments,
+} = require('./revision');
+
+const ENGINE_DIR = path.resolve(__dirname, '..');
+const MAX_VALIDATION_ATTEMPTS = 3;
+// ai-driver.js exits with this code when the job's AI budget is used up
+const BUDGET_EXHAUSTED_EXIT = 3;
+const GATE_LOG_TAIL_LINES = 150;
+const PREVIEW_POLL_MS = 10000;
+const PREVIEW_URL = /https:\/\/[a-zA-Z0-9-]+\.vercel\.app[^\s")\]]*/;
+
+/**
+ * A failure whose message is meant for the user: it is sent as the
+ * message of the `failed` webhook instead of the generic one
+ */
+class JobError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'JobError';
+  }
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Replace the user's token wherever it could appear (remote URLs in git
+ * errors)
+ */
+function redact(ctx, text) {
+  const token = ctx.job.github_token;
+  return token ? String(text).split(token).join('***') : String(text);
+}
+
+function git(ctx, args, options = {}) {
+  try {
+    return execFileSync('git', args, {
+      cwd: ctx.repoDir,
+      encoding: 'utf-8',
+      stdio: ['ignore', 'pipe', 'pipe'],
+      ...options,
+    }).trim();
+  } catch (error) {
+    const detail = (error.stderr || '').toString().trim() || error.message;
+    throw new Error(redact(ctx, `git ${args[0]} failed: ${detail}`));
+  }
+}
+
+function tryGit(ctx, args) {
+  try {
+    return git(ctx, args);
+  } catch {
+    return null;
+  }
+}
+
+function readManifest(ctx) {
+  try {
+    return JSON.parse(fs.readFileSync(ctx.manifestPath, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Run ai-driver.js on the checkout; returns its exit code
+ */
+function runDriver(ctx, args) {
+  const result = spawnSync(process.execPath, [
+    path.join(ENGINE_DIR, 'ai-driver.js'),
+    '--working-dir', ctx.repoDir,
+    '--budget-file', ctx.budgetFile,
+    ...args,
+  ], {
+    cwd: ctx.repoDir,
+    stdio: 'inherit',
+    env: { ...process.env, RETOOLS_AGENT_MODE: String(ctx.job.agent_mode) },
+  });
+  if (result.error) throw result.error;
+  return result.status;
+}
+
+/**
+ * Dependency install command for the checkout, or null
+ */
+function installCommandFor(repoDir) {
+  const has = (file) => fs.existsSync(path.join(repoDir, file));
+  if (has('package.json')) {
+    if (has('pnpm-lock.yaml')) return { label: '📦 Node.js (pnpm)', command: 'pnpm install' };
+    if (has('yarn.lock')) return { label: '📦 Node.js (yarn)', command: 'yarn install' };
+    return { label: '📦 Node.js', command: 'npm install' };
+  }
+  if (has('requirements.txt')) return { label: '🐍 Python', command: 'pip install -r requirements.txt' };
+  if (has('Gemfile')) return { label: '💎 Ruby', command: 'bundle install' };
+  return null;
+}
+
+/**
+ * Validation gates for the package the AI driver targeted (recorded in the
+ * manifest; the root for single-package repos). Gates picked by the job's
+ * options win over the repository's config as read when it was cloned.
+ * Returns `{ gates, packageDir }`.
+ */
+function gatesFor(ctx) {
+  const files = (tryGit(ctx, ['ls-files']) || '').split('\n').filter(Boolean);
+  const workspace = discoverWorkspace(ctx.repoDir, files);
+  const targetDir = readManifest(ctx)?.target?.dir || '';
+  const pkg = workspace.packages.find((p) => p.dir === targetDir) || workspace.packages.find((p) => !p.dir) || null;
+  const validation = ctx.outputs.validation || { gates: null, commands: {} };
+  const names = ctx.options.gates || validation.gates || DEFAULT_GATES;
+  return { gates: resolveGates(workspace, pkg, names, validation.commands), packageDir: pkg && pkg.dir ? pkg.dir : null };
+}
+
+/**
+ * Run every gate once, logging each result. `run` numbers the log files.
+ */
+function runGates(ctx, gates, run) {
+  console.log(`\n🔨 Validation Attempt ${run} of ${MAX_VALIDATION_ATTEMPTS}...`);
+  return gates.map((gate) => {
+    const result = runGate(gate, { cwd: ctx.repoDir, logFile: path.join(ctx.workDir, `${gate.name}-${run}.log`), timeoutMs: ctx.options.buildTimeoutMs });
+    if (result.outcome === 'passed') console.log(`  ✅ ${gate.name} passed (${(result.duration_ms / 1000).toFixed(1)}s)`);
+    if (result.outcome === 'failed') console.log(`  ❌ ${gate.name} failed (${(result.duration_ms / 1000).toFixed(1)}s, ${result.errors} parsed error(s))`);
+    return result;
+  });
+}
+
+/**
+ * Run `gates` on the commit the job started from, where the AI's changes
+ * are not applied yet, then check the feature branch out again
+ */
+function runBaselineGates(ctx, gates) {
+  const { featureBranch, startCommit, revisionStart, baseBranch } = ctx.outputs;
+  console.log(`\n🔍 Running ${gates.map((g) => g.name).join(', ')} without the AI changes, to tell new failures from existing ones...`);
+  git(ctx, ['checkout', '--quiet', '--detach', startCommit || revisionStart || `origin/${baseBranch}`]);
+  try {
+    return gates.map((gate) => {
+      const result = runGate(gate, { cwd: ctx.repoDir, logFile: path.join(ctx.workDir, `${gate.name}-baseline.log`), timeoutMs: ctx.options.buildTimeoutMs });
+      console.log(`  ${result.outcome === 'failed' ? `❌ ${gate.name} already failed (${result.errors} parsed error(s))` : `✅ ${gate.name} passed`}`);
+      return result;
+    });
+  } finally {
+    git(ctx, ['checkout', '--quiet', featureBranch]);
+  }
+}
+
+function commitAll(ctx, message) {
+  if (!git(ctx, ['status', '--porcelain'])) return false;
+  git(ctx, ['add', '.']);
+  git(ctx, ['commit', '-m', message]);
+  return true;
+}
+
+function oneLine(text, length) {
+  return text.replace(/\s+/g, ' ').trim().slice(0, length);
+}
+
+/**
+ * Title and body of the job's pull request; a draft when validation failed
+ */
+function pullRequestText(prompt, { draft, gates = [], attempts, rollbacks = [] }) {
+  const footer = '*Generated by [Noelle](https://thenoelle.app) — AI-powered code changes*';
+  const reverted = rollbacks.map((r) => `> ↩️ AI fix attempt ${r.attempt} was rolled back: it raised the error count from ${r.before} to ${r.after}.\n`).join('');
+  const validation = gates.length ? `### Validation\n\n${formatGatesForPullRequest(gates)}\n\n${reverted ? `${reverted}\n` : ''}` : '';
+  if (!draft) {
+    return {
+      title: `🤖 Noelle AI: ${oneLine(prompt, 72)}`,
+      body: `## AI-Generated Changes\n\n**Prompt:**\n\n${prompt}\n\n${validation}---\n\n${footer}`,
+    };
+  }
+  const failing = newFailures(gates).map((g) => g.name);
+  return {
+    title: `⚠️ [Draft] Noelle AI: ${oneLine(prompt, 65)}`,
+    body: `## AI-Generated Changes *(validation did not pass)*\n\n**Prompt:**\n\n${prompt}\n\n${validation}---\n\n`
+      + `> ⚠️ Automated validation${failing.length ? ` (${failing.join(', ')})` : ''} still failed after ${attempts || MAX_VALIDATION_ATTEMPTS} attempt(s) with AI fixes. The changes are pushed here as a **draft PR** for your review. `
+      + 'Please inspect the diff, fix any remaining issues, and mark the PR ready for review when it\'s good to merge.\n\n'
+      + footer,
+  };
+}
+
+/**
+ * Comment posted on the pull request after a revision is pushed. Its marker
+ * keeps the next revision from reading it as review feedback and records
+ * `reviewedAt`, where the next revision's comments start.
+ */
+function revisionCommentText(prompt, { reviewComments = 0, reviewedAt, gates = [], rollbacks = [], buildSuccess }) {
+  const reverted = rollbacks.map((r) => `> ↩️ AI fix attempt ${r.attempt} was rolled back: it raised the error count from ${r.before} to ${r.after}.\n`).join('');
+  const validation = gates.length ? `### Validation\n\n${formatGatesForPullRequest(gates)}\n\n${reverted ? `${reverted}\n` : ''}` : '';
+  const addressed = reviewComments ? `Addressed ${reviewComments} review comment${reviewComments === 1 ? '' : 's'}.` : 'No new review comments.';
+  const instructions = prompt !== DEFAULT_REVISION_PROMPT ? `\n\n**Follow-up instructions:**\n\n${prompt}` : '';
+  const warning = buildSuccess === false ? '> ⚠️ Automated validation still fails after this revision; please review before merging.\n\n' : '';
+  return `${revisionMarker(reviewedAt)}\n## 🔁 AI Revision\n\n${addressed}${instructions}\n\n${validation}${warning}*Generated by [Noelle](https://thenoelle.app) — AI-powered code changes*`;
+}
+
+/**
+ * First Vercel preview URL in a PR's comments, or null
+ */
+function findPreviewUrl(comments) {
+  for (const comment of Array.isArray(comments) ? comments : []) {
+    const body = comment.body || '';
+    if (comment.user?.login !== 'vercel[bot]' && !body.includes('vercel.app')) continue;
+    const match = body.match(PREVIEW_URL);
+    if (match) return match[0];
+  }
+  return null;
+}
+
+const notDryRun = (ctx) => !ctx.job.dry_run;
+const isRevision = (ctx) => Boolean(ctx.job.revision_of);
+
+/**
+ * Message of the commit holding the AI's changes. The full prompt and the
+ * job id go in the body so a revision can recover them from the branch.
+ */
+function commitMessageFor(job) {
+  const subject = oneLine(job.prompt.split('\n')[0], 72);
+  if (job.revision_of) {
+    return `🔁 Retools AI revision: ${subject}\n\n${job.prompt}\n\n${JOB_TRAILER}: ${job.revision_of}\n${REVISION_TRAILER}: ${job.job_id}`;
+  }
+  return `🤖 Retools AI: ${subject}\n\n${job.prompt}\n\n${JOB_TRAILER}: ${job.job_id}`;
+}
+
+const STAGES = [
+  {
+    name: 'clone',
+    description: 'Clone the repository and create the feature branch',
+    async run(ctx) {
+      const { job } = ctx;
+      fs.rmSync(ctx.repoDir, { recursive: true, force: true });
+      console.log(`📥 Cloning ${job.repo_url}...`);
+      git(ctx, ['clone', authenticatedUrl(job.repo_url, job.github_token), ctx.repoDir], { cwd: ctx.workDir });
+
+      // Use the requested branch if it exists on the remote; otherwise fall
+      // back to the repo's actual default (handles main vs master mismatch)
+      let baseBranch = job.branch;
+      if (baseBranch && tryGit(ctx, ['show-ref', '--verify', '--quiet', `refs/remotes/origin/${baseBranch}`]) !== null) {
+        console.log(`✅ Using requested branch: ${baseBranch}`);
+      } else {
+        const originHead = tryGit(ctx, ['symbolic-ref', 'refs/remotes/origin/HEAD']);
+        baseBranch = originHead ? originHead.replace('refs/remotes/origin/', '') : 'master';
+        console.log(`⚠️  Branch '${job.branch || ''}' not found on remote. Using default: ${baseBranch}`);
+      }
+      git(ctx, ['checkout', baseBranch]);
+
+      // A revision continues the earlier job's branch
+      const featureBranch = job.feature_branch || featureBranchFor(job.revision_of || job.job_id);
+      let revisionStart = null;
+      if (isRevision(ctx)) {
+        if (tryGit(ctx, ['show-ref', '--verify', '--quiet', `refs/remotes/origin/${featureBranch}`]) === null) {
+          throw new JobError(`Branch ${featureBranch} of job ${job.revision_of} is not on the remote, so there is nothing to revise`);
+        }
+        git(ctx, ['checkout', '-B', featureBranch, `origin/${featureBranch}`]);
+        revisionStart = git(ctx, ['rev-parse', 'HEAD']);
+      }
+      // Where the AI's changes start; validation compares its gates against this commit
+      const startCommit = git(ctx, ['rev-parse', 'HEAD']);
+
+      // A broken .retools.json fails the job here, with its errors, rather than inside the driver.
+      // It is read once, before the model can touch the checkout.
+      let config;
+      try {
+        config = loadConfig(ctx.repoDir);
+        if (config.source) console.log(`⚙️  Using ${config.source}`);
+      } catch (error) {
+        throw new JobError(error.message);
+      }
+
+      // All AI changes go to an isolated branch, never the default branch
+      if (!isRevision(ctx)) git(ctx, ['checkout', '-b', featureBranch]);
+      git(ctx, ['config', 'user.email', job.user_email || DEFAULT_GIT_EMAIL]);
+      git(ctx, ['config', 'user.name', job.user_name || DEFAULT_GIT_NAME]);
+
+      if (isRevision(ctx)) {
+        console.log(`✅ Repository cloned. Revising branch: ${featureBranch} (base: ${baseBranch})`);
+        await ctx.notify({ status: 'cloning', message: `Repository cloned; revising ${featureBranch}` });
+      } else {
+        console.log(`✅ Repository cloned. Working on branch: ${featureBranch} (base: ${baseBranch})`);
+        await ctx.notify({ status: 'cloning', message: 'Repository cloned successfully' });
+      }
+      return { baseBranch, featureBranch, revisionStart, startCommit, validation: config.validation };
+    },
+  },
+  {
+    name: 'install',
+    description: 'Install the project\'s dependencies',
+    when: (ctx) => !ctx.options.skipInstall,
+    async run(ctx) {
+      const install = installCommandFor(ctx.repoDir);
+      if (!install) {
+        console.log('ℹ️  No dependency file found, skipping install');
+        return { installCommand: null };
+      }
+      console.log(`${install.label}: ${install.command}`);
+      const result = spawnSync(install.command, { cwd: ctx.repoDir, shell: true, stdio: 'inherit' });
+      if (result.status !== 0) throw new Error(`${install.command} exited with code ${result.status ?? result.signal}`);
+      return { installCommand: install.command };
+    },
+  },
+  {
+    // Only for revisions: what the reviewers asked for since the last run
+    name: 'review',
+    description: 'Collect the review comments on the pull request',
+    when: isRevision,
+    async run(ctx) {
+      const { job } = ctx;
+      const { baseBranch, featureBranch } = ctx.outputs;
+      const base = `origin/${baseBranch}`;
+      const reviewCommentsFile = path.join(ctx.workDir, 'review-comments.json');
+      const reviewedAt = new Date().toISOString();
+
+      let prNumber = job.pr_number;
+      let originalPrompt;
+      let comments;
+      if (ctx.options.reviewComments) {
+        const loaded = loadReviewComments(ctx.options.reviewComments);
+        originalPrompt = loaded.originalPrompt || findOriginalPrompt(ctx.repoDir, base);
+        comments = loaded.comments;
+        console.log(`📝 Read ${comments.length} review comment(s) from ${ctx.options.reviewComments}`);
+      } else {
+        const client = createGitHubClient({ token: job.github_token, apiUrl: ctx.options.githubApiUrl });
+        const repoPath = repoPathOf(job.repo_url);
+        const pr = prNumber ? await client.getPullRequest(repoPath, prNumber) : await client.findPullRequest(repoPath, featureBranch);
+        if (!pr || !pr.number) throw new JobError(`No open pull request for ${featureBranch}, so there is no review to address`);
+        prNumber = pr.number;
+
+        // Comments the last revision read were addressed by it
+        const raw = await fetchReviewComments(client, repoPath, prNumber);
+        const since = lastReviewedAt(raw, { requester: job.requester_login });
+        comments = selectComments(raw, { since, requester: job.requester_login });
+        originalPrompt = findOriginalPrompt(ctx.repoDir, base, pr.body);
+        console.log(`📝 Found ${comments.length} new review comment(s) on PR #${prNumber}${since ? ` since ${since}` : ''}`);
+      }
+
+      if (!comments.length && job.prompt === DEFAULT_REVISION_PROMPT) {
+        throw new JobError('There are no new review comments to address and no follow-up instructions were given');
+      }
+      fs.writeFileSync(reviewCommentsFile, JSON.stringify({ original_prompt: originalPrompt, comments }, null, 2) + '\n');
+      return { prNumber: prNumber || null, reviewComments: comments.length, reviewCommentsFile, reviewedAt };
+    },
+  },
+  {
+    name: 'customize',
+    description: 'Apply the AI changes for the prompt',
+    async run(ctx) {
+      const { job } = ctx;
+      const revision = isRevision(ctx)
+        ? ['--revise', '--base', `origin/${ctx.outputs.baseBranch}`, '--review-comments', ctx.outputs.reviewCommentsFile]
+        : [];
+      await ctx.notify({
+        status: 'customizing',
+        message: revision.length ? `AI is revising the changes for ${ctx.outputs.reviewComments} review comment(s)...` : 'AI is analyzing and customizing your code...',
+      });
+      if (job.dry_run) console.log('📋 Dry run requested — changes will be planned, not written');
+
+      const status = runDriver(ctx, [
+        '--prompt', job.prompt,
+        '--manifest', ctx.manifestPath,
+        ...revision,
+        ...(job.dry_run ? ['--dry-run'] : []),
+      ]);
+      if (status === BUDGET_EXHAUSTED_EXIT) throw new JobError('The AI budget for this job is exhausted');
+      if (status !== 0) throw new Error(`ai-driver.js exited with code ${status}`);
+
+      const manifest = readManifest(ctx);
+      if (!manifest) throw new Error(`ai-driver.js wrote no change manifest to ${ctx.manifestPath}`);
+      const { summary } = manifest;
+
+      if (job.dry_run) {
+        await ctx.notify({
+          status: 'plan_ready',
+          message: `Dry run complete: ${summary.changes} change(s), ${summary.rejected} rejected, ${summary.conflicts} conflict(s)`,
+          filesChanged: summary.changes,
+        });
+      } else {
+        console.log('✅ AI changes applied');
+      }
+      return { changes: summary.changes };
+    },
+  },
+  {
+    name: 'commit',
+    description: 'Commit the applied changes',
+    when: notDryRun,
+    async run(ctx) {
+      // Gate on the change manifest written by the AI driver
+      const manifest = readManifest(ctx);
+      if (!manifest || manifest.summary.changes === 0) {
+        console.log('⚠️  Manifest lists no applied changes — skipping commit');
+        return { committed: false };
+      }
+      const refused = manifest.modifications.filter((m) => m.status === 'rejected' || m.status === 'conflict');
+      if (refused.length) {
+        console.log(`⚠️  ${refused.length} modification(s) were rejected or conflicted:`);
+        for (const m of refused) console.log(`   - ${m.path}: ${m.warnings.join('; ')}`);
+      }
+
+      if (!commitAll(ctx, commitMessageFor(ctx.job))) {
+        console.log('⚠️  No changes detected');
+        return { committed: false };
+      }
+      console.log('✅ Changes committed');
+      return { committed: true };
+    },
+  },
+  {
+    name: 'validate',
+    description: `Run the validation gates, with up to ${MAX_VALIDATION_ATTEMPTS - 1} AI fix attempts`,
+    when: notDryRun,
+    async run(ctx) {
+      const { gates, packageDir } = gatesFor(ctx);
+      const pending = gates.map((g) => ({ name: g.name, command: g.command, outcome: g.command ? 'pending' : 'skipped' }));
+      await ctx.notify({ status: 'building', message: 'Validating build with AI auto-fix...', buildOutcome: 'pending', gates: gatesForPayload(pending) });
+
+      for (const gate of gates) {
+        console.log(gate.command ? `📦 ${gate.name}: ${gate.command}` : `ℹ️  ${gate.name}: no script, skipped`);
+      }
+      if (gates.every((g) => !g.command)) {
+        console.log('ℹ️  No validation scripts found, skipping validation');
+        return { buildSuccess: true, buildOutcome: 'skipped', buildAttempts: 0, gates: pending };
+      }
+
+      // Gates that fail are run once more without the AI's changes: failures
+      // the repository already had neither use up fix attempts nor make a draft
+      let results = runGates(ctx, gates, 1);
+      const failedFirst = gates.filter((g) => results.some((r) => r.name === g.name && r.outcome === 'failed'));
+      const baseline = failedFirst.length ? runBaselineGates(ctx, failedFirst) : [];
+      results = compareWithBaseline(results, baseline);
+
+      // Each fix is validated right away; one that leaves more errors than it
+      // was given is rolled back from the driver's snapshot and not committed
+      const rollbacks = [];
+      for (let attempt = 1; ; attempt++) {
+        const failed = newFailures(results);
+
+        if (!failed.length) {
+          const existing = results.filter((r) => r.preexisting).map((r) => r.name);
+          console.log(`✅ Validation passed on attempt ${attempt}!${existing.length ? ` (${existing.join(', ')} already failed before the changes)` : ''}`);
+          await ctx.notify({
+            status: 'building',
+            message: (attempt === 1 ? 'Build successful on first attempt' : `Build successful after ${attempt} AI fix attempts`)
+              + (existing.length ? ` (${existing.join(', ')} already failing before the changes)` : ''),
+            buildOutcome: 'passed',
+            buildAttempts: attempt,
+            gates: gatesForPayload(results),
+          });
+          return { buildSuccess: true, buildOutcome: 'passed', buildAttempts: attempt, gates: results, rollbacks };
+        }
+
+        const names = failed.map((r) => r.name).join(', ');
+        console.log(`❌ Validation failed on attempt ${attempt} (${names})`);
+        console.log(failedGateOutput(results));
+
+        if (attempt === MAX_VALIDATION_ATTEMPTS) {
+          console.log(`\n💔 Validation failed after ${MAX_VALIDATION_ATTEMPTS} attempts. Giving up.`);
+          return { buildSuccess: false, buildOutcome: 'failed', buildAttempts: attempt, gates: results, rollbacks };
+        }
+
+        console.log(`\n📡 Sending webhook - AI attempting fix ${attempt}...`);
+        await ctx.notify({
+          status: 'building',
+          message: `Validation failed (${names}), AI attempting fix ${attempt} of ${MAX_VALIDATION_ATTEMPTS}...`,
+          stage: 'fix',
+          attempt,
+          maxAttempts: MAX_VALIDATION_ATTEMPTS,
+          buildOutcome: 'pending',
+          gates: gatesForPayload(results),
+        });
+
+        // The prompt carries the tail of each failing gate's output; the driver
+        // parses the full log itself and attaches the failing files' source
+        console.log(`\n🤖 Asking AI to fix validation errors (attempt ${attempt})...`);
+        const logFile = path.join(ctx.workDir, `validate-${attempt}.log`);
+        fs.writeFileSync(logFile, failedGateOutput(results));
+        const fixPrompt = `The previous changes failed validation (${names}). Please analyze the errors below and fix the issues.\n\n`
+          + failedGateOutput(results, { tailLines: GATE_LOG_TAIL_LINES });
+        const snapshotBefore = latestSnapshot(ctx.repoDir)?.id;
+        const status = runDriver(ctx, [
+          '--prompt', fixPrompt,
+          '--build-log', logFile,
+          ...(packageDir ? ['--package', packageDir] : []),
+          '--fix-mode',
+        ]);
+
+        if (status === BUDGET_EXHAUSTED_EXIT) {
+          console.log(`\n💸 AI budget for this job is exhausted. Giving up after ${attempt} attempt(s).`);
+          return { buildSuccess: false, buildOutcome: 'failed', buildAttempts: attempt, gates: results, rollbacks };
+        }
+        if (status !== 0) throw new Error(`ai-driver.js exited with code ${status} while fixing validation errors`);
+
+        const snapshot = latestSnapshot(ctx.repoDir);
+        if (!snapshot || snapshot.id === snapshotBefore) {
+          console.log('⚠️  AI made no changes, retrying anyway...');
+          results = compareWithBaseline(runGates(ctx, gates, attempt + 1), baseline);
+          continue;
+        }
+
+        console.log('✅ AI applied fixes, re-running validation...');
+        const next = compareWithBaseline(runGates(ctx, gates, attempt + 1), baseline);
+        const before = errorCount(results);
+        const after = errorCount(next);
+        if (after > before) {
+          console.log(`↩️  Fix attempt ${attempt} made things worse (${before} → ${after} errors); rolling it back`);
+          restoreSnapshot(ctx.repoDir, snapshot.id, { force: true });
+          rollbacks.push({ attempt, before, after });
+          continue;
+        }
+        console.log(`📉 Errors: ${before} → ${after}`);
+        commitAll(ctx, `🔧 AI Auto-fix attempt ${attempt}: Fix ${names} errors`);
+        results = next;
+      }
+    },
+  },
+  {
+    // Runs even if validation failed — the AI's work is always pushed so the
+    // user can inspect, fix, and merge at their discretion
+    name: 'push',
+    description: 'Push the feature branch',
+    when: notDryRun,
+    async run(ctx) {
+      const { job } = ctx;
+      const { baseBranch, featureBranch } = ctx.outputs;
+      await ctx.notify({ status: 'deploying', message: isRevision(ctx) ? 'Pushing the revision...' : 'Pushing branch and creating pull request...' });
+
+      // A revision only counts the commits it added to the branch
+      const since = isRevision(ctx) ? `origin/${featureBranch}` : `origin/${baseBranch}`;
+      const commits = parseInt(tryGit(ctx, ['rev-list', '--count', `${since}..HEAD`]) || '0', 10);
+      if (!commits) {
+        console.log('⚠️  No commits on feature branch — nothing to push');
+        throw new JobError(isRevision(ctx)
+          ? 'The AI made no changes for the review comments, so there is nothing to push'
+          : 'The AI made no changes, so there is nothing to open a pull request for');
+      }
+
+      git(ctx, ['remote', 'set-url', 'origin', authenticatedUrl(job.repo_url, job.github_token)]);
+      git(ctx, ['push', '-u', 'origin', featureBranch]);
+      console.log(`✅ Branch pushed: ${featureBranch}`);
+      return { pushed: true };
+    },
+  },
+  {
+    // A regular PR when validation passed; a draft when it failed so the user
+    // can still review the AI's work and decide whether to merge
+    name: 'pr',
+    description: 'Open the pull request',
+    when: (ctx) => notDryRun(ctx) && ctx.outputs.pushed,
+    async run(ctx) {
+      const { job } = ctx;
+      const { baseBranch, featureBranch, buildSuccess, buildAttempts, gates, rollbacks, reviewComments, reviewedAt } = ctx.outputs;
+      const client = createGitHubClient({ token: job.github_token, apiUrl: ctx.options.githubApiUrl });
+      const repoPath = repoPathOf(job.repo_url);
+      // Status follows this run's validation; the PR's own flag is only reported as prDraft
+      const draft = !buildSuccess;
+
+      // A resumed job may already have opened it; a revision reuses the job's PR
+      let pr = ctx.outputs.prNumber
+        ? await client.getPullRequest(repoPath, ctx.outputs.prNumber)
+        : await client.findPullRequest(repoPath, featureBranch);
+      if (pr && pr.number && isRevision(ctx)) {
+        const body = revisionCommentText(job.prompt, { reviewComments, reviewedAt, gates, rollbacks, buildSuccess });
+        await client.createIssueComment(repoPath, pr.number, body);
+        console.log(`💬 Revision summary posted on PR #${pr.number}: ${pr.html_url}`);
+        if (typeof pr.draft === 'boolean' && pr.draft !== draft) {
+          console.log(`ℹ️  PR #${pr.number} is ${pr.draft ? 'still a draft' : 'not a draft'}; this revision ${draft ? 'failed' : 'passed'} validation`);
+        }
+        return { prUrl: pr.html_url, prNumber: pr.number, draft, prDraft: pr.draft ?? draft };
+      }
+      if (pr && pr.number) {
+        console.log(`♻️  Pull request already open: ${pr.html_url}`);
+      } else {
+        const text = pullRequestText(job.prompt, { draft, gates, attempts: buildAttempts, rollbacks });
+        pr = await client.createPullRequest(repoPath, { ...text, head: featureBranch, base: baseBranch, draft });
+        if (!pr || !pr.html_url) throw new Error(`GitHub API returned no pull request: ${JSON.stringify(pr)}`);
+        console.log(draft ? `⚠️  Draft Pull Request created (validation failed): ${pr.html_url}` : `✅ Pull Request created: ${pr.html_url}`);
+      }
+      return { prUrl: pr.html_url, prNumber: pr.number, draft, prDraft: pr.draft ?? draft };
+    },
+  },
+  {
+    // Vercel auto-deploys a preview for the PR and comments with its URL
+    name: 'preview',
+    description: 'Wait for a Vercel preview URL on the pull request',
+    when: (ctx) => notDryRun(ctx) && ctx.outputs.prNumber && !ctx.outputs.draft,
+    async run(ctx) {
+      const waitMs = ctx.options.previewWaitMs;
+      if (!waitMs) return { previewUrl: null };
+
+      const { prNumber } = ctx.outputs;
+      const client = createGitHubClient({ token: ctx.job.github_token, apiUrl: ctx.options.githubApiUrl });
+      const interval = Math.min(PREVIEW_POLL_MS, waitMs);
+      console.log(`⏳ Waiting for Vercel preview deployment comment on PR #${prNumber}...`);
+
+      for (let elapsed = 0; elapsed < waitMs;) {
+        await sleep(interval);
+        elapsed += interval;
+        console.log(`   Checking comments after ${Math.round(elapsed / 1000)}s...`);
+        try {
+          const previewUrl = findPreviewUrl(await client.listIssueComments(repoPathOf(ctx.job.repo_url), prNumber));
+          if (previewUrl) {
+            console.log(`✅ Vercel preview URL found: ${previewUrl}`);
+            return { previewUrl };
+          }
+        } catch (error) {
+          console.warn(`⚠️  Could not read PR comments: ${error.message}`);
+        }
+      }
+
+      console.log(`ℹ️  No Vercel preview URL found within ${Math.round(waitMs / 1000)}s (repo may not be linked to Vercel)`);
+      return { previewUrl: null };
+    },
+  },
+  {
+    name: 'notify',
+    description: 'Report the pull request to the app',
+    when: (ctx) => notDryRun(ctx) && ctx.outputs.prUrl,
+    async run(ctx) {
+      const { baseBranch, draft, prUrl, prNumber, previewUrl, buildOutcome, buildAttempts, gates, revisionStart } = ctx.outputs;
+      // A revision reports the files its own commits touched
+      const range = isRevision(ctx) && revisionStart ? `${revisionStart}..HEAD` : `origin/${baseBranch}...HEAD`;
+      const diff = tryGit(ctx, ['diff', '--name-only', range]) || '';
+      const filesChanged = diff.split('\n').filter(Boolean).length;
+
+      let message = draft ? 'Draft PR created — build needs review before merging' : 'PR created successfully — ready for review and merge';
+      if (isRevision(ctx)) {
+        message = draft ? 'Revision pushed — build needs review before merging' : 'Revision pushed — ready for another review';
+      }
+      await ctx.notify({
+        status: draft ? 'draft_ready' : 'preview_ready',
+        message,
+        filesChanged,
+        buildOutcome: draft ? buildOutcome || 'failed' : buildOutcome,
+        buildAttempts,
+        gates: gates ? gatesForPayload(gates) : null,
+        prUrl,
+        prNumber,
+        previewUrl,
+      });
+      return { filesChanged };
+    },
+  },
+];
+
+/**
+ * Everything the stages share for one job. Events go through the outbox in
+ * `<workDir>/outbox` and usage is read from the budget ledger in
+ * `<workDir>/budget.json` unless RETOOLS_WEBHOOK_OUTBOX / RETOOLS_BUDGET_FILE
+ * point elsewhere.
+ */
+function createJobContext(job, { workDir, webhookSecrets, githubApiUrl, gates, skipInstall = false, previewWaitMs, buildTimeoutMs, reviewComments = null }) {
+  const gateNames = gates || process.env.RETOOLS_GATES;
+  const outbox = createOutbox(process.env.RETOOLS_WEBHOOK_OUTBOX || path.join(workDir, 'outbox'));
+  const sign = createSigner(webhookSecrets);
+  const deadlineMs = parseInt(process.env.RETOOLS_WEBHOOK_DEADLINE_MS || '30000', 10);
+  const budgetFile = process.env.RETOOLS_BUDGET_FILE || path.join(workDir, 'budget.json');
+
+  return {
+    job,
+    workDir,
+    repoDir: path.join(workDir, 'repo'),
+    manifestPath: path.join(workDir, 'manifest.json'),
+    budgetFile,
+    outbox,
+    options: {
+      githubApiUrl,
+      // null leaves the choice to the repository's config
+      gates: gateNames ? parseGateNames(gateNames) : null,
+      skipInstall,
+      previewWaitMs: previewWaitMs ?? parseInt(process.env.RETOOLS_PREVIEW_WAIT_MS || '180000', 10),
+      buildTimeoutMs: buildTimeoutMs ?? parseInt(process.env.RETOOLS_BUILD_TIMEOUT_MS || '900000', 10),
+      // A review comments file used instead of the pull request's comments
+      reviewComments,
+    },
+    outputs: {},
+
+    /**
+     * Send one status event. A refused event is reported and the job goes
+     * on, as a failed webhook never fails the job. A revision reports under
+     * the original job's id, with its own id as `revision_id`.
+     */
+    async notify(fields) {
+      const ids = job.revision_of ? { jobId: job.revision_of, revisionId: job.job_id } : { jobId: job.job_id };
+      try {
+        queueEvent(outbox, { url: job.webhook_url, payload: buildPayload({ ...ids, ...fields }, { budgetFile }) });
+      } catch (error) {
+        if (!(error instanceof WebhookEventError)) throw error;
+        reportEventError(error);
+        return;
+      }
+      await deliverQueued(outbox, { sign, deadlineMs });
+    },
+  };
+}
+
+/**
+ * Tell the app the job failed — unless a PR was already opened, in which
+ * case the user has the work and the PR webhook (or its absence) says enough
+ */
+async function reportFailure(ctx, stageName, error) {
+  if (ctx.outputs.prUrl) return;
+  await ctx.notify({
+    status: 'failed',
+    message: error instanceof JobError ? error.message : `Job failed during the ${stageName} stage — check logs`,
+  });
+}
+
+module.exports = {
+  ENGINE_DIR,
+  JobError,
+  MAX_VALIDATION_ATTEMPTS,
+  STAGES,
+  createJobContext,
+  findPreviewUrl,
+  installCommandFor,
+  pullRequestText,
+  reportFailure,
+};
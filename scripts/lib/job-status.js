@@ -0,0 +1,192 @@
+/**
+ * Job status state machine and webhook payload schema
+ *
+ * Every callback the engine sends is validated against PAYLOAD_SCHEMA and
+ * the legal transitions below before it is spooled. Schema version 1 was
+ * the original unversioned payload; version 2 adds the enumerated status
+ * set and the structured progress / build / draft fields; version 3 adds
+ * token usage and estimated cost; version 4 adds the result of each
+ * validation gate (build, typecheck, lint, test); version 5 adds
+ * `revision_id` to the events of a revision, which reuse the original
+ * job's `job_id` and run through the statuses again from `cloning`;
+ * version 6 marks a gate that already failed before the job's changes
+ * `preexisting`, which does not keep the job from `preview_ready`.
+ */
+
+const { validate } = require('./schema');
+
+const PAYLOAD_SCHEMA_VERSION = 6;
+
+const GATE_OUTCOMES = ['pending', 'passed', 'failed', 'skipped'];
+
+const STATUSES = [
+  'cloning',
+  'customizing',
+  'plan_ready', // dry run finished; nothing was committed
+  'building',
+  'deploying',
+  'preview_ready', // PR open and the build passed
+  'draft_ready', // draft PR open because the build still fails
+  'failed',
+];
+
+const TERMINAL_STATUSES = ['plan_ready', 'preview_ready', 'draft_ready', 'failed'];
+
+// Non-terminal statuses may also repeat (e.g. one `building` per fix attempt)
+const TRANSITIONS = {
+  cloning: ['customizing', 'failed'],
+  customizing: ['plan_ready', 'building', 'deploying', 'failed'],
+  building: ['deploying', 'failed'],
+  deploying: ['preview_ready', 'draft_ready', 'failed'],
+};
+
+const INITIAL_STATUSES = ['cloning', 'failed'];
+
+const STAGES = ['clone', 'customize', 'plan', 'build', 'fix', 'deploy', 'done'];
+
+const DEFAULT_STAGE = {
+  cloning: 'clone',
+  customizing: 'customize',
+  plan_ready: 'plan',
+  building: 'build',
+  deploying: 'deploy',
+  preview_ready: 'done',
+  draft_ready: 'done',
+};
+
+const PAYLOAD_SCHEMA = {
+  type: 'object',
+  properties: {
+    schema_version: { const: PAYLOAD_SCHEMA_VERSION },
+    job_id: { type: 'string', minLength: 1 },
+    revision_id: { type: 'string', minLength: 1 },
+    status: { type: 'string', enum: STATUSES },
+    message: { type: 'string' },
+    timestamp: { type: 'string', minLength: 1 },
+    github_run_id: { type: 'string' },
+    github_run_url: { type: 'string' },
+    pr_url: { type: 'string', pattern: '^https?://' },
+    pr_number: { type: 'integer', minimum: 1 },
+    preview_url: { type: 'string', pattern: '^https?://' },
+    progress: {
+      type: 'object',
+      properties: {
+        stage: { type: 'string', enum: STAGES },
+        attempt: { type: 'integer', minimum: 1 },
+        max_attempts: { type: 'integer', minimum: 1 },
+      },
+      required: ['stage'],
+      additionalProperties: false,
+    },
+    build: {
+      type: 'object',
+      properties: {
+        outcome: { type: 'string', enum: GATE_OUTCOMES },
+        attempts: { type: 'integer', minimum: 0 },
+      },
+      required: ['outcome'],
+      additionalProperties: false,
+    },
+    // One entry per configured gate, in the order they run; `build` above is their combined outcome
+    gates: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          command: { type: ['string', 'null'] },
+          outcome: { type: 'string', enum: GATE_OUTCOMES },
+          duration_ms: { type: 'integer', minimum: 0 },
+          errors: { type: 'integer', minimum: 0 },
+          preexisting: { type: 'boolean' },
+        },
+        required: ['name', 'outcome'],
+        additionalProperties: false,
+      },
+    },
+    draft: { type: 'boolean' },
+    files_changed: { type: 'integer', minimum: 0 },
+    usage: {
+      type: 'object',
+      properties: {
+        calls: { type: 'integer', minimum: 0 },
+        input_tokens: { type: 'integer', minimum: 0 },
+        output_tokens: { type: 'integer', minimum: 0 },
+        total_tokens: { type: 'integer', minimum: 0 },
+        cost_usd: { type: ['number', 'null'], minimum: 0 }, // null when the model has no known price
+        budget_tokens: { type: ['integer', 'null'], minimum: 1 },
+        budget_usd: { type: ['number', 'null'], minimum: 0 },
+      },
+      required: ['calls', 'input_tokens', 'output_tokens', 'total_tokens', 'cost_usd'],
+      additionalProperties: false,
+    },
+    event_id: { type: 'string' },
+    sequence: { type: 'integer', minimum: 1 },
+  },
+  required: ['schema_version', 'job_id', 'status', 'message', 'timestamp', 'draft'],
+  additionalProperties: false,
+};
+
+/**
+ * Schema plus cross-field rules; returns `[{ path, message }]`
+ */
+function validatePayload(payload) {
+  const errors = validate(payload, PAYLOAD_SCHEMA);
+  if (errors.length) return errors;
+
+  const { status, progress, build, draft } = payload;
+  if (status === 'draft_ready' && !draft) errors.push({ path: 'draft', message: 'must be true for draft_ready' });
+  if (status === 'preview_ready' && draft) errors.push({ path: 'draft', message: 'must be false for preview_ready (use draft_ready)' });
+  if (status === 'draft_ready' && build && build.outcome === 'passed') {
+    errors.push({ path: 'build.outcome', message: 'draft_ready means the build did not pass' });
+  }
+  if (status === 'preview_ready' && build && build.outcome === 'failed') {
+    errors.push({ path: 'build.outcome', message: 'a failed build must be reported as draft_ready' });
+  }
+  if (status === 'preview_ready' && (payload.gates || []).some((gate) => gate.outcome === 'failed' && !gate.preexisting)) {
+    errors.push({ path: 'gates', message: 'a newly failed gate must be reported as draft_ready' });
+  }
+  if ((status === 'preview_ready' || status === 'draft_ready') && !payload.pr_url) {
+    errors.push({ path: 'pr_url', message: `is required for ${status}` });
+  }
+  if (progress && progress.attempt && progress.max_attempts && progress.attempt > progress.max_attempts) {
+    errors.push({ path: 'progress.attempt', message: `exceeds max_attempts (${progress.max_attempts})` });
+  }
+
+  return errors;
+}
+
+function isTerminal(status) {
+  return TERMINAL_STATUSES.includes(status);
+}
+
+/**
+ * Whether a job whose last status was `from` (null for a new job) may
+ * report `to`. Returns `{ ok, reason }`.
+ */
+function checkTransition(from, to) {
+  if (!STATUSES.includes(to)) return { ok: false, reason: `unknown status "${to}"` };
+  if (!from) {
+    return INITIAL_STATUSES.includes(to)
+      ? { ok: true }
+      : { ok: false, reason: `a job must start with ${INITIAL_STATUSES.join(' or ')}, not ${to}` };
+  }
+  if (isTerminal(from)) return { ok: false, reason: `job already finished with ${from}` };
+  if (from === to || (TRANSITIONS[from] || []).includes(to)) return { ok: true };
+  return { ok: false, reason: `${from} → ${to} is not allowed (expected ${[from, ...TRANSITIONS[from]].join(', ')})` };
+}
+
+module.exports = {
+  DEFAULT_STAGE,
+  GATE_OUTCOMES,
+  INITIAL_STATUSES,
+  PAYLOAD_SCHEMA,
+  PAYLOAD_SCHEMA_VERSION,
+  STAGES,
+  STATUSES,
+  TERMINAL_STATUSES,
+  TRANSITIONS,
+  checkTransition,
+  isTerminal,
+  validatePayload,
+};
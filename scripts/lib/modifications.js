@@ -0,0 +1,275 @@
+/**
+ * Structured modification output
+ *
+ * The model returns its changes by calling the `submit_modifications` tool
+ * rather than writing a JSON array into prose. Every entry is validated
+ * against a strict schema plus per-action rules; invalid entries get a
+ * precise error and one targeted repair round trip. Large change sets can
+ * be submitted in several batches (`complete: false`), which is also how a
+ * submission cut off at max_tokens is recovered without dropping edits:
+ * the entries it completed are kept and a continuation request asks for
+ * the rest.
+ */
+
+const { validate } = require('./schema');
+
+const ACTIONS = ['create', 'modify', 'patch', 'delete', 'region'];
+
+const MODIFICATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    path: { type: 'string', minLength: 1, description: 'Path relative to the repository root' },
+    action: { type: 'string', enum: ACTIONS },
+    content: { type: 'string', description: 'Full file content (create / modify), or the new text of the region (region)' },
+    edits: {
+      type: 'array',
+      minItems: 1,
+      description: 'Search/replace blocks (patch only)',
+      items: {
+        type: 'object',
+        properties: {
+          search: { type: 'string', minLength: 1 },
+          replace: { type: 'string' },
+        },
+        required: ['search', 'replace'],
+        additionalProperties: false,
+      },
+    },
+    diff: { type: 'string', minLength: 1, description: 'Unified diff with @@ hunks (patch only, instead of edits)' },
+    region: { type: 'string', pattern: '^R[1-9][0-9]*$', description: 'Id of a shown region of a large file (region only)' },
+  },
+  required: ['path', 'action'],
+  additionalProperties: false,
+};
+
+const SUBMIT_TOOL = {
+  name: 'submit_modifications',
+  description: 'Submit file modifications. Large change sets may be split across several calls: set "complete" to false while more batches follow and true on the last one.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      modifications: { type: 'array', items: MODIFICATION_SCHEMA },
+      complete: { type: 'boolean', description: 'true when this is the final batch' },
+    },
+    required: ['modifications', 'complete'],
+  },
+};
+
+/**
+ * Schema plus per-action rules for one entry; returns `[{ path, message }]`
+ */
+function validateModification(mod, at = '') {
+  const errors = validate(mod, MODIFICATION_SCHEMA, at);
+  if (errors.length || typeof mod !== 'object' || mod === null) return errors;
+
+  const field = (name) => (at ? `${at}.${name}` : name);
+  const forbid = (name) => {
+    if (mod[name] !== undefined) errors.push({ path: field(name), message: `is not allowed for action "${mod.action}"` });
+  };
+
+  if (mod.action !== 'region') forbid('region');
+  if (mod.action === 'create' || mod.action === 'modify') {
+    if (mod.content === undefined) errors.push({ path: field('content'), message: `is required for action "${mod.action}"` });
+    forbid('edits');
+    forbid('diff');
+  } else if (mod.action === 'region') {
+    if (mod.region === undefined) errors.push({ path: field('region'), message: 'is required for action "region"' });
+    if (mod.content === undefined) errors.push({ path: field('content'), message: 'is required for action "region"' });
+    forbid('edits');
+    forbid('diff');
+  } else if (mod.action === 'patch') {
+    if (mod.edits === undefined && mod.diff === undefined) {
+      errors.push({ path: field('edits'), message: 'patch needs either "edits" or "diff"' });
+    }
+    if (mod.edits !== undefined && mod.diff !== undefined) {
+      errors.push({ path: field('diff'), message: 'use either "edits" or "diff", not both' });
+    }
+    forbid('content');
+  } else if (mod.action === 'delete') {
+    forbid('content');
+    forbid('edits');
+    forbid('diff');
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a `submit_modifications` input. Returns the valid entries and
+ * one `{ index, path, errors }` record per invalid entry.
+ */
+function validateSubmission(input) {
+  const topLevel = validate(input, { type: 'object', required: ['modifications'], properties: { modifications: { type: 'array' } } });
+  if (topLevel.length) {
+    return { valid: [], invalid: [{ index: null, path: null, errors: topLevel }] };
+  }
+
+  const valid = [];
+  const invalid = [];
+  input.modifications.forEach((mod, index) => {
+    const errors = validateModification(mod, `modifications[${index}]`);
+    if (errors.length) {
+      invalid.push({ index, path: mod && typeof mod.path === 'string' ? mod.path : null, errors, modification: mod });
+    } else {
+      valid.push(mod);
+    }
+  });
+
+  return { valid, invalid };
+}
+
+/**
+ * The complete entries of the `modifications` array in `json`, the text of
+ * a submission cut off mid-way. Stops at the first entry that did not end.
+ */
+function salvageModifications(json) {
+  const start = /"modifications"\s*:\s*\[/.exec(json || '');
+  if (!start) return [];
+
+  const entries = [];
+  let from = start.index + start[0].length;
+  let depth = 0;
+  let inString = false;
+  for (let i = from; i < json.length; i++) {
+    const ch = json[i];
+    if (inString) {
+      if (ch === '\\') i++;
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') {
+      inString = true;
+    } else if (ch === '{' || ch === '[') {
+      depth++;
+    } else if (ch === '}' || ch === ']') {
+      if (depth === 0) break;
+      depth--;
+    }
+    if (depth === 0 && !inString && (ch === '}' || ch === ',')) {
+      const text = json.slice(from, i + 1).replace(/^[\s,]+/, '').replace(/,$/, '');
+      if (text) {
+        try {
+          entries.push(JSON.parse(text));
+        } catch {
+          break;
+        }
+      }
+      from = i + 1;
+    }
+  }
+  return entries;
+}
+
+function formatErrors(invalid) {
+  return invalid
+    .flatMap((entry) => entry.errors.map((e) => `- ${e.path}${entry.path ? ` (${entry.path})` : ''}: ${e.message}`))
+    .join('\n');
+}
+
+/**
+ * Run the structured request loop against a provider. Returns
+ * `{ modifications, invalid, usage, rounds }`.
+ */
+async function requestModifications(provider, { system, prompt, maxRounds = 8, log = console.log }) {
+  const messages = [{ role: 'user', content: prompt }];
+  const usage = { input_tokens: 0, output_tokens: 0 };
+  const modifications = [];
+  let invalid = [];
+  let repairUsed = false;
+  let awaitingRepair = [];
+  let rounds = 0;
+
+  while (rounds < maxRounds) {
+    rounds++;
+    const data = await provider.createMessage({
+      system,
+      messages,
+      tools: [SUBMIT_TOOL],
+      tool_choice: { type: 'tool', name: SUBMIT_TOOL.name },
+    });
+    usage.input_tokens += data.usage?.input_tokens || 0;
+    usage.output_tokens += data.usage?.output_tokens || 0;
+    messages.push({ role: 'assistant', content: data.content });
+
+    const calls = data.content.filter((block) => block.type === 'tool_use');
+    const truncated = data.truncatedToolInputs || {};
+    if (calls.length === 0) {
+      throw new Error(`Model did not call ${SUBMIT_TOOL.name} (stop_reason: ${data.stop_reason})`);
+    }
+
+    const results = [];
+    let done = true;
+
+    for (const call of calls) {
+      if (call.name !== SUBMIT_TOOL.name) {
+        results.push({ type: 'tool_result', tool_use_id: call.id, content: `Unknown tool ${call.name}`, is_error: true });
+        done = false;
+        continue;
+      }
+
+      if (call.id in truncated) {
+        // Keep what arrived whole; the continuation request asks for the rest
+        const { valid: kept } = validateSubmission({ modifications: salvageModifications(truncated[call.id]) });
+        modifications.push(...kept);
+        log(`  ✂️  Round ${rounds}: submission cut off at max_tokens — kept ${kept.length} complete modification(s), requesting the rest`);
+        const received = kept.length
+          ? `The first ${kept.length} modification(s) arrived complete and are kept: ${kept.map((mod) => `${mod.action} ${mod.path}`).join(', ')}. Do NOT resend them. `
+          : 'No modification in it arrived complete. ';
+        results.push({
+          type: 'tool_result',
+          tool_use_id: call.id,
+          content: `This submission was cut off by the output token limit. ${received}Continue with the remaining modifications in smaller batches (prefer "patch" edits over full content), with complete=false until the last batch.`,
+          is_error: true,
+        });
+        done = false;
+        continue;
+      }
+
+      const { valid, invalid: bad } = validateSubmission(call.input);
+      modifications.push(...valid);
+      log(`  📦 Round ${rounds}: received ${valid.length} valid modification(s)${bad.length ? `, ${bad.length} invalid` : ''}`);
+
+      // Entries sent back for repair that were not resubmitted stay invalid
+      if (awaitingRepair.length) {
+        const resubmitted = new Set(valid.map((mod) => mod.path));
+        invalid = invalid.concat(awaitingRepair.filter((entry) => !resubmitted.has(entry.path)));
+        awaitingRepair = [];
+      }
+
+      if (bad.length && !repairUsed) {
+        repairUsed = true;
+        awaitingRepair = bad;
+        done = false;
+        results.push({
+          type: 'tool_result',
+          tool_use_id: call.id,
+          content: `${valid.length} modification(s) accepted. These entries are invalid and were NOT applied:\n${formatErrors(bad)}\n\nResubmit ONLY the corrected entries listed above (the accepted ones are kept), with complete=true unless more batches follow.`,
+          is_error: true,
+        });
+        continue;
+      }
+
+      invalid = invalid.concat(bad);
+      if (call.input.complete === false) {
+        done = false;
+        results.push({ type: 'tool_result', tool_use_id: call.id, content: `Received ${valid.length} modification(s) (${modifications.length} total). Send the next batch.` });
+      } else {
+        results.push({ type: 'tool_result', tool_use_id: call.id, content: `Received ${modifications.length} modification(s) in total.` });
+      }
+    }
+
+    if (done) return { modifications, invalid, usage, rounds };
+    messages.push({ role: 'user', content: results });
+  }
+
+  throw new Error(`Model did not complete its submission within ${maxRounds} round(s)`);
+}
+
+module.exports = {
+  ACTIONS,
+  MODIFICATION_SCHEMA,
+  SUBMIT_TOOL,
+  formatErrors,
+  requestModifications,
+  salvageModifications,
+  validateModification,
+  validateSubmission,
+};
@@ -0,0 +1,216 @@
+/**
+ * Hunk-based edits
+ *
+ * Lets the model describe changes to an existing file as search/replace
+ * blocks or a unified diff instead of re-sending the whole file. Every hunk
+ * is located against the file on disk — exactly first, then with whitespace
+ * differences ignored — and a file is only rewritten when all of its hunks
+ * apply. Conflicts are reported per hunk.
+ */
+
+/**
+ * Collapse whitespace so indentation and trailing-space drift still match
+ */
+function normalizeLine(line) {
+  return line.replace(/\s+/g, ' ').trim();
+}
+
+function splitLines(text) {
+  return text.replace(/\r\n/g, '\n').split('\n');
+}
+
+/**
+ * Find `block` (array of lines) inside `lines`. Exact matches win over fuzzy
+ * ones; among several candidates the one closest to `hint` is used, and a
+ * tie without a hint is treated as ambiguous.
+ */
+function findBlock(lines, block, hint = null) {
+  if (block.length === 0) return { error: 'Hunk has no context or removed lines to anchor on' };
+
+  for (const fuzzy of [false, true]) {
+    const compare = fuzzy ? normalizeLine : (line) => line;
+    const target = block.map(compare);
+    const candidates = [];
+
+    for (let i = 0; i + block.length <= lines.length; i++) {
+      let matches = true;
+      for (let j = 0; j < block.length; j++) {
+        if (compare(lines[i + j]) !== target[j]) {
+          matches = false;
+          break;
+        }
+      }
+      if (matches) candidates.push(i);
+    }
+
+    if (candidates.length === 1) return { index: candidates[0], fuzzy };
+    if (candidates.length > 1) {
+      if (hint === null) {
+        return { error: `Hunk matches ${candidates.length} locations; include more context` };
+      }
+      candidates.sort((a, b) => Math.abs(a - hint) - Math.abs(b - hint));
+      return { index: candidates[0], fuzzy };
+    }
+  }
+
+  return { error: 'Hunk does not match the current file contents' };
+}
+
+/**
+ * Apply search/replace edits in order
+ */
+function applySearchReplace(original, edits) {
+  let content = original.replace(/\r\n/g, '\n');
+  const hunks = [];
+
+  edits.forEach((edit, index) => {
+    if (!edit || typeof edit.search !== 'string' || typeof edit.replace !== 'string') {
+      hunks.push({ index, status: 'conflict', reason: 'Edit must have string "search" and "replace" fields' });
+      return;
+    }
+
+    const search = edit.search.replace(/\r\n/g, '\n');
+    const replace = edit.replace.replace(/\r\n/g, '\n');
+
+    if (search === '') {
+      hunks.push({ index, status: 'conflict', reason: 'Empty "search" block' });
+      return;
+    }
+
+    // Exact substring match
+    const first = content.indexOf(search);
+    if (first !== -1) {
+      if (content.indexOf(search, first + 1) !== -1) {
+        hunks.push({ index, status: 'conflict', reason: 'Search block matches more than one location; include more context' });
+        return;
+      }
+      content = content.slice(0, first) + replace + content.slice(first + search.length);
+      hunks.push({ index, status: 'applied' });
+      return;
+    }
+
+    // Line-based, whitespace-insensitive match
+    const lines = content.split('\n');
+    const searchLines = search.replace(/\n$/, '').split('\n');
+    const found = findBlock(lines, searchLines);
+    if (found.error) {
+      hunks.push({ index, status: 'conflict', reason: found.error });
+      return;
+    }
+
+    const replaceLines = replace === '' ? [] : replace.replace(/\n$/, '').split('\n');
+    lines.splice(found.index, searchLines.length, ...replaceLines);
+    content = lines.join('\n');
+    hunks.push({ index, status: found.fuzzy ? 'fuzzy' : 'applied', line: found.index + 1 });
+  });
+
+  return { content, hunks };
+}
+
+/**
+ * Parse a unified diff for a single file into hunks
+ */
+function parseUnifiedDiff(diff) {
+  const hunks = [];
+  let current = null;
+
+  for (const line of splitLines(diff)) {
+    const header = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/);
+    if (header) {
+      current = { oldStart: parseInt(header[1], 10), lines: [] };
+      hunks.push(current);
+      continue;
+    }
+    if (!current) continue; // ---/+++ file headers and any preamble
+    if (line.startsWith('\\')) continue; // "\ No newline at end of file"
+
+    const type = line[0];
+    if (type === ' ' || type === '-' || type === '+') {
+      current.lines.push({ type, text: line.slice(1) });
+    } else if (line === '') {
+      // Editors and models often strip the single space on blank context lines
+      current.lines.push({ type: ' ', text: '' });
+    }
+  }
+
+  // Blank lines after the last hunk are separators, not context
+  for (const hunk of hunks) {
+    while (hunk.lines.length && hunk.lines[hunk.lines.length - 1].type === ' ' && hunk.lines[hunk.lines.length - 1].text === '') {
+      hunk.lines.pop();
+    }
+  }
+
+  return hunks;
+}
+
+/**
+ * Apply a unified diff, tracking the line offset introduced by earlier hunks
+ */
+function applyUnifiedDiff(original, diff) {
+  const lines = original.replace(/\r\n/g, '\n').split('\n');
+  const parsed = parseUnifiedDiff(diff);
+  const hunks = [];
+  let offset = 0;
+
+  if (parsed.length === 0) {
+    return { content: original, hunks: [{ index: 0, status: 'conflict', reason: 'No @@ hunks found in diff' }] };
+  }
+
+  parsed.forEach((hunk, index) => {
+    const before = hunk.lines.filter((l) => l.type !== '+').map((l) => l.text);
+    const after = hunk.lines.filter((l) => l.type !== '-').map((l) => l.text);
+
+    // Pure insertion into an empty region: anchor on the header position
+    if (before.length === 0) {
+      const at = Math.min(Math.max(hunk.oldStart + offset, 0), lines.length);
+      lines.splice(at, 0, ...after);
+      offset += after.length;
+      hunks.push({ index, status: 'applied', line: at + 1 });
+      return;
+    }
+
+    const found = findBlock(lines, before, Math.max(hunk.oldStart - 1 + offset, 0));
+    if (found.error) {
+      hunks.push({ index, status: 'conflict', reason: found.error, line: hunk.oldStart });
+      return;
+    }
+
+    lines.splice(found.index, before.length, ...after);
+    offset += after.length - before.length;
+    hunks.push({ index, status: found.fuzzy ? 'fuzzy' : 'applied', line: found.index + 1 });
+  });
+
+  return { content: lines.join('\n'), hunks };
+}
+
+/**
+ * Resolve a `patch` modification against the current file contents.
+ * Returns `{ ok, content, hunks }`; `ok` is false if any hunk conflicted.
+ */
+function applyPatch(original, mod) {
+  const usesCrlf = /\r\n/.test(original);
+  let result;
+
+  if (Array.isArray(mod.edits)) {
+    result = applySearchReplace(original, mod.edits);
+  } else if (typeof mod.diff === 'string') {
+    result = applyUnifiedDiff(original, mod.diff);
+  } else {
+    return {
+      ok: false,
+      content: original,
+      hunks: [{ index: 0, status: 'conflict', reason: 'Patch needs an "edits" array or a "diff" string' }],
+    };
+  }
+
+  const ok = result.hunks.every((h) => h.status !== 'conflict');
+  const content = usesCrlf ? result.content.replace(/\n/g, '\r\n') : result.content;
+  return { ok, content, hunks: result.hunks };
+}
+
+module.exports = {
+  applyPatch,
+  applySearchReplace,
+  applyUnifiedDiff,
+  parseUnifiedDiff,
+};
@@ -0,0 +1,184 @@
+/**
+ * Path Safety Policy
+ *
+ * Every modification returned by the model passes through here before
+ * anything touches the disk. Paths are resolved through symlinks (dangling
+ * ones included) and must stay inside the working directory, and protected
+ * paths (CI config, git internals, lockfiles, env files other than their
+ * `.example` / `.sample` templates, the Retools config) can never be
+ * written or deleted.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { matchAny } = require('./glob');
+
+const DEFAULT_PROTECTED_PATHS = [
+  '.git/',
+  '.github/workflows/',
+  '.retools-run/',
+  '.retools.json',
+  'package-lock.json',
+  'pnpm-lock.yaml',
+  'yarn.lock',
+  'bun.lockb',
+  'npm-shrinkwrap.json',
+  '.env',
+  '.env.*',
+];
+
+// Env templates (`.env.example`, `.env.local.sample`) are meant to be committed
+const ENV_PATTERNS = ['.env', '.env.*'];
+const ENV_TEMPLATE = /(^|\/)\.env(\.[^/]+)?\.(example|sample)$/;
+
+// Symlinks followed before a chain is treated as a loop
+const MAX_LINK_DEPTH = 40;
+
+const VALID_ACTIONS = ['create', 'modify', 'patch', 'delete', 'region'];
+
+function lstatOrNull(file) {
+  try {
+    return fs.lstatSync(file);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Resolve the real path of `target`, following symlinks on the deepest
+ * ancestor that exists. Components that do not exist yet are appended as-is.
+ * A dangling symlink counts as existing and is followed to where it points,
+ * since writing the path would create that file. Returns null for a link
+ * that cannot be resolved (a loop).
+ */
+function resolveRealPath(target, depth = 0) {
+  const missing = [];
+  let current = target;
+  let stat;
+
+  while (!(stat = lstatOrNull(current))) {
+    const parent = path.dirname(current);
+    if (parent === current) break;
+    missing.unshift(path.basename(current));
+    current = parent;
+  }
+
+  try {
+    return path.join(fs.realpathSync(current), ...missing);
+  } catch {
+    if (!stat || !stat.isSymbolicLink() || depth >= MAX_LINK_DEPTH) return null;
+    const link = path.resolve(path.dirname(current), fs.readlinkSync(current));
+    return resolveRealPath(path.join(link, ...missing), depth + 1);
+  }
+}
+
+function isInside(root, candidate) {
+  const relative = path.relative(root, candidate);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+function toPosix(p) {
+  return p.split(path.sep).join('/');
+}
+
+/**
+ * Create a policy bound to a working directory
+ */
+function createPathPolicy(workingDir, options = {}) {
+  const root = fs.realpathSync(workingDir);
+  const protectedPaths = [...DEFAULT_PROTECTED_PATHS, ...(options.protectedPaths || [])];
+
+  function matchProtected(file) {
+    return matchAny(file, ENV_TEMPLATE.test(file) ? protectedPaths.filter((p) => !ENV_PATTERNS.includes(p)) : protectedPaths);
+  }
+
+  /**
+   * Check a single modification. Returns `{ ok: true, absolutePath, relativePath }`
+   * or `{ ok: false, code, reason }`.
+   */
+  function check(mod) {
+    const reject = (code, reason) => ({ ok: false, code, reason });
+
+    if (!mod || typeof mod !== 'object') {
+      return reject('invalid_modification', 'Modification is not an object');
+    }
+    if (!VALID_ACTIONS.includes(mod.action)) {
+      return reject('invalid_action', `Unknown action "${mod.action}"`);
+    }
+    if (mod.action === 'patch') {
+      if (!Array.isArray(mod.edits) && typeof mod.diff !== 'string') {
+        return reject('invalid_content', 'Action "patch" requires an "edits" array or a "diff" string');
+      }
+    } else if (mod.action !== 'delete' && typeof mod.content !== 'string') {
+      return reject('invalid_content', `Action "${mod.action}" requires string content`);
+    }
+    if (typeof mod.path !== 'string' || mod.path.trim() === '') {
+      return reject('invalid_path', 'Path is missing or empty');
+    }
+    if (mod.path.includes('\0')) {
+      return reject('invalid_path', 'Path contains a NUL byte');
+    }
+    if (path.isAbsolute(mod.path) || path.win32.isAbsolute(mod.path)) {
+      return reject('absolute_path', 'Absolute paths are not allowed');
+    }
+
+    const lexical = path.resolve(root, mod.path);
+    if (!isInside(root, lexical) || lexical === root) {
+      return reject('outside_working_dir', 'Path escapes the working directory');
+    }
+
+    const real = resolveRealPath(lexical);
+    if (!real) {
+      return reject('symlink_escape', 'Path goes through a symlink that cannot be resolved');
+    }
+    if (!isInside(root, real) || real === root) {
+      return reject('symlink_escape', `Path resolves outside the working directory (${real})`);
+    }
+
+    // Check both the requested path and where it really lands, so a symlink
+    // pointing into .git/ or .github/ is caught as well
+    const relativePath = toPosix(path.relative(root, lexical));
+    const realRelativePath = toPosix(path.relative(root, real));
+    const matched = matchProtected(relativePath) || matchProtected(realRelativePath);
+    if (matched) {
+      return reject('protected_path', `Path is protected by "${matched}"`);
+    }
+
+    if (fs.existsSync(lexical) && fs.statSync(lexical).isDirectory()) {
+      return reject('is_directory', 'Path is a directory');
+    }
+
+    return { ok: true, absolutePath: real, relativePath };
+  }
+
+  /**
+   * Split modifications into allowed and rejected sets
+   */
+  function partition(modifications) {
+    const allowed = [];
+    const rejected = [];
+
+    for (const mod of modifications) {
+      const result = check(mod);
+      if (result.ok) {
+        allowed.push({ ...mod, path: result.relativePath, absolutePath: result.absolutePath });
+      } else {
+        rejected.push({
+          path: mod && typeof mod.path === 'string' ? mod.path : null,
+          action: mod && mod.action,
+          code: result.code,
+          reason: result.reason,
+        });
+      }
+    }
+
+    return { allowed, rejected };
+  }
+
+  return { root, protectedPaths, check, partition };
+}
+
+module.exports = {
+  DEFAULT_PROTECTED_PATHS,
+  createPathPolicy,
+};
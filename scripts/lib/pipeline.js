@@ -0,0 +1,124 @@
+/**
+ * Stage pipeline
+ *
+ * Runs a list of named stages in order and records each one's status and
+ * outputs in a state file, so a job that stopped part-way can be resumed
+ * from the stage that failed, or a single stage re-run with the outputs of
+ * the ones before it. A stage is `{ name, description, when?(ctx),
+ * run(ctx) }`; `run` returns its outputs, which are merged into
+ * `ctx.outputs` for later stages.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const STATE_VERSION = 1;
+
+const FINISHED = ['done', 'skipped'];
+
+function newState(jobId) {
+  const now = new Date().toISOString();
+  return { version: STATE_VERSION, job_id: jobId, created_at: now, updated_at: now, outcome: 'running', stages: {} };
+}
+
+function loadState(file) {
+  if (!fs.existsSync(file)) return null;
+  const state = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  if (state.version !== STATE_VERSION) {
+    throw new Error(`${file} has state version ${state.version}, expected ${STATE_VERSION}`);
+  }
+  return state;
+}
+
+function saveState(file, state) {
+  state.updated_at = new Date().toISOString();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(state, null, 2) + '\n');
+  fs.renameSync(tmp, file);
+}
+
+function isFinished(record) {
+  return Boolean(record) && FINISHED.includes(record.status);
+}
+
+/**
+ * Outputs of every finished stage, merged in stage order
+ */
+function outputsOf(stages, state) {
+  return stages.reduce((outputs, stage) => {
+    const record = state.stages[stage.name];
+    return record && record.status === 'done' ? { ...outputs, ...record.outputs } : outputs;
+  }, {});
+}
+
+/**
+ * Run `stages` against `ctx`, calling `save(state)` after every change.
+ *
+ *   only   run just this stage (again, if it already ran); every stage
+ *          before it must have finished, and the ones after it are reset
+ *   until  stop after this stage
+ *
+ * Stages already done in `state` are skipped, which is what makes a re-run
+ * resume. Returns `{ ok: true, stopped }` or `{ ok: false, stage, error }`.
+ */
+async function runStages(stages, ctx, { state, save, only = null, until = null }) {
+  const names = stages.map((stage) => stage.name);
+  for (const name of [only, until].filter(Boolean)) {
+    if (!names.includes(name)) throw new Error(`Unknown stage "${name}" (expected one of: ${names.join(', ')})`);
+  }
+
+  const first = only ? names.indexOf(only) : 0;
+  const last = only ? first : until ? names.indexOf(until) : names.length - 1;
+
+  if (only) {
+    const missing = names.slice(0, first).filter((name) => !isFinished(state.stages[name]));
+    if (missing.length) throw new Error(`Stage ${only} needs ${missing.join(', ')} to have run first`);
+    for (const name of names.slice(first)) delete state.stages[name];
+    save(state);
+  }
+
+  ctx.outputs = outputsOf(stages, state);
+
+  for (const stage of stages.slice(first, last + 1)) {
+    const record = state.stages[stage.name];
+    if (isFinished(record)) {
+      console.log(`⏭️  ${stage.name}: already ${record.status}`);
+      continue;
+    }
+    if (stage.when && !stage.when(ctx)) {
+      console.log(`⏭️  ${stage.name}: skipped`);
+      state.stages[stage.name] = { status: 'skipped', finished_at: new Date().toISOString() };
+      save(state);
+      continue;
+    }
+
+    console.log(`\n▶️  ${stage.name}: ${stage.description}`);
+    const startedAt = new Date().toISOString();
+    state.stages[stage.name] = { status: 'running', started_at: startedAt };
+    save(state);
+
+    try {
+      const outputs = (await stage.run(ctx)) || {};
+      Object.assign(ctx.outputs, outputs);
+      state.stages[stage.name] = { status: 'done', started_at: startedAt, finished_at: new Date().toISOString(), outputs };
+      save(state);
+    } catch (error) {
+      state.stages[stage.name] = { status: 'failed', started_at: startedAt, finished_at: new Date().toISOString(), error: error.message };
+      save(state);
+      return { ok: false, stage: stage.name, error };
+    }
+  }
+
+  return { ok: true, stopped: last < names.length - 1 };
+}
+
+module.exports = {
+  STATE_VERSION,
+  isFinished,
+  loadState,
+  newState,
+  outputsOf,
+  runStages,
+  saveState,
+};
@@ -0,0 +1,136 @@
+/**
+ * Anthropic Messages API provider
+ *
+ * Requests are streamed so long generations never sit on an idle socket,
+ * and the streamed events are folded back into the same message object a
+ * non-streaming call returns. Overloaded/rate-limited responses are retried.
+ */
+
+const { readEvents, request, withRetries } = require('./http');
+
+const DEFAULT_MODEL = 'claude-sonnet-4-5';
+
+/**
+ * Fold a Messages API event stream into a complete message
+ */
+async function collectStream(body, onChunk) {
+  const message = { content: [], stop_reason: null, usage: { input_tokens: 0, output_tokens: 0 } };
+  const partialJson = new Map();
+
+  for await (const { event, data } of readEvents(body, onChunk)) {
+    if (data === '[DONE]') break;
+    const payload = JSON.parse(data);
+
+    switch (event === 'message' ? payload.type : event) {
+      case 'message_start':
+        Object.assign(message, { id: payload.message.id, model: payload.message.model, role: 'assistant' });
+        message.usage.input_tokens = payload.message.usage?.input_tokens || 0;
+        message.usage.output_tokens = payload.message.usage?.output_tokens || 0;
+        break;
+      case 'content_block_start':
+        message.content[payload.index] = { ...payload.content_block };
+        if (payload.content_block.type === 'tool_use') partialJson.set(payload.index, '');
+        break;
+      case 'content_block_delta': {
+        const block = message.content[payload.index];
+        if (payload.delta.type === 'text_delta') block.text += payload.delta.text;
+        else if (payload.delta.type === 'input_json_delta') partialJson.set(payload.index, partialJson.get(payload.index) + payload.delta.partial_json);
+        break;
+      }
+      case 'content_block_stop':
+        break;
+      case 'message_delta':
+        message.stop_reason = payload.delta.stop_reason;
+        message.stop_sequence = payload.delta.stop_sequence;
+        if (payload.usage?.output_tokens) message.usage.output_tokens = payload.usage.output_tokens;
+        break;
+      case 'error': {
+        const error = new Error(`Claude API stream error: ${payload.error?.type} - ${payload.error?.message}`);
+        if (payload.error?.type === 'overloaded_error') error.status = 529;
+        throw error;
+      }
+      default:
+        break;
+    }
+  }
+
+  // Tool inputs arrive as JSON fragments; the text of blocks cut off by
+  // max_tokens is kept beside the content, which is sent back to the API as is
+  message.truncatedToolInputs = {};
+  for (const [index, json] of partialJson) {
+    const block = message.content[index];
+    try {
+      block.input = json ? JSON.parse(json) : {};
+    } catch {
+      block.input = {};
+      message.truncatedToolInputs[block.id] = json;
+    }
+  }
+
+  if (!message.stop_reason) {
+    throw new Error('Claude API stream terminated before message_stop');
+  }
+  return message;
+}
+
+/**
+ * A plain JSON response has no partial input to keep: a tool call that
+ * ends a max_tokens response is reported as cut off with none
+ */
+function markTruncated(message) {
+  message.truncatedToolInputs = {};
+  const last = message.content && message.content[message.content.length - 1];
+  if (message.stop_reason === 'max_tokens' && last && last.type === 'tool_use') {
+    message.truncatedToolInputs[last.id] = '';
+  }
+  return message;
+}
+
+function createAnthropicProvider(options = {}) {
+  const apiKey = options.apiKey || process.env.ANTHROPIC_API_KEY;
+  const baseUrl = (options.baseUrl || process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com').replace(/\/$/, '');
+  const model = options.model || DEFAULT_MODEL;
+  const maxTokens = options.maxTokens || 32000;
+  const stream = options.stream ?? process.env.RETOOLS_STREAM !== 'false';
+
+  if (!apiKey) {
+    throw new Error('ANTHROPIC_API_KEY environment variable not set');
+  }
+
+  async function createMessage({ system, messages, tools, tool_choice: toolChoice, max_tokens: requestMaxTokens }) {
+    return withRetries(async () => {
+      const response = await request(`${baseUrl}/v1/messages`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': apiKey,
+          'anthropic-version': '2023-06-01',
+        },
+        body: JSON.stringify({
+          model,
+          max_tokens: requestMaxTokens || maxTokens,
+          system,
+          messages,
+          ...(tools && tools.length ? { tools } : {}),
+          ...(toolChoice ? { tool_choice: toolChoice } : {}),
+          ...(stream ? { stream: true } : {}),
+        }),
+      }, { label: 'Claude API' });
+
+      try {
+        // Servers that ignore `stream` (e.g. simple fakes) answer with plain JSON
+        const isStream = (response.headers.get('content-type') || '').includes('text/event-stream');
+        return isStream ? await collectStream(response.body, response.resetTimeout) : markTruncated(await response.json());
+      } finally {
+        response.clearTimeout();
+      }
+    });
+  }
+
+  return { name: 'anthropic', model, maxTokens, createMessage };
+}
+
+module.exports = {
+  createAnthropicProvider,
+  collectStream,
+};
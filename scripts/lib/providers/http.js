@@ -0,0 +1,140 @@
+/**
+ * HTTP helpers shared by the providers: retries with backoff that honour
+ * `retry-after`, and a server-sent-events reader for streamed responses.
+ */
+
+const RETRYABLE_STATUS = new Set([408, 409, 425, 429, 500, 502, 503, 504, 529]);
+
+class HttpError extends Error {
+  constructor(message, status, headers) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.headers = headers;
+  }
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Delay requested by the server, in ms, or null
+ */
+function retryAfterMs(headers) {
+  if (!headers || typeof headers.get !== 'function') return null;
+
+  const ms = headers.get('retry-after-ms');
+  if (ms && !Number.isNaN(Number(ms))) return Number(ms);
+
+  const value = headers.get('retry-after');
+  if (!value) return null;
+  if (!Number.isNaN(Number(value))) return Number(value) * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function isRetryable(error) {
+  if (error instanceof HttpError) return RETRYABLE_STATUS.has(error.status);
+  // fetch() network failures, resets and stream aborts
+  if (error.name === 'AbortError') return true;
+  return /fetch failed|terminated|ECONNRESET|ETIMEDOUT|EAI_AGAIN|socket hang up|overloaded/i.test(error.message || '');
+}
+
+/**
+ * Run `attempt()` until it succeeds or retries are exhausted. The whole
+ * attempt (request plus reading the stream) is retried, so a connection
+ * dropped mid-stream is recovered the same way as a 529.
+ */
+async function withRetries(attempt, options = {}) {
+  const retries = options.retries ?? parseInt(process.env.RETOOLS_API_RETRIES || '5', 10);
+  const baseDelayMs = options.baseDelayMs ?? 1000;
+  const maxDelayMs = options.maxDelayMs ?? 60000;
+  const log = options.log || console.warn;
+
+  for (let i = 0; ; i++) {
+    try {
+      return await attempt();
+    } catch (error) {
+      if (i >= retries || !isRetryable(error)) throw error;
+
+      const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** i) * (0.5 + Math.random() / 2);
+      const delay = Math.min(maxDelayMs, retryAfterMs(error.headers) ?? backoff);
+      log(`⏳ ${error.status ? `HTTP ${error.status}` : error.message} — retrying in ${Math.round(delay / 1000)}s (attempt ${i + 2} of ${retries + 1})`);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * fetch() with an idle timeout that throws HttpError on non-2xx. The timer
+ * covers waiting for the headers and restarts when they arrive; a streamed
+ * body restarts it on every chunk (`response.resetTimeout`, passed to
+ * readEvents), so only a stalled stream is aborted, not a long one.
+ */
+async function request(url, init, options = {}) {
+  const timeoutMs = options.timeoutMs ?? parseInt(process.env.RETOOLS_REQUEST_TIMEOUT_MS || '600000', 10);
+  const controller = new AbortController();
+  let timer = setTimeout(() => controller.abort(), timeoutMs);
+  const resetTimeout = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => controller.abort(), timeoutMs);
+  };
+
+  let response;
+  try {
+    response = await fetch(url, { ...init, signal: controller.signal });
+  } catch (error) {
+    clearTimeout(timer);
+    throw error;
+  }
+
+  if (!response.ok) {
+    clearTimeout(timer);
+    const body = await response.text();
+    throw new HttpError(`${options.label || 'API'} error: ${response.status} - ${body}`, response.status, response.headers);
+  }
+
+  resetTimeout();
+  response.resetTimeout = resetTimeout;
+  response.clearTimeout = () => clearTimeout(timer);
+  return response;
+}
+
+/**
+ * Iterate `{ event, data }` records from a server-sent-events body, calling
+ * `onChunk` as each chunk arrives
+ */
+async function* readEvents(body, onChunk = () => {}) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of body) {
+    onChunk();
+    buffer += decoder.decode(chunk, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.search(/\r?\n\r?\n/)) !== -1) {
+      const raw = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '');
+
+      let event = 'message';
+      const data = [];
+      for (const line of raw.split(/\r?\n/)) {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+      }
+      if (data.length) yield { event, data: data.join('\n') };
+    }
+  }
+}
+
+module.exports = {
+  HttpError,
+  RETRYABLE_STATUS,
+  isRetryable,
+  readEvents,
+  request,
+  retryAfterMs,
+  withRetries,
+};
@@ -0,0 +1,72 @@
+/**
+ * LLM provider selection
+ *
+ * Every provider exposes the same shape:
+ *
+ *   { name, model, maxTokens, createMessage({ system, messages, tools, max_tokens }) }
+ *
+ * and resolves to an Anthropic-style message (`content` blocks,
+ * `stop_reason`, `usage`), which is what the rest of the driver consumes,
+ * plus `truncatedToolInputs`: the raw input text, by tool call id, of calls
+ * cut off by the output limit (kept out of the blocks, which are sent back
+ * to the API), so complete parts can be salvaged.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createAnthropicProvider } = require('./anthropic');
+const { createOpenAIProvider } = require('./openai');
+const { createReplayProvider } = require('./replay');
+
+const PROVIDERS = {
+  anthropic: createAnthropicProvider,
+  openai: createOpenAIProvider,
+  replay: createReplayProvider,
+};
+
+/**
+ * Wrap a provider so every request/response pair is written to `recordDir`
+ * as numbered fixtures the replay provider can serve later
+ */
+function withRecording(provider, recordDir) {
+  fs.mkdirSync(recordDir, { recursive: true });
+  let index = fs.readdirSync(recordDir).filter((f) => f.endsWith('.json')).length;
+
+  return {
+    ...provider,
+    async createMessage(request) {
+      const response = await provider.createMessage(request);
+      index++;
+      const file = path.join(recordDir, `${String(index).padStart(3, '0')}.json`);
+      fs.writeFileSync(file, JSON.stringify({ provider: provider.name, model: provider.model, request, response }, null, 2) + '\n', 'utf-8');
+      return response;
+    },
+  };
+}
+
+/**
+ * Create the provider named by `options.name` (default: RETOOLS_PROVIDER,
+ * then anthropic)
+ */
+function createProvider(options = {}) {
+  const name = options.name || process.env.RETOOLS_PROVIDER || 'anthropic';
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown provider "${name}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+
+  const provider = factory({
+    model: options.model || process.env.RETOOLS_MODEL || undefined,
+    maxTokens: options.maxTokens || parseInt(process.env.RETOOLS_MAX_TOKENS || '0', 10) || undefined,
+    fixtures: options.fixtures,
+  });
+
+  const recordDir = options.recordDir || process.env.RETOOLS_RECORD_DIR;
+  return recordDir && name !== 'replay' ? withRecording(provider, recordDir) : provider;
+}
+
+module.exports = {
+  PROVIDERS,
+  createProvider,
+  withRecording,
+};
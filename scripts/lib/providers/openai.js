@@ -0,0 +1,185 @@
+/**
+ * OpenAI-compatible chat completions provider
+ *
+ * Works with any endpoint that implements `/chat/completions` (our
+ * self-hosted gateway, vLLM, OpenRouter, ...). Requests and responses are
+ * translated to and from the Anthropic message shape the driver uses
+ * internally, including tool calls. Responses are streamed and retried the
+ * same way as the Anthropic provider.
+ */
+
+const { readEvents, request, withRetries } = require('./http');
+
+const STOP_REASONS = {
+  stop: 'end_turn',
+  length: 'max_tokens',
+  tool_calls: 'tool_use',
+  function_call: 'tool_use',
+  content_filter: 'refusal',
+};
+
+/**
+ * Anthropic `tool_choice` → OpenAI `tool_choice`
+ */
+function toChatToolChoice(choice) {
+  if (choice.type === 'tool') return { type: 'function', function: { name: choice.name } };
+  if (choice.type === 'any') return 'required';
+  if (choice.type === 'none') return 'none';
+  return 'auto';
+}
+
+/**
+ * Anthropic-style messages → OpenAI chat messages
+ */
+function toChatMessages(system, messages) {
+  const chat = [];
+  if (system) chat.push({ role: 'system', content: system });
+
+  for (const message of messages) {
+    if (typeof message.content === 'string') {
+      chat.push({ role: message.role, content: message.content });
+      continue;
+    }
+
+    if (message.role === 'assistant') {
+      const text = message.content.filter((b) => b.type === 'text').map((b) => b.text).join('');
+      const toolCalls = message.content
+        .filter((b) => b.type === 'tool_use')
+        .map((b) => ({ id: b.id, type: 'function', function: { name: b.name, arguments: JSON.stringify(b.input || {}) } }));
+      chat.push({ role: 'assistant', content: text || null, ...(toolCalls.length ? { tool_calls: toolCalls } : {}) });
+      continue;
+    }
+
+    // User turns may mix tool results and text
+    for (const block of message.content) {
+      if (block.type === 'tool_result') {
+        const content = typeof block.content === 'string' ? block.content : JSON.stringify(block.content);
+        chat.push({ role: 'tool', tool_call_id: block.tool_use_id, content: block.is_error ? `ERROR: ${content}` : content });
+      } else if (block.type === 'text') {
+        chat.push({ role: 'user', content: block.text });
+      }
+    }
+  }
+
+  return chat;
+}
+
+/**
+ * OpenAI chat completion → Anthropic-style message
+ */
+function fromChatCompletion(data) {
+  const choice = data.choices && data.choices[0];
+  if (!choice) throw new Error('OpenAI-compatible API returned no choices');
+
+  const content = [];
+  const truncatedToolInputs = {};
+  if (choice.message.content) content.push({ type: 'text', text: choice.message.content });
+  for (const call of choice.message.tool_calls || []) {
+    let input = {};
+    try {
+      input = JSON.parse(call.function.arguments || '{}');
+    } catch {
+      // Arguments cut off by the length limit
+      truncatedToolInputs[call.id] = call.function.arguments || '';
+    }
+    content.push({ type: 'tool_use', id: call.id, name: call.function.name, input });
+  }
+
+  return {
+    content,
+    truncatedToolInputs,
+    stop_reason: STOP_REASONS[choice.finish_reason] || choice.finish_reason,
+    usage: {
+      input_tokens: data.usage?.prompt_tokens || 0,
+      output_tokens: data.usage?.completion_tokens || 0,
+    },
+  };
+}
+
+/**
+ * Fold a streamed chat completion into the non-streaming response shape
+ */
+async function collectStream(body, onChunk) {
+  const message = { content: '', tool_calls: [] };
+  let finishReason = null;
+  let usage = null;
+
+  for await (const { data } of readEvents(body, onChunk)) {
+    if (data === '[DONE]') break;
+    const chunk = JSON.parse(data);
+    if (chunk.error) throw new Error(`OpenAI-compatible API stream error: ${chunk.error.message || JSON.stringify(chunk.error)}`);
+    if (chunk.usage) usage = chunk.usage;
+
+    const choice = chunk.choices && chunk.choices[0];
+    if (!choice) continue;
+    if (choice.finish_reason) finishReason = choice.finish_reason;
+
+    const delta = choice.delta || {};
+    if (delta.content) message.content += delta.content;
+    for (const call of delta.tool_calls || []) {
+      const slot = message.tool_calls[call.index] || (message.tool_calls[call.index] = { id: '', type: 'function', function: { name: '', arguments: '' } });
+      if (call.id) slot.id = call.id;
+      if (call.function?.name) slot.function.name += call.function.name;
+      if (call.function?.arguments) slot.function.arguments += call.function.arguments;
+    }
+  }
+
+  if (!finishReason) {
+    throw new Error('OpenAI-compatible API stream terminated before finish_reason');
+  }
+
+  return {
+    choices: [{ finish_reason: finishReason, message: { ...message, content: message.content || null, tool_calls: message.tool_calls.filter(Boolean) } }],
+    usage,
+  };
+}
+
+function createOpenAIProvider(options = {}) {
+  const apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+  const baseUrl = (options.baseUrl || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/$/, '');
+  const model = options.model;
+  const maxTokens = options.maxTokens || 32000;
+  const stream = options.stream ?? process.env.RETOOLS_STREAM !== 'false';
+
+  if (!model) {
+    throw new Error('The openai provider needs a model (--model or RETOOLS_MODEL)');
+  }
+
+  async function createMessage({ system, messages, tools, tool_choice: toolChoice, max_tokens: requestMaxTokens }) {
+    return withRetries(async () => {
+      const response = await request(`${baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+        },
+        body: JSON.stringify({
+          model,
+          max_tokens: requestMaxTokens || maxTokens,
+          messages: toChatMessages(system, messages),
+          ...(tools && tools.length
+            ? { tools: tools.map((t) => ({ type: 'function', function: { name: t.name, description: t.description, parameters: t.input_schema } })) }
+            : {}),
+          ...(toolChoice ? { tool_choice: toChatToolChoice(toolChoice) } : {}),
+          ...(stream ? { stream: true, stream_options: { include_usage: true } } : {}),
+        }),
+      }, { label: 'OpenAI-compatible API' });
+
+      try {
+        const isStream = (response.headers.get('content-type') || '').includes('text/event-stream');
+        return fromChatCompletion(isStream ? await collectStream(response.body, response.resetTimeout) : await response.json());
+      } finally {
+        response.clearTimeout();
+      }
+    });
+  }
+
+  return { name: 'openai', model, maxTokens, createMessage };
+}
+
+module.exports = {
+  createOpenAIProvider,
+  collectStream,
+  toChatMessages,
+  fromChatCompletion,
+};
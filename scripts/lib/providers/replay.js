@@ -0,0 +1,54 @@
+/**
+ * Replay provider
+ *
+ * Serves recorded responses from fixtures, in order, without any network
+ * access — for deterministic end-to-end runs of the driver. Fixtures are
+ * either one JSON file holding an array of responses or a directory of
+ * `*.json` files (one response each) read in filename order, which is the
+ * layout the recorder writes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+function loadFixtures(fixturePath) {
+  if (!fs.existsSync(fixturePath)) {
+    throw new Error(`Replay fixtures not found: ${fixturePath}`);
+  }
+
+  if (fs.statSync(fixturePath).isDirectory()) {
+    return fs.readdirSync(fixturePath)
+      .filter((f) => f.endsWith('.json'))
+      .sort()
+      .map((f) => JSON.parse(fs.readFileSync(path.join(fixturePath, f), 'utf-8')));
+  }
+
+  const data = JSON.parse(fs.readFileSync(fixturePath, 'utf-8'));
+  return Array.isArray(data) ? data : [data];
+}
+
+function createReplayProvider(options = {}) {
+  const fixturePath = options.fixtures || process.env.RETOOLS_REPLAY_FIXTURES;
+  if (!fixturePath) {
+    throw new Error('The replay provider needs fixtures (--replay-fixtures or RETOOLS_REPLAY_FIXTURES)');
+  }
+
+  const fixtures = loadFixtures(path.resolve(fixturePath));
+  let index = 0;
+
+  async function createMessage() {
+    if (index >= fixtures.length) {
+      throw new Error(`Replay fixtures exhausted after ${fixtures.length} response(s)`);
+    }
+    // Fixtures recorded by the recorder wrap the response with its request
+    const fixture = fixtures[index++];
+    return fixture.response || fixture;
+  }
+
+  return { name: 'replay', model: options.model || 'replay', createMessage };
+}
+
+module.exports = {
+  createReplayProvider,
+  loadFixtures,
+};
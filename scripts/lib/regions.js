@@ -0,0 +1,308 @@
+/**
+ * Large-file regions
+ *
+ * A file too large for the prompt is split into regions — one per
+ * top-level symbol in code, one per heading in Markdown — and shown as an
+ * outline with only the regions that matter for the prompt filled in. The
+ * model edits such a file with patch edits or by replacing a whole region
+ * it was shown (`action: "region"`); the replacement is spliced back into
+ * the untouched rest of the file.
+ *
+ * A view log records which files the model saw whole and which only in
+ * part, so a full rewrite of a partly-seen file can be refused before it
+ * drops everything the model never saw.
+ */
+
+const { CHARS_PER_TOKEN, estimateTokens } = require('./tokens');
+
+// Longer regions are cut into parts so one huge symbol does not crowd out the rest
+const MAX_REGION_LINES = 120;
+// Shorter runs are folded into the region before them
+const MIN_REGION_LINES = 3;
+// Files larger than this are never shown whole when read for branding context
+const LARGE_FILE_BYTES = 8000;
+
+const MARKDOWN = /\.(md|mdx|markdown)$/i;
+const HEADING = /^#{1,6}\s+\S/;
+// Lines that close a block rather than start one
+const CLOSER = /^(\}|\)|\]|end\b|<\/|-->|\*\/)/;
+
+/**
+ * Line numbers (0-based) where a new region starts: Markdown headings, or
+ * unindented lines that follow a blank line or the end of a block
+ */
+function regionStarts(filePath, lines) {
+  const starts = [0];
+  if (MARKDOWN.test(filePath)) {
+    let fence = false;
+    lines.forEach((line, i) => {
+      if (/^(```|~~~)/.test(line)) fence = !fence;
+      else if (!fence && i > 0 && HEADING.test(line)) starts.push(i);
+    });
+    return starts;
+  }
+
+  for (let i = 1; i < lines.length; i++) {
+    const line = lines[i];
+    const previous = lines[i - 1].trim();
+    if (!line.trim() || /^\s/.test(line) || CLOSER.test(line)) continue;
+    if (previous === '' || CLOSER.test(lines[i - 1])) starts.push(i);
+  }
+  return starts;
+}
+
+function regionName(lines, from, to) {
+  const first = lines.slice(from, to).map((line) => line.trim())
+    .find((line) => line && !/^(\/\/|\/\*|\*|<!--|import\b|from\b|require\b)/.test(line));
+  const name = (first || lines[from] || '').trim().replace(/\s*[{:]\s*$/, '');
+  return name.length > 60 ? `${name.slice(0, 57)}...` : name;
+}
+
+/**
+ * Split `content` into regions: `[{ id, name, startLine, endLine }]` with
+ * 1-based inclusive line numbers; blank lines between regions are left
+ * out. Ids are stable for the same content.
+ */
+function splitRegions(filePath, content) {
+  const lines = content.split('\n');
+  // The empty string after a final newline is not a line of its own
+  const count = lines.length > 1 && lines[lines.length - 1] === '' ? lines.length - 1 : lines.length;
+  const starts = regionStarts(filePath, lines.slice(0, count));
+
+  // Fold tiny regions (a lone import, a one-line constant) into the one before
+  const merged = starts.filter((start, i) => i === 0 || (starts[i + 1] ?? count) - start >= MIN_REGION_LINES);
+
+  const regions = [];
+  merged.forEach((start, i) => {
+    // Blank lines between regions belong to neither, so replacements keep the spacing
+    let end = merged[i + 1] ?? count;
+    while (end - 1 > start && !lines[end - 1].trim()) end--;
+    const name = regionName(lines, start, end);
+    for (let from = start, part = 1; from < end; from += MAX_REGION_LINES, part++) {
+      const to = Math.min(from + MAX_REGION_LINES, end);
+      regions.push({
+        id: `R${regions.length + 1}`,
+        name: end - start > MAX_REGION_LINES ? `${name} (part ${part})` : name,
+        startLine: from + 1,
+        endLine: to,
+      });
+    }
+  });
+  return regions;
+}
+
+/**
+ * How much a region matters for the prompt's `keywords` and `identifiers`
+ */
+function scoreRegion(text, { keywords = [], identifiers = [] }) {
+  const lower = text.toLowerCase();
+  let score = 0;
+  for (const identifier of identifiers) if (text.includes(identifier)) score += 5;
+  for (const keyword of keywords) if (lower.includes(keyword)) score += 1;
+  return score;
+}
+
+function regionHeader(region) {
+  return `── region ${region.id} · lines ${region.startLine}-${region.endLine} · ${region.name || '(blank)'} ──`;
+}
+
+// One line for a run of regions that were left out
+function gapHeader(run) {
+  if (run.length === 1) return `── region ${run[0].id} · lines ${run[0].startLine}-${run[0].endLine} · ${run[0].name || '(blank)'} [not shown] ──`;
+  const last = run[run.length - 1];
+  return `── regions ${run[0].id}-${last.id} · lines ${run[0].startLine}-${last.endLine} [not shown] ──`;
+}
+
+// Budgeted per shown region for the gap line that may follow it
+const GAP_TOKENS = 24;
+
+/**
+ * Render `content` as the most relevant regions (for `terms`, from
+ * analyzePrompt) in file order, with one line for each run of regions
+ * left out, within `budgetTokens`. The first region (imports, front
+ * matter) wins ties. Returns `{ content, regions }`, where each region has
+ * `shown` set, or null when no region fits.
+ */
+function regionView(filePath, content, terms, budgetTokens) {
+  const lines = content.split('\n');
+  const regions = splitRegions(filePath, content).map((region) => ({
+    ...region,
+    text: lines.slice(region.startLine - 1, region.endLine).join('\n'),
+  }));
+
+  const notice = `[Large file: ${lines.length} lines in ${regions.length} regions; only the regions below with their text are shown. `
+    + 'Edit it with "patch" edits or, where offered, by replacing a shown region — never rewrite it whole.]';
+  let used = estimateTokens(notice) + GAP_TOKENS;
+
+  const shown = new Set();
+  const ranked = regions
+    .map((region, index) => ({ region, index, score: scoreRegion(region.text, terms) + (index === 0 ? 0.5 : 0) }))
+    .sort((a, b) => b.score - a.score || a.index - b.index);
+  for (const { region } of ranked) {
+    const cost = estimateTokens(`${regionHeader(region)}\n${region.text}`) + GAP_TOKENS;
+    if (used + cost > budgetTokens) continue;
+    shown.add(region.id);
+    used += cost;
+  }
+  if (!shown.size) return null;
+  return renderRegions(regions, shown, notice);
+}
+
+/**
+ * `{ content, regions }` for `regions` (with their `text`) showing the ones
+ * in `shown`, with one gap line per run of the others
+ */
+function renderRegions(regions, shown, notice) {
+  const body = [];
+  let gap = [];
+  for (const region of regions) {
+    if (!shown.has(region.id)) {
+      gap.push(region);
+      continue;
+    }
+    if (gap.length) body.push(gapHeader(gap));
+    gap = [];
+    body.push(`${regionHeader(region)}\n${region.text}`);
+  }
+  if (gap.length) body.push(gapHeader(gap));
+  return {
+    content: [notice, ...body].join('\n'),
+    regions: regions.map(({ text, ...region }) => ({ ...region, shown: shown.has(region.id) })),
+  };
+}
+
+/**
+ * Render `content` showing only the regions that hold `lineNumbers`
+ * (1-based), or its last region when none is given — where a file cut off
+ * mid-way breaks. Returns `{ content, regions }` like regionView.
+ */
+function regionViewAt(filePath, content, lineNumbers) {
+  const lines = content.split('\n');
+  const regions = splitRegions(filePath, content).map((region) => ({
+    ...region,
+    text: lines.slice(region.startLine - 1, region.endLine).join('\n'),
+  }));
+  const shown = new Set(lineNumbers
+    .map((line) => regions.find((r) => line <= r.endLine) || regions[regions.length - 1])
+    .map((region) => region.id));
+  if (!shown.size) shown.add(regions[regions.length - 1].id);
+
+  const notice = `[Large file: ${lines.length} lines in ${regions.length} regions; only the regions below with their text are shown. `
+    + 'Edit it with "patch" edits or by replacing a shown region — never rewrite it whole.]';
+  return renderRegions(regions, shown, notice);
+}
+
+/**
+ * The first `maxBytes` of `content`, cut at a line boundary, for files too
+ * large to split
+ */
+function headOf(content, maxBytes) {
+  const head = content.slice(0, Math.floor(maxBytes));
+  return `${head.slice(0, head.lastIndexOf('\n') + 1)}... [truncated]`;
+}
+
+/**
+ * Budget in tokens for a limit given in bytes
+ */
+function tokensForBytes(maxBytes) {
+  return Math.floor(maxBytes / CHARS_PER_TOKEN);
+}
+
+function findLines(lines, block) {
+  const found = [];
+  for (let i = 0; i + block.length <= lines.length; i++) {
+    if (block.every((line, j) => lines[i + j] === line)) found.push(i);
+  }
+  return found;
+}
+
+/**
+ * Replace region `id` of the file described by `view` (`{ source, regions }`)
+ * in `current` with `replacement`. The region is found by line numbers
+ * while the file is unchanged, otherwise by its original text. Returns
+ * `{ ok: true, content }` or `{ ok: false, reason }`.
+ */
+function spliceRegion(current, view, id, replacement) {
+  if (!view || !view.regions) {
+    return { ok: false, reason: 'The file was not shown by region; use "patch" edits' };
+  }
+  const region = view.regions.find((r) => r.id === id);
+  if (!region) return { ok: false, reason: `The file has no region ${id}` };
+  if (!region.shown) return { ok: false, reason: `Region ${id} was not shown, so it cannot be replaced; use "patch" edits on text you have seen` };
+
+  const crlf = current.includes('\r\n');
+  const lines = current.replace(/\r\n/g, '\n').split('\n');
+  const original = view.source.replace(/\r\n/g, '\n').split('\n').slice(region.startLine - 1, region.endLine);
+
+  let at = region.startLine - 1;
+  if (current !== view.source) {
+    const found = findLines(lines, original);
+    if (found.length !== 1) {
+      return { ok: false, reason: found.length ? `Region ${id} now occurs ${found.length} times` : `Region ${id} was changed by an earlier edit` };
+    }
+    at = found[0];
+  }
+
+  const text = replacement.replace(/\r\n/g, '\n').replace(/\n$/, '');
+  const next = [...lines.slice(0, at), ...(text === '' ? [] : text.split('\n')), ...lines.slice(at + original.length)].join('\n');
+  return { ok: true, content: crlf ? next.replace(/\n/g, '\r\n') : next };
+}
+
+/**
+ * What the model was shown of each file in one run. `full(file)` wins over
+ * any partial view; `partial(file, view)` keeps the region map (`{ source,
+ * regions }`) so region edits can be spliced, merging the shown regions of
+ * repeated views. A file seen whole keeps a region map it is shown later
+ * by, but stays seen whole.
+ */
+function createViewLog() {
+  const views = new Map();
+
+  return {
+    full(file) {
+      views.set(file, { partial: false });
+    },
+
+    partial(file, view = {}) {
+      const existing = views.get(file);
+      if (existing && !existing.partial && view.regions) {
+        views.set(file, { partial: false, source: view.source, regions: view.regions });
+        return;
+      }
+      if (existing && (!existing.partial || !view.regions)) return;
+      if (!view.regions) {
+        views.set(file, { partial: true, source: null, regions: null });
+        return;
+      }
+      if (existing && existing.regions && existing.source === view.source) {
+        const shown = new Set([...existing.regions, ...view.regions].filter((r) => r.shown).map((r) => r.id));
+        views.set(file, { ...existing, regions: existing.regions.map((r) => ({ ...r, shown: shown.has(r.id) })) });
+        return;
+      }
+      views.set(file, { partial: true, source: view.source, regions: view.regions });
+    },
+
+    get(file) {
+      return views.get(file) || null;
+    },
+
+    merge(other) {
+      for (const [file, kind] of other) {
+        if (kind === 'full') this.full(file);
+        else this.partial(file);
+      }
+    },
+  };
+}
+
+module.exports = {
+  LARGE_FILE_BYTES,
+  MAX_REGION_LINES,
+  createViewLog,
+  headOf,
+  regionView,
+  regionViewAt,
+  spliceRegion,
+  splitRegions,
+  tokensForBytes,
+};
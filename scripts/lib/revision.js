@@ -0,0 +1,284 @@
+/**
+ * Revisions
+ *
+ * A revision is a follow-up run on the branch an earlier job opened its
+ * pull request from. The model gets the original prompt, the branch's
+ * current diff against its base and the reviewers' comments, and its edits
+ * land as new commits on the same branch instead of starting over.
+ *
+ * Comments come from a JSON file or the pull request API. The original
+ * prompt is read from the job's own commit (its `Retools-Job` trailer),
+ * falling back to the pull request body.
+ */
+
+const fs = require('fs');
+const { execFileSync } = require('child_process');
+const { validate } = require('./schema');
+
+const JOB_TRAILER = 'Retools-Job';
+const REVISION_TRAILER = 'Retools-Revision';
+const DEFAULT_REVISION_PROMPT = 'Address the review comments on the pull request.';
+
+// Marks the engine's own PR comments so a later revision does not treat them
+// as review; see revisionMarker
+const COMMENT_MARKER = '<!-- retools-revision';
+
+// Only these reviewers (and the job's requester) can steer a revision;
+// anyone can comment on a public repository's pull requests
+const TRUSTED_ASSOCIATIONS = ['OWNER', 'MEMBER', 'COLLABORATOR'];
+
+const MAX_DIFF_CHARS = 30000;
+
+const COMMENT_SCHEMA = {
+  type: 'object',
+  properties: {
+    body: { type: ['string', 'null'] },
+    path: { type: ['string', 'null'] },
+    line: { type: ['integer', 'null'] },
+  },
+  required: ['body'],
+};
+
+const COMMENTS_SCHEMA = { type: 'array', items: COMMENT_SCHEMA };
+
+const COMMENTS_FILE_SCHEMA = {
+  type: 'object',
+  properties: {
+    original_prompt: { type: ['string', 'null'] },
+    comments: COMMENTS_SCHEMA,
+  },
+  required: ['comments'],
+  additionalProperties: false,
+};
+
+function loginOf(raw) {
+  return (raw.user && raw.user.login) || raw.author || '';
+}
+
+function isBot(raw) {
+  return (raw.user && raw.user.type === 'Bot') || loginOf(raw).endsWith('[bot]');
+}
+
+// Entries without `author_association` come from a comments file, not the API
+function isTrusted(raw, requester) {
+  if (raw.author_association === undefined) return true;
+  if (TRUSTED_ASSOCIATIONS.includes(raw.author_association)) return true;
+  return Boolean(requester) && loginOf(raw).toLowerCase() === requester.toLowerCase();
+}
+
+/**
+ * The marker line of the comment a revision posts; `reviewedAt` is when it
+ * read the review comments, so the next one starts from there
+ */
+function revisionMarker(reviewedAt) {
+  return `${COMMENT_MARKER} reviewed-at=${reviewedAt} -->`;
+}
+
+/**
+ * When the last revision read the review comments, from the newest
+ * revision comment by the engine or a trusted reviewer (its posting time
+ * when it predates `reviewed-at`), or null when there was none
+ */
+function lastReviewedAt(rawComments, { requester = null } = {}) {
+  let latest = null;
+  for (const raw of rawComments) {
+    if (!(raw.body || '').includes(COMMENT_MARKER) || !(isBot(raw) || isTrusted(raw, requester))) continue;
+    const match = raw.body.match(/reviewed-at=(\S+) -->/);
+    const at = match ? match[1] : raw.created_at;
+    if (at && !Number.isNaN(Date.parse(at)) && (!latest || Date.parse(at) > Date.parse(latest))) latest = at;
+  }
+  return latest;
+}
+
+/**
+ * One review comment in the shape the prompt uses: `{ kind, author, body,
+ * path, line, state, created_at }`. Accepts GitHub issue comments, review
+ * comments and reviews, or plain `{ author, body, path, line }` entries;
+ * `kind` is inline, review or comment.
+ */
+function normalizeComment(raw) {
+  const kind = raw.path ? 'inline' : raw.state ? 'review' : 'comment';
+  return {
+    kind,
+    author: (raw.user && raw.user.login) || raw.author || null,
+    body: (raw.body || '').trim(),
+    path: raw.path || null,
+    line: raw.line ?? raw.original_line ?? null,
+    state: raw.state || null,
+    created_at: raw.submitted_at || raw.created_at || null,
+  };
+}
+
+/**
+ * Comments worth addressing: not empty, not from bots or the engine, from
+ * an owner, member or collaborator of the repository (or `requester`, a
+ * GitHub login) and, with `since`, made after the last revision read them
+ */
+function selectComments(rawComments, { since = null, requester = null } = {}) {
+  return rawComments
+    .filter((raw) => !isBot(raw) && !(raw.body || '').includes(COMMENT_MARKER) && isTrusted(raw, requester))
+    .map(normalizeComment)
+    .filter((comment) => comment.body)
+    .filter((comment) => !since || !comment.created_at || new Date(comment.created_at) > new Date(since))
+    .sort((a, b) => (a.created_at || '').localeCompare(b.created_at || ''));
+}
+
+/**
+ * Read review comments from a JSON file: an array of comments, or
+ * `{ original_prompt, comments }`. Returns `{ originalPrompt, comments }`;
+ * throws with every problem listed when the file does not match.
+ */
+function loadReviewComments(file) {
+  let value;
+  try {
+    value = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Could not read review comments from ${file}: ${error.message}`);
+  }
+
+  const errors = validate(value, Array.isArray(value) ? COMMENTS_SCHEMA : COMMENTS_FILE_SCHEMA);
+  if (errors.length) {
+    throw new Error(`Invalid review comments file ${file}:\n${errors.map((e) => `   ${e.path}: ${e.message}`).join('\n')}`);
+  }
+
+  const comments = Array.isArray(value) ? value : value.comments;
+  return { originalPrompt: Array.isArray(value) ? null : value.original_prompt || null, comments: selectComments(comments) };
+}
+
+/**
+ * Every review, inline review comment and conversation comment on pull
+ * request `number`, unfiltered
+ */
+async function fetchReviewComments(client, repoPath, number) {
+  const [inline, reviews, conversation] = await Promise.all([
+    client.listReviewComments(repoPath, number),
+    client.listReviews(repoPath, number),
+    client.listIssueComments(repoPath, number),
+  ]);
+  for (const list of [inline, reviews, conversation]) {
+    if (!Array.isArray(list)) throw new Error(`GitHub API returned no comments for #${number}: ${JSON.stringify(list)}`);
+  }
+  return [...reviews, ...inline, ...conversation];
+}
+
+function git(cwd, args) {
+  try {
+    return execFileSync('git', args, { cwd, encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'], maxBuffer: 64 * 1024 * 1024 });
+  } catch {
+    return null;
+  }
+}
+
+function trailerPattern(name) {
+  return new RegExp(`^${name}:\\s*(.+)$`, 'm');
+}
+
+/**
+ * Commit message body without the Retools trailers
+ */
+function stripTrailers(body) {
+  const lines = body.replace(/\s+$/, '').split('\n');
+  while (lines.length && /^(Retools-Job|Retools-Revision):/.test(lines[lines.length - 1])) lines.pop();
+  return lines.join('\n').trim();
+}
+
+/**
+ * Commits on the branch since `base`, oldest first: `[{ sha, date, subject, body }]`
+ */
+function branchCommits(cwd, base) {
+  const output = git(cwd, ['log', '--reverse', '--format=%H%x00%cI%x00%s%x00%b%x1e', `${base}..HEAD`]);
+  if (!output) return [];
+  return output
+    .split('\x1e')
+    .map((record) => record.replace(/^\n/, ''))
+    .filter(Boolean)
+    .map((record) => {
+      const [sha, date, subject, body] = record.split('\0');
+      return { sha, date, subject, body: body || '' };
+    });
+}
+
+/**
+ * The prompt of the job that made the branch: the body of its
+ * `Retools-Job` commit, or the `**Prompt:**` section of the pull request
+ * body. Null when neither records it.
+ */
+function findOriginalPrompt(cwd, base, prBody = null) {
+  const jobCommit = branchCommits(cwd, base).find((c) => trailerPattern(JOB_TRAILER).test(c.body) && !trailerPattern(REVISION_TRAILER).test(c.body));
+  const fromCommit = jobCommit ? stripTrailers(jobCommit.body) : '';
+  if (fromCommit) return fromCommit;
+
+  const match = (prBody || '').match(/\*\*Prompt:\*\*\s*\n\n([\s\S]*?)\n\n(?:### |---)/);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * `git diff base...HEAD` with its stat, cut to MAX_DIFF_CHARS at file
+ * boundaries. Returns `{ stat, diff, truncated }`.
+ */
+function branchDiff(cwd, base) {
+  const stat = (git(cwd, ['diff', '--stat', `${base}...HEAD`]) || '').trim();
+  const full = git(cwd, ['diff', `${base}...HEAD`]) || '';
+
+  let diff = '';
+  let truncated = false;
+  for (const section of full.split(/^(?=diff --git )/m)) {
+    if (diff.length + section.length > MAX_DIFF_CHARS) {
+      truncated = true;
+      continue;
+    }
+    diff += section;
+  }
+  return { stat, diff: diff.trim(), truncated };
+}
+
+function formatComment(comment, index) {
+  const where = comment.path ? ` on ${comment.path}${comment.line ? `:${comment.line}` : ''}` : '';
+  const state = comment.state && comment.state !== 'COMMENTED' ? ` (${comment.state.toLowerCase().replace(/_/g, ' ')})` : '';
+  const body = comment.body.split('\n').map((line) => `   ${line}`).join('\n');
+  return `${index + 1}. ${comment.author ? `@${comment.author}` : 'Reviewer'}${where}${state}:\n${body}`;
+}
+
+/**
+ * The user prompt of a revision run
+ */
+function formatRevisionForPrompt({ originalPrompt, request, comments, diff, base }) {
+  const followUp = request && request !== DEFAULT_REVISION_PROMPT ? `\n## Follow-up instructions\n\n${request}\n` : '';
+  const changes = diff.diff
+    ? `\`\`\`diff\n${diff.diff}\n\`\`\`${diff.truncated ? '\n(Diff truncated; the stat above lists every changed file.)' : ''}`
+    : '(no changes yet)';
+
+  return `REVISION REQUEST
+
+This branch already holds AI-generated changes for the original request below, and a pull request is open for them. Reviewers have asked for changes. Make follow-up edits on top of the current state of the branch: address every review comment, keep the changes nobody questioned, and do not start over or revert unrelated work.
+
+## Original request
+
+${originalPrompt || '(not recorded on the branch)'}
+
+## Review comments (${comments.length})
+
+${comments.map(formatComment).join('\n\n') || '(none)'}
+${followUp}
+## Current changes on the branch (git diff ${base}...HEAD)
+
+${diff.stat || '(none)'}
+
+${changes}
+`;
+}
+
+module.exports = {
+  COMMENT_MARKER,
+  DEFAULT_REVISION_PROMPT,
+  JOB_TRAILER,
+  REVISION_TRAILER,
+  branchDiff,
+  fetchReviewComments,
+  findOriginalPrompt,
+  formatRevisionForPrompt,
+  lastReviewedAt,
+  loadReviewComments,
+  revisionMarker,
+  selectComments,
+};
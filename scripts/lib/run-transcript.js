@@ -0,0 +1,218 @@
+/**
+ * Run transcripts
+ *
+ * Every ai-driver run writes what it sent and received to
+ * `.retools-run/<run-id>/` in the working directory:
+ *
+ *   run.json            mode, prompt, provider/model, HEAD, outcome, usage
+ *   system-prompt.md    system prompt of the first model call (redacted)
+ *   user-prompt.md      user prompt with attached build errors (redacted)
+ *   context.json        selected context files with sha256 hashes
+ *   calls/NNN.json      every raw request/response pair (stop reason, usage)
+ *   modifications.json  parsed modifications per stage (initial, corrections)
+ *   result.json         the final plan and whether it was applied
+ *
+ * `calls/` uses the recorder's fixture layout, so a run can be replayed
+ * through the replay provider; `result.json` holds full file contents so
+ * scripts/replay-run.js can re-apply it to a fresh checkout. The directory
+ * is added to `.git/info/exclude` and never committed.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const RUN_DIR = '.retools-run';
+const TRANSCRIPT_VERSION = 1;
+
+function sha256(content) {
+  return content === null || content === undefined
+    ? null
+    : crypto.createHash('sha256').update(content, 'utf-8').digest('hex');
+}
+
+function git(workingDir, args) {
+  try {
+    return execFileSync('git', args, { cwd: workingDir, encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Keep the transcript directory out of `git add -A` in the checkout
+ */
+function excludeFromGit(workingDir) {
+  const excludePath = git(workingDir, ['rev-parse', '--git-path', 'info/exclude']);
+  if (!excludePath) return false;
+
+  const file = path.resolve(workingDir, excludePath);
+  const existing = fs.existsSync(file) ? fs.readFileSync(file, 'utf-8') : '';
+  if (existing.split(/\r?\n/).some((line) => line.trim() === `/${RUN_DIR}/`)) return true;
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.appendFileSync(file, `${existing && !existing.endsWith('\n') ? '\n' : ''}/${RUN_DIR}/\n`, 'utf-8');
+  return true;
+}
+
+/**
+ * Plan changes as replayable records: hashes of both sides and the full
+ * resulting content
+ */
+function serializeChanges(changes) {
+  return changes.map((change) => ({
+    path: change.path,
+    action: change.action,
+    isNew: change.isNew,
+    beforeSha256: sha256(change.before),
+    afterSha256: sha256(change.after),
+    after: change.after,
+    hunks: change.hunks,
+    warnings: change.warnings,
+  }));
+}
+
+/**
+ * Start a transcript for one run. `meta` is merged into run.json.
+ */
+function createTranscript(workingDir, meta = {}) {
+  const startedAt = new Date();
+  const runId = `${startedAt.toISOString().replace(/[:.]/g, '-')}-${meta.mode || 'run'}`;
+  const dir = path.join(workingDir, RUN_DIR, runId);
+  const callsDir = path.join(dir, 'calls');
+  fs.mkdirSync(callsDir, { recursive: true });
+  excludeFromGit(workingDir);
+
+  const run = {
+    version: TRANSCRIPT_VERSION,
+    runId,
+    ...meta,
+    head: git(workingDir, ['rev-parse', 'HEAD']),
+    startedAt: startedAt.toISOString(),
+    finishedAt: null,
+    outcome: 'running',
+  };
+  const stages = [];
+
+  const write = (name, data) => {
+    const text = typeof data === 'string' ? data : JSON.stringify(data, null, 2) + '\n';
+    fs.writeFileSync(path.join(dir, name), text, 'utf-8');
+  };
+  write('run.json', run);
+
+  return {
+    dir,
+    callsDir,
+    runId,
+
+    write,
+
+    /** Write a file only the first time (e.g. the system prompt of the first call) */
+    writeOnce(name, data) {
+      if (!fs.existsSync(path.join(dir, name))) write(name, data);
+    },
+
+    /** Selected context files with hashes of their full contents on disk */
+    recordContext(context) {
+      const hashFile = (file) => {
+        try {
+          return sha256(fs.readFileSync(path.join(workingDir, file), 'utf-8'));
+        } catch {
+          return null;
+        }
+      };
+      write('context.json', {
+        framework: context.framework || null,
+        target: context.targetPackage || null,
+        selectedFiles: (context.selectedFiles || []).map((file) => ({
+          path: file.path,
+          sha256: hashFile(file.path),
+          tokens: file.tokens,
+          truncated: Boolean(file.truncated),
+          regions: file.regions ? file.regions.filter((r) => r.shown).map((r) => r.id) : null,
+          reasons: file.reasons,
+        })),
+        buildErrorFiles: (context.buildErrors?.slices || []).map((slice) => ({ path: slice.path, sha256: hashFile(slice.path) })),
+      });
+    },
+
+    /** Parsed modifications from one model round-trip */
+    recordModifications(stage, { modifications, invalid = [] }) {
+      stages.push({ stage, modifications, invalid });
+      write('modifications.json', stages);
+    },
+
+    /** Final plan and whether it was written to disk */
+    recordResult(plan, { applied, branding, syntax, secrets } = {}) {
+      write('result.json', {
+        applied: Boolean(applied),
+        changes: serializeChanges(plan.changes),
+        rejected: plan.rejected,
+        conflicts: plan.conflicts,
+        branding: branding ? { violations: branding.violations, corrected: branding.corrected } : null,
+        syntax: syntax ? { repaired: syntax.repaired, rejected: syntax.rejected } : null,
+        secrets: secrets ? { redacted: secrets.redacted, blocked: secrets.leaks } : null,
+      });
+    },
+
+    /** Close the run with its outcome and summed usage from the recorded calls */
+    finish(outcome, error = null) {
+      const usage = { input_tokens: 0, output_tokens: 0 };
+      const calls = fs.readdirSync(callsDir).filter((f) => f.endsWith('.json'));
+      const stopReasons = [];
+      for (const file of calls) {
+        const { response } = JSON.parse(fs.readFileSync(path.join(callsDir, file), 'utf-8'));
+        usage.input_tokens += response?.usage?.input_tokens || 0;
+        usage.output_tokens += response?.usage?.output_tokens || 0;
+        stopReasons.push(response?.stop_reason || null);
+      }
+      Object.assign(run, {
+        finishedAt: new Date().toISOString(),
+        outcome,
+        error: error ? String(error.message || error) : null,
+        calls: calls.length,
+        stopReasons,
+        usage,
+      });
+      write('run.json', run);
+    },
+  };
+}
+
+/**
+ * Recorded run directories under a `.retools-run` directory, oldest first
+ */
+function listRuns(runRoot) {
+  if (!fs.existsSync(runRoot)) return [];
+  return fs.readdirSync(runRoot)
+    .filter((name) => fs.existsSync(path.join(runRoot, name, 'run.json')))
+    .sort()
+    .map((name) => path.join(runRoot, name));
+}
+
+/**
+ * Load one recorded run for replay
+ */
+function loadRun(dir) {
+  const read = (name) => {
+    const file = path.join(dir, name);
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf-8')) : null;
+  };
+  const run = read('run.json');
+  if (!run) throw new Error(`${dir} is not a recorded run (no run.json)`);
+  const result = read('result.json');
+  if (!result) throw new Error(`Run ${run.runId} has no result.json (it ${run.outcome === 'failed' ? 'failed' : 'stopped'} before planning)`);
+
+  return { dir, run, context: read('context.json'), result };
+}
+
+module.exports = {
+  RUN_DIR,
+  TRANSCRIPT_VERSION,
+  createTranscript,
+  excludeFromGit,
+  listRuns,
+  loadRun,
+  sha256,
+};
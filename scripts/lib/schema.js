@@ -0,0 +1,99 @@
+/**
+ * Minimal JSON Schema validator
+ *
+ * Covers the subset our own schemas use — type, properties, required,
+ * additionalProperties, enum, const, items, minItems, minLength, minimum,
+ * maximum, pattern and oneOf — and reports every violation with the path
+ * of the offending value (e.g. `modifications[2].action`).
+ */
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (Array.isArray(type)) return type.some((t) => matchesType(value, t));
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+function joinPath(base, key) {
+  if (typeof key === 'number') return `${base}[${key}]`;
+  return base ? `${base}.${key}` : key;
+}
+
+/**
+ * Validate `value` against `schema`; returns `[{ path, message }]`
+ */
+function validate(value, schema, at = '') {
+  const errors = [];
+  const fail = (message, path = at) => errors.push({ path: path || '(root)', message });
+
+  if (schema.oneOf) {
+    const passing = schema.oneOf.filter((option) => validate(value, option, at).length === 0);
+    if (passing.length !== 1) {
+      fail(passing.length === 0 ? 'does not match any allowed shape' : 'matches more than one allowed shape');
+    }
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    fail(`must be ${Array.isArray(schema.type) ? schema.type.join(' or ') : schema.type}, got ${typeOf(value)}`);
+    return errors;
+  }
+
+  if (schema.const !== undefined && value !== schema.const) {
+    fail(`must be ${JSON.stringify(schema.const)}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail(`must match ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`must have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validate(item, schema.items, joinPath(at, i))));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) fail(`is required`, joinPath(at, key));
+    }
+    for (const [key, child] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validate(child, properties[key], joinPath(at, key)));
+      } else if (schema.additionalProperties === false) {
+        fail('is not an allowed property', joinPath(at, key));
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validate(child, schema.additionalProperties, joinPath(at, key)));
+      }
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  validate,
+};
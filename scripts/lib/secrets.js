@@ -0,0 +1,316 @@
+/**
+ * Secret redaction and leak scanning
+ *
+ * Everything sent to the model passes through a redactor: known key formats
+ * (cloud, VCS, payment and AI provider keys, private key blocks, JWTs,
+ * connection-string passwords), quoted credential assignments and other
+ * high-entropy strings are replaced with `[REDACTED:<kind>]`, and files
+ * whose names mark them as secrets are withheld entirely.
+ *
+ * The model's changes get the matching scan: added lines holding a key,
+ * a value from the repository's .env files or a redaction marker (which
+ * would overwrite the real secret) block the change before it is written.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { matchAny } = require('./glob');
+
+// Files never read into a prompt (gitignore-style globs)
+const SECRET_FILES = [
+  '.env',
+  '.env.*',
+  '*.pem',
+  '*.key',
+  '*.p12',
+  '*.pfx',
+  '*.jks',
+  '*.keystore',
+  'id_rsa*',
+  'id_dsa*',
+  'id_ecdsa*',
+  'id_ed25519*',
+  '.npmrc',
+  '.pypirc',
+  '.netrc',
+  '.htpasswd',
+  'secrets.json',
+  'secrets.yml',
+  'secrets.yaml',
+  'credentials.json',
+  'credentials.yml',
+  'credentials.yaml',
+  'credentials.yml.enc',
+  'service-account*.json',
+  'client_secret*.json',
+  '*.tfstate',
+  '*.tfvars',
+];
+
+// Templates that document variables rather than hold them
+const EXAMPLE_FILE = /\.(example|sample|template|dist)$/;
+
+// Known key formats, most specific first (replacements run in this order)
+const KEY_PATTERNS = [
+  { kind: 'private-key', pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g },
+  { kind: 'aws-access-key', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { kind: 'github-token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{40,})\b/g },
+  { kind: 'anthropic-key', pattern: /\bsk-ant-[A-Za-z0-9_-]{20,}/g },
+  { kind: 'openai-key', pattern: /\bsk-(?:proj-|svcacct-)?[A-Za-z0-9_-]{20,}/g, random: true },
+  { kind: 'stripe-key', pattern: /\b[rs]k_live_[A-Za-z0-9]{16,}\b/g },
+  { kind: 'slack-token', pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}/g },
+  { kind: 'google-api-key', pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+  { kind: 'sendgrid-key', pattern: /\bSG\.[A-Za-z0-9_-]{22}\.[A-Za-z0-9_-]{43}\b/g },
+  { kind: 'jwt', pattern: /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g },
+];
+
+// user:password@ in URLs; only the password is replaced
+const CONNECTION_STRING = /\b([a-z][a-z0-9+.-]*:\/\/[^\s:/@'"]+:)([^\s@'"/]{3,})(@)/g;
+
+// `apiKey: "…"`, `"client_secret": "…"`, `PASSWORD = '…'`
+const CREDENTIAL_ASSIGNMENT = /([A-Za-z0-9_.-]*(?:secret|token|passw(?:or)?d|pwd|api[_-]?key|access[_-]?key|private[_-]?key|auth[_-]?key|credential)[A-Za-z0-9_.-]*["']?\s*[:=]\s*)(["'])([^"'\s]{8,})\2/gi;
+
+// Other quoted strings long and random enough to be keys
+const QUOTED_TOKEN = /(["'`])([A-Za-z0-9+/=_-]{32,})\1/g;
+
+const PLACEHOLDER = /^(?:x{3,}|\*{3,}|change[_-]?me|your[_-]|example|placeholder|dummy|todo|<|\$\{|process\.env|import\.meta|env\()/i;
+const MARKER = /\[REDACTED:[\w-]+\]/;
+
+/**
+ * Shannon entropy in bits per character
+ */
+function entropy(value) {
+  const counts = new Map();
+  for (const ch of value) counts.set(ch, (counts.get(ch) || 0) + 1);
+  let bits = 0;
+  for (const count of counts.values()) {
+    const p = count / value.length;
+    bits -= p * Math.log2(p);
+  }
+  return bits;
+}
+
+// At least two of lower case, upper case and digits with enough entropy;
+// hex digests (git SHAs, content hashes) stay below it and integrity
+// strings are skipped
+function looksRandom(value, minEntropy) {
+  if (/^sha\d+-/.test(value) || PLACEHOLDER.test(value)) return false;
+  const classes = [/[a-z]/, /[A-Z]/, /\d/].filter((re) => re.test(value)).length;
+  return classes >= 2 && entropy(value) >= minEntropy;
+}
+
+function isSecretFile(filePath) {
+  const posix = filePath.replace(/\\/g, '/');
+  return !EXAMPLE_FILE.test(posix) && Boolean(matchAny(posix, SECRET_FILES));
+}
+
+function lineOf(text, index) {
+  let line = 1;
+  for (let i = 0; i < index; i++) if (text[i] === '\n') line++;
+  return line;
+}
+
+/**
+ * Secrets in `text` without changing it: `[{ kind, line, value, index, length, prefix }]`
+ * where `prefix` is text kept before the value (the key of an assignment)
+ */
+function findSecrets(text) {
+  const found = [];
+  const taken = [];
+  const add = (kind, index, value, prefix = '') => {
+    const start = index + prefix.length;
+    if (taken.some(([from, to]) => start < to && start + value.length > from)) return;
+    taken.push([start, start + value.length]);
+    found.push({ kind, value, index: start, length: value.length, line: lineOf(text, start) });
+  };
+
+  for (const { kind, pattern, random } of KEY_PATTERNS) {
+    for (const match of text.matchAll(pattern)) {
+      // Prefixes like "sk-" also start CSS class names; real keys are random
+      if (!random || looksRandom(match[0], 3.5)) add(kind, match.index, match[0]);
+    }
+  }
+  for (const match of text.matchAll(CONNECTION_STRING)) {
+    if (!PLACEHOLDER.test(match[2])) add('connection-password', match.index, match[2], match[1]);
+  }
+  for (const match of text.matchAll(CREDENTIAL_ASSIGNMENT)) {
+    if (!MARKER.test(match[3]) && looksRandom(match[3], 3)) add('credential', match.index, match[3], match[1] + match[2]);
+  }
+  for (const match of text.matchAll(QUOTED_TOKEN)) {
+    if (/\d/.test(match[2]) && looksRandom(match[2], 4.2)) add('high-entropy-string', match.index, match[2], match[1]);
+  }
+  return found.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * `text` with every secret replaced by a `[REDACTED:<kind>]` marker.
+ * Returns `{ text, findings: [{ kind, line, value }] }`.
+ */
+function redactSecrets(text) {
+  const findings = findSecrets(text);
+  let result = '';
+  let cursor = 0;
+  for (const finding of findings) {
+    result += text.slice(cursor, finding.index) + `[REDACTED:${finding.kind}]`;
+    cursor = finding.index + finding.length;
+  }
+  return { text: result + text.slice(cursor), findings: findings.map(({ kind, line, value }) => ({ kind, line, value })) };
+}
+
+function fingerprint(value) {
+  return crypto.createHash('sha256').update(value).digest('hex').slice(0, 12);
+}
+
+/**
+ * A redactor for one run. `redact(text, source)` returns the redacted text
+ * and logs each secret the first time it is seen; `findings()` lists them
+ * as `{ kind, source, line }` (never the value).
+ */
+function createRedactor({ log = console.log } = {}) {
+  const seen = new Map();
+
+  return {
+    redact(text, source = 'request') {
+      if (typeof text !== 'string' || !text) return text;
+      const result = redactSecrets(text);
+      for (const finding of result.findings) {
+        const key = `${finding.kind}:${fingerprint(finding.value)}`;
+        if (seen.has(key)) continue;
+        const entry = { kind: finding.kind, source, line: source === 'request' ? null : finding.line };
+        seen.set(key, entry);
+        log(`  🔐 Redacted ${entry.kind} in ${source}${entry.line ? `:${entry.line}` : ''}`);
+      }
+      return result.text;
+    },
+
+    findings() {
+      return [...seen.values()];
+    },
+  };
+}
+
+function redactContent(content, redactor, source) {
+  if (typeof content === 'string') return redactor.redact(content, source);
+  if (!Array.isArray(content)) return content;
+  return content.map((block) => {
+    if (block.type === 'text') return { ...block, text: redactor.redact(block.text, source) };
+    if (block.type === 'tool_result') return { ...block, content: redactContent(block.content, redactor, source) };
+    return block;
+  });
+}
+
+/**
+ * Wrap a provider so the system prompt and every message (including tool
+ * results) are redacted before the request leaves the process. Wrap it
+ * outside the recorder so recorded requests are redacted too.
+ */
+function withRedaction(provider, redactor) {
+  return {
+    ...provider,
+    async createMessage(request) {
+      return provider.createMessage({
+        ...request,
+        system: redactContent(request.system, redactor, 'request'),
+        messages: request.messages.map((message) => ({ ...message, content: redactContent(message.content, redactor, 'request') })),
+      });
+    },
+  };
+}
+
+// .env keys whose values are secrets whatever they look like
+const SECRET_ENV_KEY = /(?:key|token|secret|passw(?:or)?d|pwd|credential|auth|private|signing|salt|dsn|database_url|connection)/i;
+// Keys bundled into client code by frameworks, so public by design
+const PUBLIC_ENV_KEY = /^(?:NEXT_PUBLIC_|VITE_|REACT_APP_|NUXT_PUBLIC_|EXPO_PUBLIC_|PUBLIC_|GATSBY_)/;
+
+/**
+ * Whether an .env value is worth looking for in generated code: a secret
+ * key's value that is not a plain word, or any long random-looking value.
+ * Public keys, short values, words and local URLs are not.
+ */
+function isSecretEnvValue(key, value) {
+  if (PUBLIC_ENV_KEY.test(key) || value.length < 8 || /\s/.test(value) || PLACEHOLDER.test(value)) return false;
+  if (/^(true|false|\d+(\.\d+)?)$/i.test(value) || /^https?:\/\/(localhost|127\.0\.0\.1)/.test(value)) return false;
+  if (SECRET_ENV_KEY.test(key)) return !/^[a-z]+$/i.test(value);
+  return value.length >= 20 && looksRandom(value, 3.5);
+}
+
+/**
+ * Values set in the repository's real .env files (not examples) that look
+ * like secrets (see isSecretEnvValue), for spotting them in generated code
+ */
+function readEnvValues(root) {
+  const values = new Set();
+  let names = [];
+  try {
+    names = fs.readdirSync(root).filter((name) => /^\.env(\..+)?$/.test(name) && !EXAMPLE_FILE.test(name));
+  } catch {
+    return values;
+  }
+
+  for (const name of names) {
+    let text;
+    try {
+      text = fs.readFileSync(path.join(root, name), 'utf-8');
+    } catch {
+      continue;
+    }
+    for (const line of text.split(/\r?\n/)) {
+      const match = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)$/);
+      if (!match) continue;
+      const value = match[2].trim().replace(/^(['"])(.*)\1$/, '$2');
+      if (isSecretEnvValue(match[1], value)) values.add(value);
+    }
+  }
+  return values;
+}
+
+// Lines of `after` that are not in `before`
+function addedLines(before, after) {
+  const existing = new Set((before || '').split('\n'));
+  return after.split('\n').map((text, i) => ({ text, line: i + 1 })).filter(({ text }) => !existing.has(text));
+}
+
+/**
+ * Scan planned changes (`{ path, before, after }`) for secrets they add.
+ * Returns `[{ path, line, kind, message }]`; values are never included.
+ */
+function scanChanges(changes, { envValues = new Set() } = {}) {
+  const leaks = [];
+  for (const change of changes) {
+    if (change.after === null) continue;
+    if (isSecretFile(change.path)) {
+      leaks.push({ path: change.path, line: null, kind: 'secret-file', message: 'writes a credentials file' });
+      continue;
+    }
+
+    for (const { text, line } of addedLines(change.before, change.after)) {
+      if (MARKER.test(text)) {
+        leaks.push({ path: change.path, line, kind: 'redaction-marker', message: 'copies a [REDACTED] placeholder, which would overwrite the real value' });
+        continue;
+      }
+      const envValue = [...envValues].find((value) => text.includes(value));
+      if (envValue) {
+        leaks.push({ path: change.path, line, kind: 'env-value', message: 'hard-codes a value from the repository\'s .env file' });
+        continue;
+      }
+      for (const finding of findSecrets(text)) {
+        leaks.push({ path: change.path, line, kind: finding.kind, message: `adds a ${finding.kind.replace(/-/g, ' ')}` });
+      }
+    }
+  }
+  return leaks;
+}
+
+module.exports = {
+  SECRET_FILES,
+  createRedactor,
+  entropy,
+  findSecrets,
+  isSecretEnvValue,
+  isSecretFile,
+  readEnvValues,
+  redactSecrets,
+  scanChanges,
+  withRedaction,
+};
@@ -0,0 +1,215 @@
+/**
+ * Apply snapshots
+ *
+ * Before the AI driver writes anything, the current contents of every path
+ * it is about to touch are saved under `.retools-run/snapshots/<id>/`. The
+ * writes then go in as one transaction: every new file is staged next to
+ * its target, then renamed into place, and any failure restores the
+ * snapshot so the checkout is never left half-modified.
+ *
+ * Snapshots stay on disk after a successful apply, so scripts/rollback.js
+ * (and the fix loop's regression check) can restore the pre-apply state.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { RUN_DIR, excludeFromGit, sha256 } = require('./run-transcript');
+
+const SNAPSHOT_DIR = path.join(RUN_DIR, 'snapshots');
+const SNAPSHOT_VERSION = 1;
+
+/**
+ * Files changed since the snapshot was applied; restoring would lose those
+ * edits unless forced
+ */
+class RollbackConflictError extends Error {
+  constructor(message, paths = []) {
+    super(message);
+    this.name = 'RollbackConflictError';
+    this.paths = paths;
+  }
+}
+
+function snapshotDir(root, id) {
+  return path.join(root, SNAPSHOT_DIR, id);
+}
+
+function writeIndex(snapshot) {
+  const { dir, ...index } = snapshot;
+  const file = path.join(dir, 'snapshot.json');
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(index, null, 2) + '\n', 'utf-8');
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+// Ancestors of `relative` that do not exist yet, deepest first
+function missingDirs(root, relative) {
+  const dirs = [];
+  for (let dir = path.posix.dirname(relative); dir !== '.' && !fs.existsSync(path.join(root, dir)); dir = path.posix.dirname(dir)) {
+    dirs.push(dir);
+  }
+  return dirs;
+}
+
+/**
+ * Save the current state of `paths` (relative to `root`). Paths that do not
+ * exist are recorded as absent, with the directories a write would create.
+ */
+function createSnapshot(root, paths, meta = {}) {
+  const id = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(3).toString('hex')}`;
+  const dir = snapshotDir(root, id);
+  fs.mkdirSync(path.join(dir, 'files'), { recursive: true });
+  excludeFromGit(root);
+
+  try {
+    const entries = paths.map((relative, index) => {
+      const absolute = path.join(root, relative);
+      const existed = fs.existsSync(absolute);
+      if (existed) fs.copyFileSync(absolute, path.join(dir, 'files', String(index)));
+      return { path: relative, existed, file: existed ? String(index) : null, createdDirs: existed ? [] : missingDirs(root, relative), appliedSha256: null };
+    });
+
+    const snapshot = { dir, version: SNAPSHOT_VERSION, id, createdAt: new Date().toISOString(), ...meta, status: 'pending', entries };
+    writeIndex(snapshot);
+    return snapshot;
+  } catch (error) {
+    // Nothing has been written yet; leave no half-made snapshot behind
+    fs.rmSync(dir, { recursive: true, force: true });
+    throw error;
+  }
+}
+
+/**
+ * Put every entry of a snapshot back as it was
+ */
+function restoreEntries(root, snapshot) {
+  for (const entry of snapshot.entries) {
+    const absolute = path.join(root, entry.path);
+    if (entry.existed) {
+      fs.mkdirSync(path.dirname(absolute), { recursive: true });
+      fs.copyFileSync(path.join(snapshot.dir, 'files', entry.file), absolute);
+    } else {
+      // existsSync also covers paths that cannot exist (a parent is a file)
+      if (fs.existsSync(absolute)) fs.rmSync(absolute, { force: true });
+      for (const dir of entry.createdDirs) {
+        try {
+          fs.rmdirSync(path.join(root, dir));
+        } catch {
+          // Not empty (or already gone): other files live there now
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Apply `writes` (`[{ path, content }]`, `content` null to delete) all or
+ * nothing. Returns the snapshot, or null when there is nothing to write.
+ * On failure the snapshot is restored and the error rethrown.
+ */
+function applyTransaction(root, writes, meta = {}) {
+  if (!writes.length) return null;
+
+  const snapshot = createSnapshot(root, writes.map((w) => w.path), meta);
+  const staged = new Map();
+  try {
+    // Stage every new file first so a full disk or bad path fails before any target changes
+    for (const write of writes) {
+      if (write.content === null) continue;
+      const absolute = path.join(root, write.path);
+      fs.mkdirSync(path.dirname(absolute), { recursive: true });
+      const temp = `${absolute}.retools-${snapshot.id}.tmp`;
+      fs.writeFileSync(temp, write.content, 'utf-8');
+      staged.set(write.path, temp);
+      // The rename replaces the file, so carry its mode over (e.g. an executable script)
+      if (fs.existsSync(absolute)) fs.chmodSync(temp, fs.statSync(absolute).mode);
+    }
+    for (const write of writes) {
+      const absolute = path.join(root, write.path);
+      if (write.content === null) fs.rmSync(absolute, { force: true });
+      else fs.renameSync(staged.get(write.path), absolute);
+      staged.delete(write.path);
+    }
+  } catch (error) {
+    for (const temp of staged.values()) fs.rmSync(temp, { force: true });
+    restoreEntries(root, snapshot);
+    snapshot.status = 'rolled_back';
+    snapshot.error = error.message;
+    writeIndex(snapshot);
+    throw error;
+  }
+
+  const contentByPath = new Map(writes.map((w) => [w.path, w.content]));
+  for (const entry of snapshot.entries) entry.appliedSha256 = sha256(contentByPath.get(entry.path));
+  snapshot.status = 'applied';
+  snapshot.appliedAt = new Date().toISOString();
+  writeIndex(snapshot);
+  return snapshot;
+}
+
+/**
+ * Snapshots in `root`, oldest first
+ */
+function listSnapshots(root) {
+  const base = path.join(root, SNAPSHOT_DIR);
+  if (!fs.existsSync(base)) return [];
+  return fs.readdirSync(base)
+    .sort()
+    .map((id) => loadSnapshot(root, id))
+    .filter(Boolean);
+}
+
+function loadSnapshot(root, id) {
+  const dir = snapshotDir(root, id);
+  try {
+    return { dir, ...JSON.parse(fs.readFileSync(path.join(dir, 'snapshot.json'), 'utf-8')) };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The most recent snapshot that is still applied, or null
+ */
+function latestSnapshot(root) {
+  return listSnapshots(root).filter((s) => s.status === 'applied').pop() || null;
+}
+
+/**
+ * Restore the pre-apply state of snapshot `id`. Throws RollbackConflictError
+ * when files changed after the apply, unless `force` is set. Returns the
+ * restored snapshot.
+ */
+function restoreSnapshot(root, id, { force = false } = {}) {
+  const snapshot = loadSnapshot(root, id);
+  if (!snapshot) throw new Error(`No snapshot ${id} in ${path.join(root, SNAPSHOT_DIR)}`);
+  if (snapshot.status !== 'applied') throw new Error(`Snapshot ${id} is ${snapshot.status}, not applied`);
+
+  const changed = snapshot.entries
+    .filter((entry) => {
+      const absolute = path.join(root, entry.path);
+      const current = fs.existsSync(absolute) ? fs.readFileSync(absolute, 'utf-8') : null;
+      return sha256(current) !== entry.appliedSha256;
+    })
+    .map((entry) => entry.path);
+  if (changed.length && !force) {
+    throw new RollbackConflictError(`${changed.length} file(s) changed after snapshot ${id} was applied: ${changed.join(', ')}`, changed);
+  }
+
+  restoreEntries(root, snapshot);
+  snapshot.status = 'restored';
+  snapshot.restoredAt = new Date().toISOString();
+  writeIndex(snapshot);
+  return snapshot;
+}
+
+module.exports = {
+  RollbackConflictError,
+  SNAPSHOT_DIR,
+  applyTransaction,
+  createSnapshot,
+  latestSnapshot,
+  listSnapshots,
+  loadSnapshot,
+  restoreSnapshot,
+};
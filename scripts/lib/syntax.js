@@ -0,0 +1,488 @@
+/**
+ * Syntax validation for generated files
+ *
+ * Parses every file before it is written so truncated or malformed output
+ * goes back to the model with the parser error instead of costing a build
+ * attempt. JS/TS uses the target repository's own `typescript` (and CSS its
+ * `postcss`) when installed; otherwise Node's parser or a delimiter scan
+ * that catches the usual failure — a file cut off mid-way — stands in.
+ * Svelte and Vue files have their script and style blocks checked.
+ */
+
+const path = require('path');
+const vm = require('vm');
+const { spawnSync } = require('child_process');
+const { LARGE_FILE_BYTES, regionViewAt } = require('./regions');
+
+const SCRIPT_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs', '.mts', '.cts'];
+const STYLE_EXTENSIONS = ['.css', '.scss', '.less'];
+const HTML_EXTENSIONS = ['.html', '.htm'];
+const SFC_EXTENSIONS = ['.vue', '.svelte'];
+
+// JSON files that conventionally allow comments and trailing commas
+const JSONC_FILES = [/(^|\/)[jt]sconfig(\.[\w-]+)?\.json$/, /(^|\/)\.eslintrc\.json$/, /(^|\/)\.vscode\//, /(^|\/)devcontainer\.json$/, /\.jsonc$/];
+
+const VOID_ELEMENTS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'];
+const OPTIONAL_END_TAGS = ['html', 'head', 'body', 'p', 'li', 'dt', 'dd', 'rt', 'rp', 'optgroup', 'option', 'colgroup', 'caption', 'thead', 'tbody', 'tfoot', 'tr', 'td', 'th'];
+const RAW_TEXT_ELEMENTS = ['script', 'style', 'textarea', 'title'];
+
+// Module-only syntax that makes the CommonJS parse fail
+const MODULE_SYNTAX = /Cannot use import statement|Unexpected token 'export'|import\.meta|await is only valid/;
+
+const REGEX_PRECEDERS = '(,=:[!&|?{;+-*%~^>';
+const REGEX_KEYWORDS = ['return', 'typeof', 'case', 'do', 'else', 'in', 'of', 'void', 'yield', 'await', 'throw', 'new', 'delete'];
+
+const MAX_ERRORS = 5;
+
+const projectModules = new Map();
+
+/**
+ * `require` a package from the target repository, or null when it is not installed
+ */
+function loadProjectModule(name, root) {
+  const key = `${root}\0${name}`;
+  if (!projectModules.has(key)) {
+    let mod = null;
+    try {
+      mod = require(require.resolve(name, { paths: [root] }));
+    } catch {
+      mod = null;
+    }
+    projectModules.set(key, mod);
+  }
+  return projectModules.get(key);
+}
+
+function lineColumn(text, index) {
+  let line = 1;
+  let start = 0;
+  for (let i = 0; i < index && i < text.length; i++) {
+    if (text[i] === '\n') {
+      line++;
+      start = i + 1;
+    }
+  }
+  return { line, column: index - start + 1 };
+}
+
+/**
+ * Bracket / string / comment / template scan. Reports the first mismatched
+ * closer and anything still open at the end of the file. Quoted strings end
+ * at a newline without complaint so JSX text like `Don't` is not an error.
+ */
+function scanDelimiters(text, { lineComments = false, templates = false, regex = false, css = false } = {}) {
+  const stack = [];
+  let last = '';
+  let word = '';
+  let i = 0;
+
+  const skipQuoted = (quote, from) => {
+    let j = from;
+    while (j < text.length && text[j] !== quote && text[j] !== '\n') j += text[j] === '\\' ? 2 : 1;
+    return j + 1;
+  };
+
+  while (i < text.length) {
+    const ch = text[i];
+    const next = text[i + 1];
+    const top = stack[stack.length - 1];
+
+    if (top && top.ch === '`') {
+      if (ch === '\\') i += 2;
+      else if (ch === '`') {
+        stack.pop();
+        last = '`';
+        i++;
+      } else if (ch === '$' && next === '{') {
+        stack.push({ ch: '${', index: i });
+        last = '{';
+        i += 2;
+      } else i++;
+      continue;
+    }
+
+    if (ch === '/' && next === '*') {
+      const end = text.indexOf('*/', i + 2);
+      if (end === -1) return [{ ...lineColumn(text, i), message: 'Unterminated comment' }];
+      i = end + 2;
+      continue;
+    }
+    if (ch === '/' && next === '/' && lineComments && !(css && top && top.ch === '(')) {
+      while (i < text.length && text[i] !== '\n') i++;
+      continue;
+    }
+    if (ch === '/' && regex && (REGEX_PRECEDERS.includes(last) || REGEX_KEYWORDS.includes(word))) {
+      let j = i + 1;
+      let inClass = false;
+      while (j < text.length && text[j] !== '\n' && (inClass || text[j] !== '/')) {
+        if (text[j] === '\\') j++;
+        else if (text[j] === '[') inClass = true;
+        else if (text[j] === ']') inClass = false;
+        j++;
+      }
+      i = j + 1;
+      while (/[a-z]/.test(text[i] || '')) i++;
+      last = 'a';
+      word = '';
+      continue;
+    }
+    if (ch === '"' || ch === "'") {
+      i = skipQuoted(ch, i + 1);
+      last = ch;
+      word = '';
+      continue;
+    }
+    if (ch === '`' && templates) {
+      stack.push({ ch: '`', index: i });
+      i++;
+      continue;
+    }
+
+    if (ch === '(' || ch === '[' || ch === '{') {
+      stack.push({ ch, index: i });
+    } else if (ch === ')' || ch === ']' || ch === '}') {
+      const opener = { ')': '(', ']': '[', '}': '{' }[ch];
+      const matches = top && (top.ch === opener || (ch === '}' && top.ch === '${'));
+      if (!matches) {
+        const open = top ? `; "${top.ch}" from line ${lineColumn(text, top.index).line} is still open` : '';
+        return [{ ...lineColumn(text, i), message: `Unexpected "${ch}"${open}` }];
+      }
+      stack.pop();
+    }
+
+    if (!/\s/.test(ch)) {
+      word = /[\w$]/.test(ch) ? (/[\w$]/.test(text[i - 1] || '') ? word + ch : ch) : '';
+      last = ch;
+    }
+    i++;
+  }
+
+  if (!stack.length) return [];
+  const open = stack[stack.length - 1];
+  const end = lineColumn(text, text.length);
+  const what = open.ch === '`' ? 'template literal' : `"${open.ch}"`;
+  return [{ ...end, message: `Unexpected end of file: ${what} opened at line ${lineColumn(text, open.index).line} is never closed` }];
+}
+
+function checkWithTypeScript(ts, text, fileName) {
+  const result = ts.transpileModule(text, {
+    fileName,
+    reportDiagnostics: true,
+    compilerOptions: {
+      allowJs: true,
+      jsx: ts.JsxEmit.Preserve,
+      module: ts.ModuleKind.ESNext,
+      target: ts.ScriptTarget.ESNext,
+    },
+  });
+  return (result.diagnostics || [])
+    .filter((d) => d.file && d.category === ts.DiagnosticCategory.Error)
+    .map((d) => {
+      const { line, character } = d.file.getLineAndCharacterOfPosition(d.start || 0);
+      return { line: line + 1, column: character + 1, message: ts.flattenDiagnosticMessageText(d.messageText, '\n') };
+    });
+}
+
+function checkAsModule(text) {
+  const result = spawnSync(process.execPath, ['--check', '--input-type=module', '-'], {
+    input: text,
+    encoding: 'utf-8',
+    timeout: 10000,
+  });
+  if (result.status === 0) return [];
+  const stderr = result.stderr || '';
+  const line = stderr.match(/\[stdin\]:(\d+)/);
+  const message = stderr.match(/SyntaxError: (.+)/);
+  return [{ line: line ? Number(line[1]) : null, column: null, message: message ? message[1] : stderr.trim().split('\n').pop() }];
+}
+
+function checkWithNode(text, { module = false } = {}) {
+  if (module) return checkAsModule(text);
+  try {
+    vm.compileFunction(text.replace(/^#!.*/, ''), [], { filename: 'generated' });
+    return [];
+  } catch (error) {
+    if (MODULE_SYNTAX.test(error.message)) return checkAsModule(text);
+    const line = String(error.stack).match(/^generated:(\d+)/);
+    return [{ line: line ? Number(line[1]) : null, column: null, message: error.message }];
+  }
+}
+
+/**
+ * JS / TS family. `fileName` carries the extension that decides JSX and types.
+ */
+function checkScript(text, fileName, root) {
+  const ts = root ? loadProjectModule('typescript', root) : null;
+  // TypeScript 7's native compiler ships without the JS API
+  if (ts && typeof ts.transpileModule === 'function') return { parser: 'typescript', errors: checkWithTypeScript(ts, text, fileName) };
+
+  const ext = path.extname(fileName).toLowerCase();
+  const delimiters = () => ({ parser: 'delimiters', errors: scanDelimiters(text, { lineComments: true, templates: true, regex: true }) });
+  if (!['.js', '.mjs', '.cjs'].includes(ext)) return delimiters();
+
+  const errors = checkWithNode(text, { module: ext === '.mjs' });
+  // Plain .js files often hold JSX, which Node cannot parse
+  if (errors.length && ext === '.js' && /Unexpected token '<'|Unexpected token '>'/.test(errors[0].message)) return delimiters();
+  return { parser: 'node', errors };
+}
+
+function stripJsonComments(text) {
+  let out = '';
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '"') {
+      const start = i;
+      for (i++; i < text.length && text[i] !== '"'; i++) if (text[i] === '\\') i++;
+      out += text.slice(start, i + 1);
+    } else if (ch === '/' && text[i + 1] === '/') {
+      while (i < text.length && text[i] !== '\n') i++;
+      out += '\n';
+    } else if (ch === '/' && text[i + 1] === '*') {
+      const end = text.indexOf('*/', i + 2);
+      const comment = text.slice(i, end === -1 ? text.length : end + 2);
+      out += comment.replace(/[^\n]/g, ' ');
+      i += comment.length - 1;
+    } else out += ch;
+  }
+  // Trailing commas, keeping offsets intact
+  return out.replace(/,(\s*[}\]])/g, ' $1');
+}
+
+function checkJson(text, fileName) {
+  const jsonc = JSONC_FILES.some((re) => re.test(fileName.replace(/\\/g, '/')));
+  try {
+    JSON.parse(jsonc ? stripJsonComments(text) : text);
+    return { parser: 'json', errors: [] };
+  } catch (error) {
+    const lc = error.message.match(/line (\d+) column (\d+)/);
+    const position = error.message.match(/position (\d+)/);
+    const where = lc
+      ? { line: Number(lc[1]), column: Number(lc[2]) }
+      : lineColumn(text, position ? Number(position[1]) : text.length);
+    return { parser: 'json', errors: [{ ...where, message: error.message.replace(/ \(line \d+ column \d+\)/, '') }] };
+  }
+}
+
+function checkStyle(text, fileName, root) {
+  const ext = path.extname(fileName).toLowerCase();
+  const postcss = ext === '.css' && root ? loadProjectModule('postcss', root) : null;
+  if (postcss) {
+    try {
+      postcss.parse(text, { from: fileName });
+      return { parser: 'postcss', errors: [] };
+    } catch (error) {
+      if (!error.reason) throw error;
+      return { parser: 'postcss', errors: [{ line: error.line || null, column: error.column || null, message: error.reason }] };
+    }
+  }
+  return { parser: 'delimiters', errors: scanDelimiters(text, { lineComments: ext !== '.css', css: true }) };
+}
+
+/**
+ * Offset the line numbers of an embedded block's errors to the whole file
+ */
+function shiftErrors(errors, text, index) {
+  const { line, column } = lineColumn(text, index);
+  return errors.map((e) => ({
+    line: e.line ? e.line + line - 1 : line,
+    column: e.line === 1 && e.column ? e.column + column - 1 : e.column,
+    message: e.message.replace(/\bline (\d+)/g, (_, n) => `line ${Number(n) + line - 1}`),
+  }));
+}
+
+/**
+ * Embedded <script> / <style> content, validated with the checker for its type
+ */
+function checkBlock(tag, attrs, content, root) {
+  const lang = (attrs.match(/\blang\s*=\s*["']?([\w-]+)/i) || [])[1];
+  if (tag === 'style') {
+    if (lang && !['css', 'scss', 'less', 'postcss'].includes(lang)) return [];
+    return checkStyle(content, `block.${lang === 'postcss' || !lang ? 'css' : lang}`, root).errors;
+  }
+  const type = (attrs.match(/\btype\s*=\s*["']?([\w/+-]+)/i) || [])[1];
+  if (type && !/^(module|text\/javascript|application\/javascript)$/i.test(type)) return [];
+  const ext = { ts: '.ts', tsx: '.tsx', jsx: '.jsx' }[lang] || '.mjs';
+  return checkScript(content, `block${ext}`, root).errors;
+}
+
+function checkHtml(text, root) {
+  const errors = [];
+  const stack = [];
+  let i = 0;
+
+  while (i < text.length && errors.length < MAX_ERRORS) {
+    const lt = text.indexOf('<', i);
+    if (lt === -1) break;
+    i = lt;
+
+    if (text.startsWith('<!--', i)) {
+      const end = text.indexOf('-->', i + 4);
+      if (end === -1) {
+        errors.push({ ...lineColumn(text, i), message: 'Unterminated comment' });
+        break;
+      }
+      i = end + 3;
+      continue;
+    }
+    if (text[i + 1] === '!' || text[i + 1] === '?') {
+      const end = text.indexOf('>', i);
+      i = end === -1 ? text.length : end + 1;
+      continue;
+    }
+
+    const tag = text.slice(i).match(/^<(\/?)([a-zA-Z][\w:.-]*)/);
+    if (!tag) {
+      i++;
+      continue;
+    }
+
+    // Find the end of the tag, skipping quoted attribute values
+    let j = i + tag[0].length;
+    while (j < text.length && text[j] !== '>') {
+      if (text[j] === '"' || text[j] === "'") {
+        const close = text.indexOf(text[j], j + 1);
+        j = close === -1 ? text.length : close + 1;
+      } else j++;
+    }
+    if (j >= text.length) {
+      errors.push({ ...lineColumn(text, i), message: `Unterminated <${tag[1]}${tag[2]}> tag` });
+      break;
+    }
+
+    const name = tag[2].toLowerCase();
+    const attrs = text.slice(i + tag[0].length, j);
+    i = j + 1;
+
+    if (tag[1]) {
+      const index = stack.map((e) => e.name).lastIndexOf(name);
+      if (index === -1) {
+        errors.push({ ...lineColumn(text, lt), message: `Unexpected closing tag </${name}>` });
+        continue;
+      }
+      for (const open of stack.splice(index).slice(1)) {
+        if (!OPTIONAL_END_TAGS.includes(open.name)) {
+          errors.push({ line: open.line, column: open.column, message: `<${open.name}> is not closed before </${name}>` });
+        }
+      }
+      continue;
+    }
+
+    if (VOID_ELEMENTS.includes(name) || attrs.trim().endsWith('/')) continue;
+
+    if (RAW_TEXT_ELEMENTS.includes(name)) {
+      const close = text.slice(i).search(new RegExp(`</${name}\\s*>`, 'i'));
+      if (close === -1) {
+        errors.push({ ...lineColumn(text, lt), message: `<${name}> is never closed` });
+        break;
+      }
+      if (name === 'script' || name === 'style') {
+        errors.push(...shiftErrors(checkBlock(name, attrs, text.slice(i, i + close), root), text, i));
+      }
+      i = text.indexOf('>', i + close) + 1;
+      continue;
+    }
+
+    stack.push({ name, ...lineColumn(text, lt) });
+  }
+
+  for (const open of stack) {
+    if (!OPTIONAL_END_TAGS.includes(open.name)) {
+      errors.push({ line: open.line, column: open.column, message: `<${open.name}> is never closed` });
+    }
+  }
+
+  return { parser: 'html', errors: errors.slice(0, MAX_ERRORS) };
+}
+
+/**
+ * Svelte / Vue single-file components: top-level <script> and <style> blocks
+ */
+function checkSfc(text, root) {
+  const errors = [];
+  const opener = /<(script|style)(\s[^>]*)?>/gi;
+  let match;
+
+  while ((match = opener.exec(text))) {
+    const tag = match[1].toLowerCase();
+    const start = match.index + match[0].length;
+    const close = text.slice(start).search(new RegExp(`</${tag}\\s*>`, 'i'));
+    if (close === -1) {
+      errors.push({ ...lineColumn(text, match.index), message: `<${tag}> block is never closed` });
+      break;
+    }
+    errors.push(...shiftErrors(checkBlock(tag, match[2] || '', text.slice(start, start + close), root), text, start));
+    opener.lastIndex = start + close;
+  }
+
+  return { parser: 'sfc', errors: errors.slice(0, MAX_ERRORS) };
+}
+
+/**
+ * Validate one file's content. `root` is the repository whose installed
+ * parsers may be used. Returns `{ ok, parser, errors: [{ line, column, message }] }`;
+ * file types without a checker come back `ok` with a null parser.
+ */
+function validateSyntax(filePath, content, { root } = {}) {
+  const ext = path.extname(filePath).toLowerCase();
+  let result;
+
+  if (SCRIPT_EXTENSIONS.includes(ext)) result = checkScript(content, path.basename(filePath), root);
+  else if (ext === '.json' || ext === '.jsonc') result = checkJson(content, filePath);
+  else if (STYLE_EXTENSIONS.includes(ext)) result = checkStyle(content, filePath, root);
+  else if (HTML_EXTENSIONS.includes(ext)) result = checkHtml(content, root);
+  else if (SFC_EXTENSIONS.includes(ext)) result = checkSfc(content, root);
+  else return { ok: true, parser: null, errors: [] };
+
+  const errors = result.errors.slice(0, MAX_ERRORS);
+  return { ok: errors.length === 0, parser: result.parser, errors };
+}
+
+function formatSyntaxError(error) {
+  const where = error.line ? `line ${error.line}${error.column ? `:${error.column}` : ''}` : 'unknown position';
+  return `${where}: ${error.message}`;
+}
+
+/**
+ * Broken files as a repair request for the model. `broken` is
+ * `[{ path, parser, errors }]`; `changes` holds the current contents.
+ * A file over LARGE_FILE_BYTES is shown by the regions around its errors
+ * and must be fixed with patch or region edits, as a full rewrite of it is
+ * refused; their region maps are recorded in the `views` log.
+ */
+function formatSyntaxErrorsForPrompt(broken, changes, views = null) {
+  const sections = broken.map(({ path: file, parser, errors }) => {
+    const current = changes.filter((c) => c.path === file).pop();
+    const content = current ? current.after : '';
+    const list = errors.map((e) => `- ${formatSyntaxError(e)}`).join('\n');
+    if (Buffer.byteLength(content, 'utf-8') <= LARGE_FILE_BYTES) {
+      return `## ${file} (${parser})
+${list}
+
+Current content:
+\`\`\`
+${content}
+\`\`\``;
+    }
+
+    const view = regionViewAt(file, content, errors.map((e) => e.line).filter(Boolean));
+    if (views) views.partial(file, { source: content, regions: view.regions });
+    return `## ${file} (${parser}, large file shown by region)
+${list}
+
+Current content around the errors:
+\`\`\`
+${view.content}
+\`\`\``;
+  });
+
+  return `These files do not parse, so they were not written. Fix ONLY the syntax errors below. Use "patch" edits against the current content shown for local mistakes. If a file is cut off, resend its full content with "modify" — or, for a large file shown by region, replace the broken region with a "region" edit (never "modify"). Do not make any other changes.
+
+${sections.join('\n\n')}`;
+}
+
+module.exports = {
+  formatSyntaxError,
+  formatSyntaxErrorsForPrompt,
+  scanDelimiters,
+  validateSyntax,
+};
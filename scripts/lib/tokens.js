@@ -0,0 +1,19 @@
+/**
+ * Token estimation
+ *
+ * A rough chars-per-token heuristic — good enough for budgeting context
+ * before a request is sent. Code tokenizes denser than prose, so we err on
+ * the side of over-counting.
+ */
+
+const CHARS_PER_TOKEN = 3.5;
+
+function estimateTokens(text) {
+  if (!text) return 0;
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+module.exports = {
+  CHARS_PER_TOKEN,
+  estimateTokens,
+};
@@ -0,0 +1,192 @@
+/**
+ * Webhook events
+ *
+ * Builds job status callbacks from their fields, checks them against the
+ * payload schema and the job's last status, and sends them through the
+ * outbox. Shared by webhook-driver.js and the `retools run` pipeline so both
+ * produce exactly the same events.
+ */
+
+const crypto = require('crypto');
+const { flushOutbox, streamOf } = require('./webhook-outbox');
+const { SIGNATURE_HEADER, signPayload } = require('./webhook-signature');
+const { DEFAULT_STAGE, PAYLOAD_SCHEMA_VERSION, checkTransition, validatePayload } = require('./job-status');
+const { createBudget, usageReport } = require('./budget');
+
+/**
+ * An event refused before it was spooled (invalid payload or illegal
+ * status transition). `details` holds the schema errors, if any.
+ */
+class WebhookEventError extends Error {
+  constructor(message, details = []) {
+    super(message);
+    this.name = 'WebhookEventError';
+    this.details = details;
+  }
+}
+
+// Empty or "null" step outputs from the workflow mean "not set"
+function present(value) {
+  return value !== null && value !== undefined && value !== '' && value !== 'null';
+}
+
+/**
+ * Build a webhook payload. `fields` uses the CLI names in camelCase
+ * (`jobId`, `status`, `prUrl`, `buildOutcome`, `revisionId`, ...); numeric fields may be
+ * strings and `gates` a JSON string. Usage comes from the budget ledger at
+ * `budgetFile`. Throws WebhookEventError when `gates` is not valid JSON.
+ */
+function buildPayload(fields, { budgetFile } = {}) {
+  const { jobId, status, message } = fields;
+  const payload = {
+    schema_version: PAYLOAD_SCHEMA_VERSION,
+    job_id: jobId,
+    status,
+    message: message || `Status: ${status}`,
+    timestamp: new Date().toISOString(),
+    draft: status === 'draft_ready',
+  };
+
+  if (process.env.GITHUB_RUN_ID) {
+    payload.github_run_id = process.env.GITHUB_RUN_ID;
+  }
+  if (present(fields.githubRunUrl) || process.env.GITHUB_RUN_ID) {
+    payload.github_run_url = present(fields.githubRunUrl)
+      ? fields.githubRunUrl
+      : `${process.env.GITHUB_SERVER_URL}/${process.env.GITHUB_REPOSITORY}/actions/runs/${process.env.GITHUB_RUN_ID}`;
+  }
+
+  // Events of a revision carry the original job's id plus the revision's own
+  if (present(fields.revisionId)) {
+    payload.revision_id = fields.revisionId;
+  }
+
+  if (present(fields.prUrl)) {
+    payload.pr_url = fields.prUrl;
+  }
+
+  // Live hosted preview URL (Vercel/Netlify/etc.) — rendered as an iframe in the Noelle dashboard
+  if (present(fields.previewUrl)) {
+    payload.preview_url = fields.previewUrl;
+  }
+
+  if (present(fields.prNumber)) {
+    payload.pr_number = Number(fields.prNumber);
+  }
+
+  const progressStage = fields.stage || DEFAULT_STAGE[status];
+  if (progressStage) {
+    payload.progress = { stage: progressStage };
+    if (present(fields.attempt)) payload.progress.attempt = Number(fields.attempt);
+    if (present(fields.maxAttempts)) payload.progress.max_attempts = Number(fields.maxAttempts);
+  }
+
+  if (present(fields.buildOutcome)) {
+    payload.build = { outcome: fields.buildOutcome };
+    if (present(fields.buildAttempts)) payload.build.attempts = Number(fields.buildAttempts);
+  }
+
+  if (present(fields.gates)) {
+    try {
+      payload.gates = typeof fields.gates === 'string' ? JSON.parse(fields.gates) : fields.gates;
+    } catch (error) {
+      throw new WebhookEventError('Invalid webhook payload — not sent', [{ path: 'gates', message: `is not valid JSON (${error.message})` }]);
+    }
+  }
+
+  if (present(fields.filesChanged)) {
+    payload.files_changed = Number(fields.filesChanged);
+  }
+
+  // Model usage and estimated cost so far, from the AI driver's budget ledger
+  const usage = usageReport(createBudget(budgetFile ? { file: budgetFile } : {}));
+  if (usage.calls > 0) {
+    payload.usage = usage;
+  }
+
+  return payload;
+}
+
+/**
+ * `sign(body)` for the outbox: signature headers for one delivery attempt,
+ * called per attempt so retried and flushed events carry a fresh timestamp.
+ * `legacy` adds the body-only HMAC for receivers that have not moved to the
+ * timestamped header yet.
+ */
+function createSigner(secrets, { legacy = process.env.RETOOLS_WEBHOOK_LEGACY_SIGNATURE === 'true' } = {}) {
+  return (body) => {
+    const headers = { [SIGNATURE_HEADER]: signPayload(body, secrets) };
+    if (legacy) {
+      headers['x-webhook-signature'] = crypto.createHmac('sha256', secrets[0]).update(body).digest('hex');
+    }
+    return headers;
+  };
+}
+
+/**
+ * Validate a payload and spool it in `outbox`. Throws WebhookEventError
+ * when it is invalid or its status may not follow the job's last one.
+ */
+function queueEvent(outbox, { url, payload }) {
+  const errors = validatePayload(payload);
+  if (errors.length) {
+    throw new WebhookEventError('Invalid webhook payload — not sent', errors);
+  }
+
+  const previous = outbox.lastStatus(streamOf(payload));
+  const transition = checkTransition(previous, payload.status);
+  if (!transition.ok) {
+    throw new WebhookEventError(`Illegal status transition for ${payload.job_id} — not sent: ${transition.reason}`);
+  }
+
+  const event = outbox.enqueue({ url, payload });
+
+  console.log(`📡 Sending webhook to ${url}`);
+  console.log(`   Job ID: ${payload.job_id}${payload.revision_id ? ` (revision ${payload.revision_id})` : ''}`);
+  console.log(`   Status: ${previous ? `${previous} → ` : ''}${payload.status}`);
+  console.log(`   Message: ${payload.message || 'N/A'}`);
+  console.log(`   Sequence: ${event.sequence} (idempotency key ${event.id})`);
+  console.log(`   Payload: ${event.body}`);
+  return event;
+}
+
+/**
+ * Deliver everything spooled in `outbox`. Never throws: undelivered events
+ * stay in the outbox for the next run. Returns `{ delivered, remaining }`.
+ */
+async function deliverQueued(outbox, { sign, deadlineMs = 30000, flushOnly = false }) {
+  const pending = outbox.pending().length;
+  if (pending > (flushOnly ? 0 : 1)) {
+    console.log(`📬 Flushing ${pending} queued webhook event(s) from ${outbox.dir}`);
+  }
+
+  try {
+    const { delivered, remaining } = await flushOutbox(outbox, { sign, deadlineMs });
+    if (remaining) {
+      console.warn(`⚠️  ${remaining} webhook event(s) left in the outbox for the next run (${delivered} delivered)`);
+    } else if (flushOnly) {
+      console.log(`✅ Outbox flushed (${delivered} delivered)`);
+    }
+    return { delivered, remaining };
+  } catch (error) {
+    console.error(`❌ Webhook failed:`, error.message);
+    return { delivered: 0, remaining: outbox.pending().length };
+  }
+}
+
+/**
+ * Log a WebhookEventError the way webhook-driver reports it
+ */
+function reportEventError(error) {
+  console.error(`❌ ${error.message}${error.details.length ? ':' : ''}`);
+  for (const detail of error.details) console.error(`   ${detail.path}: ${detail.message}`);
+}
+
+module.exports = {
+  WebhookEventError,
+  buildPayload,
+  createSigner,
+  deliverQueued,
+  queueEvent,
+  reportEventError,
+};
@@ -0,0 +1,213 @@
+/**
+ * Webhook outbox
+ *
+ * Every event is spooled to disk before it is sent and only removed once
+ * the receiver acknowledges it, so a failed delivery is retried by the next
+ * webhook-driver invocation (or an explicit `--flush`). Events carry an
+ * idempotency key and a per-job sequence number; the receiver dedupes on
+ * the key and can drop anything older than the last sequence it has seen.
+ * A revision's events are counted in a stream of their own (see streamOf).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { HttpError, request, retryAfterMs } = require('./providers/http');
+
+const RETRYABLE_STATUS = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+function defaultOutboxDir() {
+  return process.env.RETOOLS_WEBHOOK_OUTBOX
+    || path.join(process.env.RUNNER_TEMP || os.tmpdir(), 'retools-webhook-outbox');
+}
+
+function safeName(value) {
+  return String(value).replace(/[^\w.-]/g, '_');
+}
+
+/**
+ * Key sequence numbers and the last status are kept under: the job, or the
+ * job and revision for the events of a revision (which carry the original
+ * job's id and start over from `cloning`)
+ */
+function streamOf(payload) {
+  return payload.revision_id ? `${payload.job_id}@${payload.revision_id}` : payload.job_id;
+}
+
+function writeJsonAtomic(filePath, value) {
+  const tmp = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(value, null, 2));
+  fs.renameSync(tmp, filePath);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Open (creating if needed) the outbox directory
+ */
+function createOutbox(dir = defaultOutboxDir()) {
+  fs.mkdirSync(path.join(dir, 'dead'), { recursive: true });
+
+  /**
+   * Next sequence number for a stream, persisted next to the spooled events
+   */
+  function nextSequence(stream) {
+    const file = path.join(dir, `sequence-${safeName(stream)}`);
+    const last = fs.existsSync(file) ? parseInt(fs.readFileSync(file, 'utf-8'), 10) || 0 : 0;
+    const next = last + 1;
+    fs.writeFileSync(file, String(next));
+    return next;
+  }
+
+  /**
+   * Last status spooled for a stream (null if none), for transition checks
+   */
+  function lastStatus(stream) {
+    const file = path.join(dir, `status-${safeName(stream)}`);
+    return fs.existsSync(file) ? fs.readFileSync(file, 'utf-8').trim() || null : null;
+  }
+
+  function recordStatus(stream, status) {
+    fs.writeFileSync(path.join(dir, `status-${safeName(stream)}`), status);
+  }
+
+  function fileFor(event) {
+    return path.join(dir, `${event.created_at.replace(/[:.]/g, '-')}-${safeName(event.job_id)}-${event.sequence}.json`);
+  }
+
+  /**
+   * Spool a new event. `payload` gets `event_id` and `sequence` added.
+   */
+  function enqueue({ url, payload }) {
+    const sequence = nextSequence(streamOf(payload));
+    if (payload.status) recordStatus(streamOf(payload), payload.status);
+    const id = crypto.randomUUID();
+    const body = JSON.stringify({ ...payload, event_id: id, sequence });
+    const event = { id, job_id: payload.job_id, sequence, url, body, created_at: new Date().toISOString(), attempts: 0 };
+    writeJsonAtomic(fileFor(event), event);
+    return event;
+  }
+
+  /**
+   * Spooled events, oldest first
+   */
+  function pending() {
+    return fs.readdirSync(dir)
+      .filter((name) => name.endsWith('.json'))
+      .sort()
+      .flatMap((name) => {
+        try {
+          return [JSON.parse(fs.readFileSync(path.join(dir, name), 'utf-8'))];
+        } catch {
+          console.warn(`⚠️  Skipping unreadable outbox entry ${name}`);
+          return [];
+        }
+      });
+  }
+
+  function update(event) {
+    writeJsonAtomic(fileFor(event), event);
+  }
+
+  function remove(event) {
+    fs.rmSync(fileFor(event), { force: true });
+  }
+
+  /**
+   * Move an event the receiver refused (non-retryable 4xx) out of the queue
+   */
+  function deadLetter(event, reason) {
+    writeJsonAtomic(path.join(dir, 'dead', path.basename(fileFor(event))), { ...event, dead_reason: reason });
+    remove(event);
+  }
+
+  return { dir, nextSequence, lastStatus, enqueue, pending, update, remove, deadLetter };
+}
+
+function isRetryable(error) {
+  if (error instanceof HttpError) return RETRYABLE_STATUS.has(error.status);
+  return true; // network errors, timeouts, DNS failures
+}
+
+/**
+ * POST one event, retrying with exponential backoff until `deadlineAt`.
+ * `sign(body)` returns extra headers (the signature). Resolves to
+ * `{ ok: true, status }`, or `{ ok: false, retryable, error }`.
+ */
+async function deliver(event, { sign, deadlineAt, attemptTimeoutMs = 10000, baseDelayMs = 1000, maxDelayMs = 15000, log = console.log }) {
+  for (let i = 0; ; i++) {
+    event.attempts++;
+    try {
+      const response = await request(event.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Idempotency-Key': event.id,
+          'User-Agent': 'Retools-Builder-Engine',
+          ...sign(event.body),
+        },
+        body: event.body,
+      }, { timeoutMs: Math.max(1000, Math.min(attemptTimeoutMs, deadlineAt - Date.now())), label: 'Webhook' });
+      response.clearTimeout();
+      return { ok: true, status: response.status };
+    } catch (error) {
+      const retryable = isRetryable(error);
+      const reason = error.status ? `HTTP ${error.status}` : error.message;
+      const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** i) * (0.5 + Math.random() / 2);
+      const delay = Math.min(maxDelayMs, retryAfterMs(error.headers) ?? backoff);
+
+      if (!retryable || Date.now() + delay >= deadlineAt) {
+        return { ok: false, retryable, error: error.message };
+      }
+      log(`⏳ Webhook ${reason} — retrying in ${(delay / 1000).toFixed(1)}s (attempt ${i + 2})`);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Deliver every spooled event in order. Stops at the first event that
+ * still fails so later statuses never overtake earlier ones.
+ * Returns `{ delivered, remaining }`.
+ */
+async function flushOutbox(outbox, { sign, deadlineMs = 30000, log = console.log }) {
+  const deadlineAt = Date.now() + deadlineMs;
+  const events = outbox.pending();
+  let delivered = 0;
+
+  for (let i = 0; i < events.length; i++) {
+    const event = events[i];
+    const result = await deliver(event, { sign, deadlineAt, log });
+
+    if (result.ok) {
+      outbox.remove(event);
+      delivered++;
+      log(`✅ Delivered ${event.job_id} #${event.sequence} (${result.status})`);
+      continue;
+    }
+
+    if (!result.retryable) {
+      outbox.deadLetter(event, result.error);
+      console.error(`❌ Webhook rejected ${event.job_id} #${event.sequence}, moved to ${path.join(outbox.dir, 'dead')}: ${result.error}`);
+      continue;
+    }
+
+    outbox.update(event);
+    console.error(`❌ Webhook delivery failed: ${result.error}`);
+    return { delivered, remaining: events.length - i };
+  }
+
+  return { delivered, remaining: 0 };
+}
+
+module.exports = {
+  RETRYABLE_STATUS,
+  createOutbox,
+  defaultOutboxDir,
+  deliver,
+  flushOutbox,
+  streamOf,
+};
@@ -0,0 +1,117 @@
+/**
+ * Webhook signatures
+ *
+ * Header format (one `v1=` entry per active secret during key rotation):
+ *
+ *   x-retools-signature: t=1760000000,v1=<hex>,v1=<hex>
+ *
+ * Each `v1` value is HMAC-SHA256 over `${t}.${rawBody}`. Because the
+ * timestamp is part of the signed material, receivers can reject anything
+ * outside a tolerance window and a captured request cannot be replayed
+ * later. This module has no dependencies so the receiving app can import
+ * it as-is.
+ */
+
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'x-retools-signature';
+const SIGNATURE_VERSION = 'v1';
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+/**
+ * Split a secrets setting ("new,old" or one per line) into a list
+ */
+function parseSecrets(value) {
+  if (Array.isArray(value)) return value.filter(Boolean);
+  return String(value || '')
+    .split(/[\s,]+/)
+    .filter(Boolean);
+}
+
+function computeSignature(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Header value for `body`, signed with every secret in `secrets`
+ */
+function signPayload(body, secrets, { timestamp = Math.floor(Date.now() / 1000) } = {}) {
+  const list = parseSecrets(secrets);
+  if (!list.length) throw new Error('No webhook secret configured');
+  const signatures = list.map((secret) => `${SIGNATURE_VERSION}=${computeSignature(secret, timestamp, body)}`);
+  return [`t=${timestamp}`, ...signatures].join(',');
+}
+
+/**
+ * Parse `t=...,v1=...` into `{ timestamp, signatures }`, or null
+ */
+function parseSignatureHeader(header) {
+  if (typeof header !== 'string' || !header) return null;
+
+  let timestamp = null;
+  const signatures = [];
+  for (const part of header.split(',')) {
+    const [key, value] = part.trim().split('=', 2);
+    if (key === 't' && /^\d+$/.test(value || '')) timestamp = parseInt(value, 10);
+    else if (key === SIGNATURE_VERSION && /^[0-9a-f]{64}$/i.test(value || '')) signatures.push(value.toLowerCase());
+  }
+  return timestamp === null ? null : { timestamp, signatures };
+}
+
+function safeEqualHex(a, b) {
+  const left = Buffer.from(a, 'hex');
+  const right = Buffer.from(b, 'hex');
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Verify a raw request body against its signature header.
+ *
+ * `body` must be the exact bytes received (string or Buffer), not a
+ * re-serialized object. Returns `{ ok: true, timestamp }` or
+ * `{ ok: false, reason }`.
+ */
+function verifySignature(body, header, secrets, { toleranceSeconds = DEFAULT_TOLERANCE_SECONDS, now = Date.now() } = {}) {
+  const list = parseSecrets(secrets);
+  if (!list.length) return { ok: false, reason: 'no secrets configured' };
+
+  const parsed = parseSignatureHeader(header);
+  if (!parsed) return { ok: false, reason: 'missing or malformed signature header' };
+  if (!parsed.signatures.length) return { ok: false, reason: `no ${SIGNATURE_VERSION} signature in header` };
+
+  const age = Math.floor(now / 1000) - parsed.timestamp;
+  if (Math.abs(age) > toleranceSeconds) {
+    return { ok: false, reason: `timestamp outside tolerance (${age}s old, allowed ±${toleranceSeconds}s)` };
+  }
+
+  const raw = Buffer.isBuffer(body) ? body.toString('utf-8') : String(body);
+  // Check every pair without short-circuiting so timing does not reveal which secret matched
+  let matched = false;
+  for (const secret of list) {
+    const expected = computeSignature(secret, parsed.timestamp, raw);
+    for (const signature of parsed.signatures) {
+      if (safeEqualHex(expected, signature)) matched = true;
+    }
+  }
+
+  return matched ? { ok: true, timestamp: parsed.timestamp } : { ok: false, reason: 'signature mismatch' };
+}
+
+/**
+ * Convenience wrapper for Node request objects: `headers` is the
+ * lower-cased header map, `rawBody` the unparsed body.
+ */
+function verifyRequest(headers, rawBody, secrets, options) {
+  return verifySignature(rawBody, headers[SIGNATURE_HEADER], secrets, options);
+}
+
+module.exports = {
+  DEFAULT_TOLERANCE_SECONDS,
+  SIGNATURE_HEADER,
+  SIGNATURE_VERSION,
+  parseSecrets,
+  parseSignatureHeader,
+  signPayload,
+  verifyRequest,
+  verifySignature,
+};
@@ -0,0 +1,304 @@
+/**
+ * Workspace discovery
+ *
+ * Finds the packages of a pnpm / yarn / npm workspace or Turborepo, detects
+ * each package's framework, and works out which package a prompt targets
+ * so branding, dependencies and the build command come from that package
+ * rather than the (often empty) repository root. A Python, Ruby, Go or Rust
+ * project at the root is described by its own manifest (see ecosystems.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readProjectManifest } = require('./ecosystems');
+
+// Order matters: meta-frameworks before the libraries they are built on
+const FRAMEWORKS = [
+  { name: 'SvelteKit', deps: ['@sveltejs/kit'] },
+  { name: 'Nuxt', deps: ['nuxt', 'nuxt3'] },
+  { name: 'Remix', deps: ['@remix-run/react', '@remix-run/node', '@remix-run/dev'] },
+  { name: 'Astro', deps: ['astro'] },
+  { name: 'Next.js', deps: ['next'] },
+  { name: 'SolidStart', deps: ['@solidjs/start', 'solid-start'] },
+  { name: 'NestJS', deps: ['@nestjs/core'] },
+  { name: 'Angular', deps: ['@angular/core'] },
+  { name: 'Solid', deps: ['solid-js'] },
+  { name: 'Vue', deps: ['vue'] },
+  { name: 'Svelte', deps: ['svelte'] },
+  { name: 'React', deps: ['react'] },
+  { name: 'Express', deps: ['express'] },
+];
+
+// Plain libraries that are usually bundled with Vite get a "(Vite)" suffix
+const VITE_FLAVOURED = ['React', 'Vue', 'Svelte', 'Solid'];
+
+function readJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Framework of a single package.json
+ */
+function detectFramework(pkg) {
+  const deps = { ...(pkg && pkg.dependencies), ...(pkg && pkg.devDependencies) };
+  const hasVite = Boolean(deps.vite);
+
+  for (const framework of FRAMEWORKS) {
+    if (framework.deps.some((dep) => deps[dep])) {
+      return hasVite && VITE_FLAVOURED.includes(framework.name) ? `${framework.name} (Vite)` : framework.name;
+    }
+  }
+  return hasVite ? 'Vite' : 'Unknown';
+}
+
+/**
+ * Read the `packages:` list from pnpm-workspace.yaml (list syntax only)
+ */
+function parsePnpmWorkspace(text) {
+  const patterns = [];
+  let inPackages = false;
+
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.replace(/#.*$/, '');
+    if (/^packages\s*:/.test(line)) {
+      inPackages = true;
+      const inline = line.match(/\[(.*)\]/);
+      if (inline) {
+        patterns.push(...inline[1].split(',').map((p) => p.trim().replace(/^['"]|['"]$/g, '')).filter(Boolean));
+        inPackages = false;
+      }
+      continue;
+    }
+    if (inPackages) {
+      const item = line.match(/^\s*-\s*(.+?)\s*$/);
+      if (item) patterns.push(item[1].replace(/^['"]|['"]$/g, ''));
+      else if (/^\S/.test(line)) inPackages = false;
+    }
+  }
+  return patterns;
+}
+
+/**
+ * Anchored matcher for a workspace directory pattern (`apps/*`, `packages/**`)
+ */
+function workspacePatternToRegExp(pattern) {
+  const glob = pattern.replace(/^\.\//, '').replace(/\/+$/, '');
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    if (glob[i] === '*' && glob[i + 1] === '*') {
+      source += '.*';
+      i++;
+    } else if (glob[i] === '*') {
+      source += '[^/]*';
+    } else {
+      source += glob[i].replace(/[.+?^$()|[\]{}\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+function packageManagerFor(root, rootPkg) {
+  const declared = rootPkg && typeof rootPkg.packageManager === 'string' ? rootPkg.packageManager.split('@')[0] : null;
+  if (declared) return declared;
+  if (fs.existsSync(path.join(root, 'pnpm-lock.yaml')) || fs.existsSync(path.join(root, 'pnpm-workspace.yaml'))) return 'pnpm';
+  if (fs.existsSync(path.join(root, 'yarn.lock'))) return 'yarn';
+  if (fs.existsSync(path.join(root, 'bun.lockb'))) return 'bun';
+  return 'npm';
+}
+
+/**
+ * Arguments (program first) that run one of a package's scripts from the
+ * repository root. Package names and directories come from the repository,
+ * so they are passed as arguments and never through a shell.
+ */
+function scriptArgsFor(workspace, pkg, script) {
+  if (!pkg.dir) return [workspace.packageManager, 'run', script];
+  if (workspace.turbo && pkg.name) return ['npx', 'turbo', 'run', script, `--filter=${pkg.name}`];
+
+  switch (workspace.packageManager) {
+    case 'pnpm':
+      return ['pnpm', '--filter', pkg.name || `./${pkg.dir}`, 'run', script];
+    case 'yarn':
+      return pkg.name ? ['yarn', 'workspace', pkg.name, 'run', script] : ['yarn', '--cwd', pkg.dir, 'run', script];
+    case 'bun':
+      return ['bun', 'run', '--cwd', pkg.dir, script];
+    default:
+      return ['npm', 'run', script, '--workspace', pkg.dir];
+  }
+}
+
+function quoteArg(arg) {
+  return /^[\w@%+=:,./-]+$/.test(arg) ? arg : `'${arg.replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * scriptArgsFor as one shell-quoted command line, for display
+ */
+function scriptCommandFor(workspace, pkg, script) {
+  return scriptArgsFor(workspace, pkg, script).map(quoteArg).join(' ');
+}
+
+/**
+ * Command that builds one package from the repository root, or null
+ */
+function buildCommandFor(workspace, pkg) {
+  return pkg.scripts.build ? scriptCommandFor(workspace, pkg, 'build') : null;
+}
+
+/**
+ * Discover workspace packages. `files` is the repository file list (posix,
+ * relative to `root`) used to find package.json files without another walk.
+ *
+ * Returns `{ type, turbo, packageManager, patterns, packages }` where each
+ * package is `{ name, dir, ecosystem, manifest, framework, dependencies,
+ * scripts, pkg }` and `dir` is '' for the root. A non-Node root also has
+ * `language` and `description`, and `pkg` is null unless it has a
+ * package.json too.
+ */
+function discoverWorkspace(root, files) {
+  const rootPkg = readJson(path.join(root, 'package.json'));
+  const turbo = fs.existsSync(path.join(root, 'turbo.json'));
+  let type = 'single';
+  let patterns = [];
+
+  const pnpmFile = path.join(root, 'pnpm-workspace.yaml');
+  if (fs.existsSync(pnpmFile)) {
+    type = 'pnpm';
+    patterns = parsePnpmWorkspace(fs.readFileSync(pnpmFile, 'utf-8'));
+  } else if (rootPkg && rootPkg.workspaces) {
+    type = fs.existsSync(path.join(root, 'yarn.lock')) ? 'yarn' : 'npm';
+    patterns = Array.isArray(rootPkg.workspaces) ? rootPkg.workspaces : rootPkg.workspaces.packages || [];
+  } else if (turbo) {
+    // Turborepo without declared workspaces: fall back to its conventional layout
+    type = 'turbo';
+    patterns = ['apps/*', 'packages/*'];
+  }
+
+  const include = patterns.filter((p) => !p.startsWith('!')).map(workspacePatternToRegExp);
+  const exclude = patterns.filter((p) => p.startsWith('!')).map((p) => workspacePatternToRegExp(p.slice(1)));
+
+  const toPackage = (dir, pkg) => ({
+    name: pkg.name || null,
+    dir,
+    ecosystem: 'node',
+    manifest: 'package.json',
+    framework: detectFramework(pkg),
+    dependencies: Object.keys(pkg.dependencies || {}),
+    scripts: pkg.scripts || {},
+    pkg,
+  });
+
+  const packages = [];
+  const project = readProjectManifest(root);
+  if (rootPkg) packages.push(toPackage('', rootPkg));
+  if (project) {
+    const rootPackage = packages[0];
+    // A package.json next to another manifest usually only builds assets
+    // (Tailwind, Vite) for the Django / Rails / Go app, which is the project
+    if (!rootPackage || ['Unknown', 'Vite'].includes(rootPackage.framework)) {
+      packages[0] = {
+        name: project.name || (rootPackage && rootPackage.name) || null,
+        dir: '',
+        ecosystem: project.ecosystem,
+        language: project.language,
+        manifest: project.manifests.join(', '),
+        framework: project.framework,
+        dependencies: [...project.dependencies, ...(rootPackage ? rootPackage.dependencies : [])],
+        scripts: rootPackage ? rootPackage.scripts : {},
+        pkg: rootPackage ? rootPackage.pkg : null,
+        description: project.description,
+      };
+    }
+  }
+
+  if (include.length) {
+    const dirs = files
+      .filter((f) => path.posix.basename(f) === 'package.json' && f.includes('/'))
+      .map((f) => path.posix.dirname(f))
+      .filter((dir) => !dir.split('/').includes('node_modules'))
+      .filter((dir) => include.some((re) => re.test(dir)) && !exclude.some((re) => re.test(dir)))
+      .sort();
+
+    for (const dir of dirs) {
+      const pkg = readJson(path.join(root, dir, 'package.json'));
+      if (pkg) packages.push(toPackage(dir, pkg));
+    }
+  }
+
+  const workspace = { type, turbo, packageManager: packageManagerFor(root, rootPkg), patterns, packages };
+  for (const pkg of packages) pkg.buildCommand = buildCommandFor(workspace, pkg);
+  return workspace;
+}
+
+function isMonorepo(workspace) {
+  return workspace.packages.some((pkg) => pkg.dir);
+}
+
+/**
+ * Pick the package a prompt is about. Explicit mentions of a package name
+ * or directory win; otherwise the package holding the highest-ranked files
+ * (from the context selector) does. Falls back to the only app under
+ * `apps/`, then to the root. `override` (a name or dir) short-circuits.
+ *
+ * Returns `{ package, reasons }`.
+ */
+function selectTargetPackage(workspace, prompt, ranked = [], override = null) {
+  const candidates = workspace.packages.filter((pkg) => pkg.dir);
+  const root = workspace.packages.find((pkg) => !pkg.dir) || null;
+  if (!candidates.length) return { package: root, reasons: ['single package'] };
+
+  if (override) {
+    const forced = workspace.packages.find((pkg) => pkg.name === override || pkg.dir === override.replace(/^\.\//, '').replace(/\/$/, ''));
+    if (forced) return { package: forced, reasons: ['selected explicitly'] };
+  }
+
+  const text = (prompt || '').toLowerCase();
+  const scores = new Map(candidates.map((pkg) => [pkg, { score: 0, reasons: [] }]));
+  const bump = (pkg, amount, reason) => {
+    const entry = scores.get(pkg);
+    entry.score += amount;
+    if (!entry.reasons.includes(reason)) entry.reasons.push(reason);
+  };
+  const mentions = (word) => word && word.length > 1 && new RegExp(`(^|[^\\w@/-])${word.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&')}($|[^\\w-])`).test(text);
+
+  for (const pkg of candidates) {
+    const unscoped = pkg.name ? pkg.name.replace(/^@[^/]+\//, '') : null;
+    if (pkg.name && text.includes(pkg.name.toLowerCase())) bump(pkg, 100, 'package named in prompt');
+    else if (unscoped && mentions(unscoped.toLowerCase())) bump(pkg, 60, 'package named in prompt');
+    if (text.includes(pkg.dir.toLowerCase())) bump(pkg, 80, 'directory named in prompt');
+    else if (mentions(path.posix.basename(pkg.dir).toLowerCase())) bump(pkg, 40, 'directory named in prompt');
+  }
+
+  // Deepest matching package owns each ranked file
+  const owner = (file) => candidates
+    .filter((pkg) => file.startsWith(`${pkg.dir}/`))
+    .sort((a, b) => b.dir.length - a.dir.length)[0];
+  for (const entry of ranked.slice(0, 20)) {
+    const pkg = owner(entry.path);
+    if (pkg && entry.score > 0) bump(pkg, Math.min(entry.score, 30) / 3, 'holds relevant files');
+  }
+
+  const best = [...scores.entries()].sort((a, b) => b[1].score - a[1].score)[0];
+  if (best && best[1].score > 0) return { package: best[0], reasons: best[1].reasons };
+
+  const apps = candidates.filter((pkg) => pkg.dir.startsWith('apps/'));
+  if (apps.length === 1) return { package: apps[0], reasons: ['only app in apps/'] };
+
+  return { package: root, reasons: ['no package matched; using root'] };
+}
+
+module.exports = {
+  FRAMEWORKS,
+  buildCommandFor,
+  detectFramework,
+  discoverWorkspace,
+  isMonorepo,
+  parsePnpmWorkspace,
+  scriptArgsFor,
+  scriptCommandFor,
+  selectTargetPackage,
+};
@@ -0,0 +1,202 @@
+#!/usr/bin/env node
+
+/**
+ * Retools Run Replay
+ *
+ * Re-applies a recorded ai-driver run (see lib/run-transcript.js) to a
+ * fresh checkout, to debug a bad PR after the fact:
+ *
+ *   node scripts/replay-run.js --run path/to/.retools-run/<run-id> --working-dir ./checkout
+ *   node scripts/replay-run.js --run path/to/.retools-run --all --working-dir ./checkout
+ *
+ * `--run` may name one run or the `.retools-run` directory (latest run, or
+ * every run in order with `--all` — the customization followed by each
+ * build fix). Every file is checked against the hash it had when the run
+ * planned it; files that drifted are skipped unless `--force` is given.
+ * Paths go through the same policy as the driver's own writes (the
+ * checkout's `.retools.json` included), and each run is applied as one
+ * transaction that scripts/rollback.js can undo. `--dry-run` prints the
+ * diff without writing.
+ *
+ * To re-run the driver itself (planning and validation) against the
+ * recorded model responses instead, point the replay provider at the
+ * run's calls: `ai-driver.js --provider replay --replay-fixtures <run>/calls`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { changesPackageConfig, loadConfig } = require('./lib/config');
+const { createUnifiedDiff } = require('./lib/diff');
+const { createPathPolicy } = require('./lib/path-policy');
+const { listRuns, loadRun, sha256 } = require('./lib/run-transcript');
+const { applyTransaction } = require('./lib/snapshot');
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+
+function getArg(name) {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : null;
+}
+
+const runPath = getArg('--run');
+const workingDir = getArg('--working-dir') || '.';
+const replayAll = args.includes('--all');
+const dryRun = args.includes('--dry-run');
+const force = args.includes('--force');
+
+if (!runPath) {
+  console.error('Usage: replay-run.js --run <run-dir|.retools-run> [--working-dir dir] [--all] [--dry-run] [--force]');
+  process.exit(1);
+}
+
+function headOf(dir) {
+  try {
+    return execFileSync('git', ['rev-parse', 'HEAD'], { cwd: dir, encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * One record per path: the hash it had before the run's first edit and the
+ * content after its last
+ */
+function finalChanges(changes) {
+  const byPath = new Map();
+  for (const change of changes) {
+    const first = byPath.get(change.path);
+    byPath.set(change.path, { ...change, beforeSha256: first ? first.beforeSha256 : change.beforeSha256 });
+  }
+  return [...byPath.values()];
+}
+
+/**
+ * Apply one run; returns the number of files skipped because they drifted
+ * or the path policy refused them. `overlay` carries contents between runs
+ * when nothing is written.
+ */
+function replayRun({ run, result }, policy, overlay) {
+  console.log(`\n🎬 Replaying ${run.runId} (${run.mode}${run.dryRun ? ', dry run' : ''}, ${run.provider}/${run.model}, ${run.outcome})`);
+  console.log(`  💬 ${String(run.prompt || '').split('\n')[0].slice(0, 120)}`);
+  if (!result.applied) console.log('  ℹ️  This run was never applied; replaying its plan');
+  for (const rejection of result.rejected || []) {
+    console.log(`  🚫 Was rejected: ${rejection.path || '(no path)'} — ${rejection.reason}`);
+  }
+
+  // A transcript is untrusted input: its paths get the checks the model's own edits got
+  let skipped = 0;
+  const writes = [];
+  for (const change of finalChanges(result.changes)) {
+    const checked = policy.check({ path: change.path, action: change.after === null ? 'delete' : 'modify', content: change.after });
+    if (!checked.ok) {
+      skipped++;
+      console.warn(`  🚫 ${change.path} refused — ${checked.reason}`);
+      continue;
+    }
+    const file = checked.relativePath;
+    const onDisk = () => (fs.existsSync(checked.absolutePath) ? fs.readFileSync(checked.absolutePath, 'utf-8') : null);
+    const current = overlay.has(file) ? overlay.get(file) : onDisk();
+    const currentSha = sha256(current);
+
+    if (currentSha === change.afterSha256) {
+      console.log(`  ✔️  ${file} already matches`);
+      continue;
+    }
+    if (currentSha !== change.beforeSha256) {
+      const state = current === null ? 'is missing' : 'differs from the version the run planned against';
+      if (!force) {
+        skipped++;
+        console.warn(`  ⚔️  ${file} ${state} — skipped (use --force)`);
+        continue;
+      }
+      console.warn(`  ⚠️  ${file} ${state} — overwriting (--force)`);
+    }
+
+    if (file === 'package.json' && changesPackageConfig(current, change.after)) {
+      skipped++;
+      console.warn('  🚫 package.json refused — the "retools" key in package.json is protected');
+      continue;
+    }
+
+    if (dryRun) {
+      process.stdout.write(createUnifiedDiff(file, current, change.after));
+      overlay.set(file, change.after);
+      continue;
+    }
+    if (change.after === null && current === null) continue;
+
+    // Symlinks are written through to the target the policy resolved
+    writes.push({ path: path.relative(policy.root, checked.absolutePath).split(path.sep).join('/'), content: change.after, label: file, created: current === null });
+  }
+
+  let snapshot;
+  try {
+    snapshot = applyTransaction(policy.root, writes.map((w) => ({ path: w.path, content: w.content })), { mode: 'replay', runId: run.runId });
+  } catch (error) {
+    console.error(`❌ Applying ${run.runId} failed (${error.message}); every file was restored to its previous state`);
+    process.exit(1);
+  }
+  for (const write of writes) {
+    if (write.content === null) console.log(`  🗑️  Deleted: ${write.label}`);
+    else console.log(`  ${write.created ? '✨' : '✏️ '} ${write.label}`);
+  }
+  if (snapshot) console.log(`  📸 Snapshot ${snapshot.id} saved (undo with scripts/rollback.js)`);
+
+  return skipped;
+}
+
+function main() {
+  const root = path.resolve(workingDir);
+  const resolved = path.resolve(runPath);
+  let runDirs = fs.existsSync(path.join(resolved, 'run.json')) ? [resolved] : listRuns(resolved);
+  if (!runDirs.length) {
+    console.error(`❌ No recorded run found in ${runPath}`);
+    process.exit(1);
+  }
+  if (!replayAll) runDirs = runDirs.slice(-1);
+
+  // With --all, runs that failed before planning are skipped
+  const runs = [];
+  for (const dir of runDirs) {
+    try {
+      runs.push(loadRun(dir));
+    } catch (error) {
+      if (!replayAll) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+      }
+      console.warn(`⚠️  Skipping ${path.basename(dir)}: ${error.message}`);
+    }
+  }
+  if (!runs.length) {
+    console.error('❌ No replayable run found');
+    process.exit(1);
+  }
+
+  const head = headOf(root);
+  if (runs[0].run.head && head && runs[0].run.head !== head) {
+    console.warn(`⚠️  Checkout is at ${head.slice(0, 12)} but the run started from ${runs[0].run.head.slice(0, 12)}; expect drift`);
+  }
+
+  let policy;
+  try {
+    policy = createPathPolicy(root, { protectedPaths: loadConfig(root).protectedPaths });
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  let skipped = 0;
+  const overlay = new Map();
+  for (const recorded of runs) skipped += replayRun(recorded, policy, overlay);
+
+  if (skipped) {
+    console.error(`\n❌ ${skipped} file(s) skipped because the checkout does not match the recorded run or the path is not allowed`);
+    process.exit(1);
+  }
+  console.log(`\n✅ Replayed ${runs.length} run(s)${dryRun ? ' (dry run — nothing written)' : ''}`);
+}
+
+main();
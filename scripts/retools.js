@@ -0,0 +1,179 @@
+#!/usr/bin/env node
+
+/**
+ * Retools
+ *
+ * Runs a whole job — clone, install, AI customization, validation (build,
+ * typecheck, lint, test) with AI fixes, push, pull request and status
+ * webhooks — from its payload:
+ *
+ *   node scripts/retools.js run --payload job.json [--work-dir dir]
+ *   node scripts/retools.js run --payload job.json --resume
+ *   node scripts/retools.js run --payload job.json --stage validate
+ *   node scripts/retools.js stages
+ *
+ * Progress is kept in `<work-dir>/state.json` (the checkout is in
+ * `<work-dir>/repo`). `--resume` continues a job from the stage that
+ * failed, `--restart` throws its work directory away, `--stage` re-runs one
+ * stage and `--until` stops after one. A job that has already reported
+ * `failed` stays failed in the app (it accepts no status after a terminal
+ * one), but resuming it still pushes the branch and opens the PR.
+ *
+ * A payload with `revision_of` revises an earlier job: the review comments
+ * on its pull request (or those in `--review-comments file.json`) are
+ * addressed with new commits on the same branch, and a summary comment is
+ * posted on the pull request.
+ *
+ * To run a job offline, point `repo_url` at a local bare repository, the
+ * PR API at scripts/fake-github-server.js (`--github-api-url`) and
+ * `webhook_url` at scripts/webhook-receiver.js.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseSecrets } = require('./lib/webhook-signature');
+const { parseJobPayload } = require('./lib/job-payload');
+const { loadState, newState, runStages, saveState } = require('./lib/pipeline');
+const { STAGES, createJobContext, reportFailure } = require('./lib/job-stages');
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+
+function getArg(name) {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : null;
+}
+
+const command = args[0];
+const payloadPath = getArg('--payload');
+const resume = args.includes('--resume');
+const restart = args.includes('--restart');
+const onlyStage = getArg('--stage');
+const untilStage = getArg('--until');
+
+function usage() {
+  console.error('Usage: retools.js run --payload job.json [--work-dir dir] [--resume | --restart] [--stage name | --until name]');
+  console.error('                      [--github-api-url url] [--skip-install] [--gates build,typecheck,lint,test]');
+  console.error('                      [--preview-wait ms] [--build-timeout ms] [--review-comments file.json]');
+  console.error('       retools.js stages');
+  process.exit(1);
+}
+
+function listStages() {
+  for (const stage of STAGES) console.log(`${stage.name.padEnd(10)} ${stage.description}`);
+}
+
+function safeName(value) {
+  return String(value).replace(/[^\w.-]/g, '_');
+}
+
+async function run() {
+  if (!payloadPath || (onlyStage && untilStage) || (resume && restart)) usage();
+
+  let job;
+  try {
+    job = parseJobPayload(fs.readFileSync(payloadPath, 'utf-8'));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+  if (process.env.GITHUB_ACTIONS === 'true' && job.github_token) {
+    console.log(`::add-mask::${job.github_token}`);
+  }
+
+  const webhookSecrets = parseSecrets(process.env.RETOOLS_WEBHOOK_SECRET);
+  if (!webhookSecrets.length) {
+    console.error('❌ RETOOLS_WEBHOOK_SECRET environment variable not set');
+    process.exit(1);
+  }
+
+  const workDir = path.resolve(getArg('--work-dir') || path.join(process.env.RUNNER_TEMP || os.tmpdir(), `retools-job-${safeName(job.job_id)}`));
+  const stateFile = path.join(workDir, 'state.json');
+
+  let state = loadState(stateFile);
+  if (state && restart) {
+    fs.rmSync(workDir, { recursive: true, force: true });
+    state = null;
+  }
+  if (state && state.job_id !== job.job_id) {
+    console.error(`❌ ${workDir} holds job ${state.job_id}, not ${job.job_id}`);
+    process.exit(1);
+  }
+  if (state && !resume && !onlyStage) {
+    console.error(`❌ ${workDir} already holds this job (${state.outcome}); use --resume to continue it or --restart to start over`);
+    process.exit(1);
+  }
+  state = state || newState(job.job_id);
+  fs.mkdirSync(workDir, { recursive: true });
+  const save = (next) => saveState(stateFile, next);
+
+  let ctx;
+  try {
+    ctx = createJobContext(job, {
+      workDir,
+      webhookSecrets,
+      githubApiUrl: getArg('--github-api-url') || undefined,
+      gates: getArg('--gates') || undefined,
+      skipInstall: args.includes('--skip-install'),
+      previewWaitMs: getArg('--preview-wait') !== null ? parseInt(getArg('--preview-wait'), 10) : undefined,
+      buildTimeoutMs: getArg('--build-timeout') !== null ? parseInt(getArg('--build-timeout'), 10) : undefined,
+      reviewComments: getArg('--review-comments') ? path.resolve(getArg('--review-comments')) : null,
+    });
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  console.log('🚀 Retools job runner');
+  console.log(`   Job ID: ${job.job_id}`);
+  console.log(`   Repository: ${job.repo_url}`);
+  console.log(`   Work directory: ${workDir}`);
+  if (job.revision_of) console.log(`   🔁 Revision of job ${job.revision_of}`);
+  if (job.dry_run) console.log('   📋 Dry run: changes will be planned, not committed');
+
+  let result;
+  try {
+    result = await runStages(STAGES, ctx, { state, save, only: onlyStage, until: untilStage });
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  if (!result.ok) {
+    console.error(`\n❌ Stage ${result.stage} failed: ${result.error.message}`);
+    await reportFailure(ctx, result.stage, result.error);
+    state.outcome = 'failed';
+    save(state);
+    console.error(`   Fix the cause and continue with: retools.js run --payload ${payloadPath} --work-dir ${workDir} --resume`);
+    process.exit(1);
+  }
+
+  state.outcome = result.stopped || onlyStage ? 'stopped' : 'finished';
+  save(state);
+
+  const { prUrl, draft, previewUrl } = ctx.outputs;
+  if (result.stopped || onlyStage) {
+    console.log(`\n⏸️  Stopped after ${onlyStage || untilStage}; continue with --resume`);
+  } else if (job.dry_run) {
+    console.log(`\n✅ Dry run finished — manifest in ${ctx.manifestPath}`);
+  } else if (job.revision_of) {
+    console.log(`\n✅ Revision finished: ${draft ? 'draft ' : ''}PR ${prUrl} updated`);
+  } else {
+    console.log(`\n✅ Job finished: ${draft ? 'draft ' : ''}PR ${prUrl}${previewUrl ? ` (preview ${previewUrl})` : ''}`);
+  }
+}
+
+switch (command) {
+  case 'run':
+    run().catch((error) => {
+      console.error(`❌ ${error.stack || error.message}`);
+      process.exit(1);
+    });
+    break;
+  case 'stages':
+    listStages();
+    break;
+  default:
+    usage();
+}
@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+
+/**
+ * Retools Rollback
+ *
+ * Restores the state a checkout had before an ai-driver apply, from the
+ * snapshot the driver saved under `.retools-run/snapshots/` (see
+ * lib/snapshot.js):
+ *
+ *   node scripts/rollback.js --working-dir ./checkout              # latest apply
+ *   node scripts/rollback.js --working-dir ./checkout --snapshot <id>
+ *   node scripts/rollback.js --working-dir ./checkout --list
+ *
+ * Files edited after the apply are left alone unless `--force` is given.
+ * Rolling back does not touch git: changes the job already committed stay
+ * committed (undo those with `git revert`).
+ */
+
+const path = require('path');
+const { latestSnapshot, listSnapshots, restoreSnapshot } = require('./lib/snapshot');
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+
+function getArg(name) {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : null;
+}
+
+const workingDir = path.resolve(getArg('--working-dir') || '.');
+const snapshotId = getArg('--snapshot');
+const force = args.includes('--force');
+
+if (args.includes('--help')) {
+  console.error('Usage: rollback.js [--working-dir dir] [--snapshot id] [--force] | --list');
+  process.exit(1);
+}
+
+function list() {
+  const snapshots = listSnapshots(workingDir);
+  if (!snapshots.length) {
+    console.log(`ℹ️  No snapshots in ${workingDir}`);
+    return;
+  }
+  for (const snapshot of snapshots) {
+    console.log(`${snapshot.id}  ${snapshot.status.padEnd(11)} ${(snapshot.mode || '').padEnd(9)} ${snapshot.entries.length} file(s)`);
+  }
+}
+
+function rollback() {
+  const id = snapshotId || latestSnapshot(workingDir)?.id;
+  if (!id) {
+    console.error(`❌ No applied snapshot to roll back in ${workingDir}`);
+    process.exit(1);
+  }
+
+  let snapshot;
+  try {
+    snapshot = restoreSnapshot(workingDir, id, { force });
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    if (error.name === 'RollbackConflictError') console.error('   Re-run with --force to overwrite them');
+    process.exit(1);
+  }
+
+  console.log(`↩️  Rolled back snapshot ${snapshot.id} (${snapshot.mode || 'apply'})`);
+  for (const entry of snapshot.entries) {
+    console.log(`  ${entry.existed ? '♻️  restored' : '🗑️  removed'}: ${entry.path}`);
+  }
+}
+
+if (args.includes('--list')) list();
+else rollback();
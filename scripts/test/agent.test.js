@@ -0,0 +1,104 @@
+/**
+ * Tests for lib/agent.js: the tool-use loop driven by a scripted model
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test } = require('node:test');
+const { runAgent } = require('../lib/agent');
+
+function makeRepo(t) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'retools-agent-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  fs.mkdirSync(path.join(root, 'src'));
+  fs.writeFileSync(path.join(root, 'src', 'title.js'), "export const title = 'Old';\n");
+  fs.writeFileSync(path.join(root, '.eslintrc.json'), '{ "root": true }\n');
+  fs.writeFileSync(path.join(root, '.env'), 'SECRET=hunter2hunter2\n');
+  fs.symlinkSync('.env', path.join(root, 'notes.txt'));
+  return root;
+}
+
+/**
+ * A model that plays back `turns` (arrays of tool calls) and records the
+ * tool results it was sent
+ */
+function scriptedModel(turns) {
+  const results = [];
+  let index = 0;
+  return {
+    results,
+    async sendMessages({ messages }) {
+      const last = messages[messages.length - 1];
+      if (Array.isArray(last.content)) results.push(...last.content);
+      const calls = turns[index++] || [];
+      return {
+        content: calls.map(([name, input], i) => ({ type: 'tool_use', id: `t${index}-${i}`, name, input })),
+        stop_reason: calls.length ? 'tool_use' : 'end_turn',
+        usage: { input_tokens: 100, output_tokens: 20 },
+      };
+    },
+  };
+}
+
+const run = (root, model, options = {}) => runAgent({
+  sendMessages: model.sendMessages,
+  system: 'system',
+  prompt: 'Rename the title',
+  workingDir: root,
+  files: ['src/title.js'],
+  log: () => {},
+  ...options,
+});
+
+test('reads, edits and finishes', async (t) => {
+  const root = makeRepo(t);
+  const model = scriptedModel([
+    [['read_file', { path: 'src/title.js' }], ['read_file', { path: '.eslintrc.json' }]],
+    [['propose_edit', { path: 'src/title.js', action: 'patch', edits: [{ search: "'Old'", replace: "'New'" }] }]],
+    [['finish', { summary: 'Renamed the title' }]],
+  ]);
+
+  const result = await run(root, model);
+  assert.equal(result.summary, 'Renamed the title');
+  assert.equal(result.turns, 3);
+  assert.deepEqual(result.modifications.map((m) => m.path), ['src/title.js']);
+  assert.match(model.results[0].content, /title = 'Old'/);
+  assert.match(model.results[1].content, /"root": true/, 'dotfiles are readable by their plain name');
+});
+
+test('secret files stay unreadable through a symlink', async (t) => {
+  const root = makeRepo(t);
+  const model = scriptedModel([
+    [['read_file', { path: 'notes.txt' }], ['read_file', { path: '.env' }]],
+    [['finish', { summary: 'done' }]],
+  ]);
+
+  await run(root, model);
+  for (const result of model.results.slice(0, 2)) {
+    assert.equal(result.is_error, true);
+    assert.doesNotMatch(result.content, /hunter2/);
+  }
+});
+
+test('hitting the turn limit discards the edits', async (t) => {
+  const root = makeRepo(t);
+  const model = scriptedModel([
+    [['propose_edit', { path: 'src/title.js', action: 'patch', edits: [{ search: "'Old'", replace: "'New'" }] }]],
+    [['read_file', { path: 'src/title.js' }]],
+    [['finish', { summary: 'too late' }]],
+  ]);
+
+  await assert.rejects(run(root, model, { maxTurns: 2 }), /did not finish within 2 turn\(s\); its 1 edit\(s\) were discarded/);
+});
+
+test('hitting the token limit discards the edits', async (t) => {
+  const root = makeRepo(t);
+  const model = scriptedModel([
+    [['read_file', { path: 'src/title.js' }]],
+    [['finish', { summary: 'too late' }]],
+  ]);
+
+  await assert.rejects(run(root, model, { maxTotalTokens: 100 }), /token limit/);
+});
@@ -0,0 +1,56 @@
+/**
+ * Tests for lib/budget.js: run with `node --test scripts/test/`
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test } = require('node:test');
+const { BudgetExceededError, createBudget, defaultLedgerPath, withBudget } = require('../lib/budget');
+
+function fakeProvider(outputTokens) {
+  return {
+    name: 'fake',
+    model: 'fake-model',
+    maxTokens: 32000,
+    async createMessage() {
+      return { content: [], stop_reason: 'end_turn', usage: { input_tokens: 10, output_tokens: outputTokens } };
+    },
+  };
+}
+
+test('a request is refused when its output allowance could pass the cap', async () => {
+  const budget = createBudget({ file: null, maxTokens: 5000, maxCostUsd: 0 });
+  const provider = withBudget(fakeProvider(100), budget);
+
+  await assert.rejects(provider.createMessage({ messages: [{ role: 'user', content: 'hi' }], max_tokens: 8000 }), BudgetExceededError);
+  await assert.rejects(provider.createMessage({ messages: [{ role: 'user', content: 'hi' }] }), BudgetExceededError);
+
+  await provider.createMessage({ messages: [{ role: 'user', content: 'hi' }], max_tokens: 1000 });
+  assert.equal(budget.totals().total_tokens, 110);
+});
+
+test('outside Actions there is no shared ledger unless one is named', (t) => {
+  const saved = { file: process.env.RETOOLS_BUDGET_FILE, run: process.env.GITHUB_RUN_ID };
+  t.after(() => {
+    for (const [key, value] of [['RETOOLS_BUDGET_FILE', saved.file], ['GITHUB_RUN_ID', saved.run]]) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  });
+  delete process.env.RETOOLS_BUDGET_FILE;
+  delete process.env.GITHUB_RUN_ID;
+  assert.equal(defaultLedgerPath(), null);
+
+  const first = createBudget();
+  first.record('fake-model', { input_tokens: 100, output_tokens: 50 });
+  assert.equal(first.totals().total_tokens, 150);
+  assert.equal(createBudget().totals().total_tokens, 0);
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'retools-budget-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  process.env.RETOOLS_BUDGET_FILE = path.join(dir, 'budget.json');
+  createBudget().record('fake-model', { input_tokens: 100, output_tokens: 50 });
+  assert.equal(createBudget().totals().total_tokens, 150);
+});
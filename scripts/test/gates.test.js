@@ -0,0 +1,43 @@
+/**
+ * Tests for lib/gates.js: run with `node --test scripts/test/`
+ */
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const { compareWithBaseline, gatesForPayload, newFailures, overallOutcome } = require('../lib/gates');
+const { validatePayload } = require('../lib/job-status');
+const { buildPayload } = require('../lib/webhook-events');
+
+const gate = (name, outcome, errors = 0) => ({ name, command: `npm run ${name}`, outcome, duration_ms: 10, errors, log: null });
+
+test('a gate that already failed on the baseline is not a new failure', () => {
+  const results = compareWithBaseline(
+    [gate('build', 'passed'), gate('lint', 'failed', 4), gate('test', 'failed', 1)],
+    [gate('lint', 'failed', 4), gate('test', 'passed')],
+  );
+
+  assert.equal(results[1].preexisting, true);
+  assert.equal(results[2].preexisting, undefined);
+  assert.deepEqual(newFailures(results).map((r) => r.name), ['test']);
+  assert.equal(overallOutcome(results), 'failed');
+});
+
+test('a baseline failure the changes added errors to counts as new', () => {
+  const results = compareWithBaseline([gate('lint', 'failed', 6)], [gate('lint', 'failed', 4)]);
+  assert.deepEqual(newFailures(results).map((r) => r.name), ['lint']);
+});
+
+test('only preexisting failures still allow preview_ready', () => {
+  const results = compareWithBaseline([gate('build', 'passed'), gate('lint', 'failed', 2)], [gate('lint', 'failed', 2)]);
+  assert.equal(overallOutcome(results), 'passed');
+
+  const payloadFor = (gates) => buildPayload({
+    jobId: 'job-1',
+    status: 'preview_ready',
+    buildOutcome: 'passed',
+    gates: JSON.stringify(gatesForPayload(gates)),
+    prUrl: 'https://github.com/acme/site/pull/1',
+  });
+  assert.deepEqual(validatePayload(payloadFor(results)), []);
+  assert.deepEqual(validatePayload(payloadFor([gate('lint', 'failed', 2)])).map((e) => e.path), ['gates']);
+});
@@ -0,0 +1,178 @@
+/**
+ * Tests for lib/job-stages.js: whole jobs run through the stages against a
+ * local bare remote, with the AI driver on the replay provider and GitHub
+ * and the webhook receiver stubbed in-process
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { test } = require('node:test');
+const { STAGES, createJobContext } = require('../lib/job-stages');
+const { newState, runStages } = require('../lib/pipeline');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const JOB_ID = 'job_1a2b3c4d5e6f';
+const FEATURE_BRANCH = 'noelle/1a2b3c4d';
+
+/**
+ * A bare remote holding the files of fixtures/site.json (plus `extraFiles`)
+ * on `main`, and a work directory for the job
+ */
+function siteRemote(t, extraFiles = {}) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'retools-job-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const seed = path.join(root, 'seed');
+  const remote = path.join(root, 'site.git');
+  const files = { ...JSON.parse(fs.readFileSync(path.join(FIXTURES, 'site.json'), 'utf-8')), ...extraFiles };
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(seed, file)), { recursive: true });
+    fs.writeFileSync(path.join(seed, file), content);
+  }
+
+  const git = (cwd, ...args) => execFileSync('git', args, { cwd, encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+  git(root, 'init', '-q', '--bare', '-b', 'main', remote);
+  git(seed, 'init', '-q', '-b', 'main');
+  git(seed, 'add', '-A');
+  git(seed, '-c', 'user.email=test@example.com', '-c', 'user.name=Test', 'commit', '-qm', 'Initial commit');
+  git(seed, 'push', '-q', remote, 'main');
+
+  return { remote, workDir: path.join(root, 'work'), show: (ref) => git(remote, 'show', ref) };
+}
+
+/**
+ * One in-process server standing in for the GitHub API (no open pull
+ * requests, no comments) and the app's webhook endpoint
+ */
+async function startStubs(t) {
+  const received = { events: [], pulls: [] };
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => {
+      raw += chunk;
+    });
+    req.on('end', () => {
+      const body = raw ? JSON.parse(raw) : null;
+      const reply = (status, data) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+      };
+      if (req.url === '/webhook') {
+        received.events.push(body);
+        return reply(200, { ok: true });
+      }
+      if (req.method === 'POST' && /^\/repos\/[^/]+\/[^/]+\/pulls$/.test(req.url)) {
+        received.pulls.push(body);
+        return reply(201, { number: 7, html_url: 'https://github.com/acme/site/pull/7', draft: body.draft });
+      }
+      if (req.method === 'GET') return reply(200, []);
+      return reply(404, { message: 'Not Found' });
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return { ...received, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+/**
+ * Point the driver the stages spawn at the recorded transcript, never at a
+ * real API, for the duration of the test
+ */
+function useReplay(t, fixtures) {
+  const keys = ['RETOOLS_PROVIDER', 'RETOOLS_REPLAY_FIXTURES', 'ANTHROPIC_API_KEY', 'ANTHROPIC_BASE_URL', 'OPENAI_API_KEY', 'OPENAI_BASE_URL',
+    'RETOOLS_BUDGET_FILE', 'RETOOLS_WEBHOOK_OUTBOX', 'RETOOLS_GATES', 'RETOOLS_RECORD_DIR'];
+  const saved = Object.fromEntries(keys.map((key) => [key, process.env[key]]));
+  t.after(() => {
+    for (const key of keys) {
+      if (saved[key] === undefined) delete process.env[key];
+      else process.env[key] = saved[key];
+    }
+  });
+  for (const key of keys) delete process.env[key];
+  process.env.RETOOLS_PROVIDER = 'replay';
+  process.env.RETOOLS_REPLAY_FIXTURES = fixtures;
+}
+
+function jobContext(site, stubs, gates) {
+  const job = {
+    job_id: JOB_ID,
+    repo_url: site.remote,
+    webhook_url: `${stubs.url}/webhook`,
+    prompt: 'Rename the site title to Acme Rockets',
+    branch: 'main',
+  };
+  fs.mkdirSync(site.workDir, { recursive: true });
+  return createJobContext(job, { workDir: site.workDir, webhookSecrets: ['test-secret'], githubApiUrl: stubs.url, gates, skipInstall: true, previewWaitMs: 0 });
+}
+
+test('a job pushes the AI change and opens a pull request', async (t) => {
+  useReplay(t, path.join(FIXTURES, 'replay', 'rename-title'));
+  const site = siteRemote(t);
+  const stubs = await startStubs(t);
+  const ctx = jobContext(site, stubs, 'build');
+
+  const state = newState(JOB_ID);
+  const result = await runStages(STAGES, ctx, { state, save: () => {} });
+  assert.equal(result.ok, true, result.error && result.error.stack);
+
+  assert.equal(site.show(`${FEATURE_BRANCH}:src/title.js`), "module.exports = { title: 'Acme Rockets' };");
+  assert.deepEqual(Object.entries(state.stages).map(([name, record]) => [name, record.status]), [
+    ['clone', 'done'], ['install', 'skipped'], ['review', 'skipped'], ['customize', 'done'], ['commit', 'done'],
+    ['validate', 'done'], ['push', 'done'], ['pr', 'done'], ['preview', 'done'], ['notify', 'done'],
+  ]);
+
+  assert.equal(stubs.pulls.length, 1);
+  assert.equal(stubs.pulls[0].head, FEATURE_BRANCH);
+  assert.equal(stubs.pulls[0].base, 'main');
+  assert.equal(stubs.pulls[0].draft, false);
+
+  const statuses = stubs.events.map((e) => e.status);
+  assert.equal(statuses[0], 'cloning');
+  assert.equal(statuses[statuses.length - 1], 'preview_ready');
+  const last = stubs.events[stubs.events.length - 1];
+  assert.equal(last.pr_url, 'https://github.com/acme/site/pull/7');
+  assert.equal(last.files_changed, 1);
+  assert.deepEqual(last.gates.map((g) => [g.name, g.outcome]), [['build', 'passed']]);
+});
+
+test('a job stopped after a stage resumes where it left off', async (t) => {
+  useReplay(t, path.join(FIXTURES, 'replay', 'rename-title'));
+  const site = siteRemote(t);
+  const stubs = await startStubs(t);
+
+  const state = newState(JOB_ID);
+  const first = await runStages(STAGES, jobContext(site, stubs, 'build'), { state, save: () => {}, until: 'commit' });
+  assert.deepEqual(first, { ok: true, stopped: true });
+  assert.equal(state.stages.validate, undefined);
+  const customized = state.stages.customize.finished_at;
+
+  const second = await runStages(STAGES, jobContext(site, stubs, 'build'), { state, save: () => {} });
+  assert.deepEqual(second, { ok: true, stopped: false });
+  assert.equal(state.stages.customize.finished_at, customized);
+  assert.equal(stubs.pulls.length, 1);
+  assert.equal(stubs.events[stubs.events.length - 1].status, 'preview_ready');
+});
+
+test('a gate that already failed before the change neither costs a fix attempt nor makes a draft', async (t) => {
+  useReplay(t, path.join(FIXTURES, 'replay', 'rename-title'));
+  const lint = "console.error('src/legacy.js:3:1: error Unexpected var, use let or const instead (no-var)');\nprocess.exit(1);\n";
+  const site = siteRemote(t, { 'lint.js': lint, 'package.json': JSON.stringify({ name: 'acme-site', private: true, scripts: { build: 'node build.js', lint: 'node lint.js' } }, null, 2) });
+  const stubs = await startStubs(t);
+
+  const state = newState(JOB_ID);
+  // The recorded transcript has no fix response, so a fix attempt would fail the job
+  const result = await runStages(STAGES, jobContext(site, stubs, 'build,lint'), { state, save: () => {} });
+  assert.equal(result.ok, true, result.error && result.error.stack);
+
+  const validation = state.stages.validate.outputs;
+  assert.equal(validation.buildSuccess, true);
+  assert.equal(validation.buildAttempts, 1);
+  assert.equal(stubs.pulls[0].draft, false);
+
+  const last = stubs.events[stubs.events.length - 1];
+  assert.equal(last.status, 'preview_ready');
+  assert.deepEqual(last.gates.map((g) => [g.name, g.outcome, Boolean(g.preexisting)]), [['build', 'passed', false], ['lint', 'failed', true]]);
+});
@@ -0,0 +1,53 @@
+/**
+ * Tests for lib/modifications.js: submissions cut off at max_tokens
+ */
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const { requestModifications, salvageModifications } = require('../lib/modifications');
+
+const first = { path: 'src/a.js', action: 'modify', content: 'export const a = "{[,]}";\n' };
+const second = { path: 'src/b.js', action: 'delete' };
+const third = { path: 'src/c.js', action: 'create', content: 'export const c = 3;\n' };
+
+// The text of a submission cut off inside its third entry
+const cutOff = `{"modifications": [${JSON.stringify(first)}, ${JSON.stringify(second)}, ${JSON.stringify(third).slice(0, 30)}`;
+
+test('salvageModifications keeps the entries that arrived whole', () => {
+  assert.deepEqual(salvageModifications(cutOff), [first, second]);
+  assert.deepEqual(salvageModifications('{"modifications": [{"path": "x'), []);
+  assert.deepEqual(salvageModifications(''), []);
+});
+
+test('a cut-off submission is continued and stitched together', async () => {
+  const requests = [];
+  const responses = [
+    {
+      content: [{ type: 'tool_use', id: 'call-1', name: 'submit_modifications', input: {} }],
+      truncatedToolInputs: { 'call-1': cutOff },
+      stop_reason: 'max_tokens',
+      usage: { input_tokens: 10, output_tokens: 10 },
+    },
+    {
+      content: [{ type: 'tool_use', id: 'call-2', name: 'submit_modifications', input: { modifications: [third], complete: true } }],
+      stop_reason: 'tool_use',
+      usage: { input_tokens: 10, output_tokens: 5 },
+    },
+  ];
+  const provider = {
+    async createMessage(request) {
+      requests.push(JSON.parse(JSON.stringify(request)));
+      return responses.shift();
+    },
+  };
+
+  const result = await requestModifications(provider, { system: 'system', prompt: 'prompt', log: () => {} });
+  assert.deepEqual(result.modifications, [first, second, third]);
+  assert.equal(result.rounds, 2);
+
+  const continuation = requests[1].messages[requests[1].messages.length - 1].content[0];
+  assert.equal(continuation.tool_use_id, 'call-1');
+  assert.match(continuation.content, /modify src\/a\.js, delete src\/b\.js\. Do NOT resend them/);
+  // Nothing outside the Messages API shape goes back to the model
+  assert.deepEqual(Object.keys(requests[1].messages[1].content[0]).sort(), ['id', 'input', 'name', 'type']);
+});
@@ -0,0 +1,52 @@
+/**
+ * Tests for lib/path-policy.js: run with `node --test scripts/test/`
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test } = require('node:test');
+const { createPathPolicy } = require('../lib/path-policy');
+
+function tempDir(t, prefix) {
+  const dir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), prefix)));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+const write = (file) => ({ path: file, action: 'create', content: 'x\n' });
+
+test('a dangling symlink is checked against where it points', (t) => {
+  const root = tempDir(t, 'retools-policy-');
+  const outside = tempDir(t, 'retools-outside-');
+  fs.symlinkSync(path.join(outside, 'planted.txt'), path.join(root, 'notes.txt'));
+  fs.symlinkSync('.git/hooks/pre-commit', path.join(root, 'hook.sh'));
+  fs.symlinkSync('loop-b', path.join(root, 'loop-a'));
+  fs.symlinkSync('loop-a', path.join(root, 'loop-b'));
+  fs.symlinkSync('src/new.js', path.join(root, 'alias.js'));
+
+  const policy = createPathPolicy(root);
+  assert.equal(policy.check(write('notes.txt')).code, 'symlink_escape');
+  assert.equal(policy.check(write('hook.sh')).code, 'protected_path');
+  assert.equal(policy.check(write('loop-a')).code, 'symlink_escape');
+
+  const alias = policy.check(write('alias.js'));
+  assert.equal(alias.ok, true);
+  assert.equal(alias.absolutePath, path.join(root, 'src', 'new.js'));
+});
+
+test('env templates are writable, env files are not', (t) => {
+  const policy = createPathPolicy(tempDir(t, 'retools-policy-'));
+  for (const file of ['.env.example', '.env.sample', 'apps/web/.env.local.example']) {
+    assert.equal(policy.check(write(file)).ok, true, file);
+  }
+  for (const file of ['.env', '.env.local', 'apps/web/.env.production']) {
+    assert.equal(policy.check(write(file)).code, 'protected_path', file);
+  }
+});
+
+test('a template is still protected when the repository lists it', (t) => {
+  const policy = createPathPolicy(tempDir(t, 'retools-policy-'), { protectedPaths: ['.env.example'] });
+  assert.equal(policy.check(write('.env.example')).code, 'protected_path');
+});
@@ -0,0 +1,86 @@
+/**
+ * Tests for the replay provider: ai-driver.js run end to end against a
+ * recorded transcript (fixtures/replay/), with no network access
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync, spawnSync } = require('child_process');
+const { test } = require('node:test');
+
+const SCRIPTS_DIR = path.resolve(__dirname, '..');
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+/**
+ * Write the files of fixtures/site.json (kept as JSON so the test runner
+ * does not pick its scripts up as tests) under `dir`
+ */
+function writeSite(dir) {
+  const files = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'site.json'), 'utf-8'));
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), content);
+  }
+}
+
+/**
+ * A git checkout of fixtures/site.json in a temp directory
+ */
+function siteCheckout(t) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'retools-replay-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const repo = path.join(root, 'repo');
+  writeSite(repo);
+  const git = (...args) => execFileSync('git', args, { cwd: repo, stdio: 'ignore' });
+  git('init', '-q', '-b', 'main');
+  git('add', '-A');
+  git('-c', 'user.email=test@example.com', '-c', 'user.name=Test', 'commit', '-qm', 'Initial commit');
+  return { root, repo };
+}
+
+// The driver must never reach a real API from a test
+function replayEnv(fixtures) {
+  const env = { ...process.env, RETOOLS_PROVIDER: 'replay', RETOOLS_REPLAY_FIXTURES: fixtures };
+  for (const key of ['ANTHROPIC_API_KEY', 'ANTHROPIC_BASE_URL', 'OPENAI_API_KEY', 'OPENAI_BASE_URL', 'RETOOLS_AGENT_MODE', 'RETOOLS_RECORD_DIR']) delete env[key];
+  return env;
+}
+
+test('the driver applies a recorded transcript', (t) => {
+  const { root, repo } = siteCheckout(t);
+  const manifest = path.join(root, 'manifest.json');
+
+  const result = spawnSync(process.execPath, [
+    path.join(SCRIPTS_DIR, 'ai-driver.js'),
+    '--prompt', 'Rename the site title to Acme Rockets',
+    '--working-dir', repo,
+    '--manifest', manifest,
+    '--budget-file', path.join(root, 'budget.json'),
+  ], { env: replayEnv(path.join(FIXTURES, 'replay', 'rename-title')), encoding: 'utf-8', timeout: 60000 });
+  assert.equal(result.status, 0, result.stdout + result.stderr);
+
+  assert.equal(fs.readFileSync(path.join(repo, 'src', 'title.js'), 'utf-8'), "module.exports = { title: 'Acme Rockets' };\n");
+  const { summary, modifications, usage } = JSON.parse(fs.readFileSync(manifest, 'utf-8'));
+  assert.equal(summary.changes, 1);
+  assert.deepEqual(modifications.map((m) => [m.path, m.status]), [['src/title.js', 'applied']]);
+  assert.equal(usage.total_tokens, 1936);
+});
+
+test('a dry run plans the recorded changes without writing them', (t) => {
+  const { root, repo } = siteCheckout(t);
+  const manifest = path.join(root, 'manifest.json');
+
+  const result = spawnSync(process.execPath, [
+    path.join(SCRIPTS_DIR, 'ai-driver.js'),
+    '--prompt', 'Rename the site title to Acme Rockets',
+    '--working-dir', repo,
+    '--manifest', manifest,
+    '--budget-file', path.join(root, 'budget.json'),
+    '--dry-run',
+  ], { env: replayEnv(path.join(FIXTURES, 'replay', 'rename-title')), encoding: 'utf-8', timeout: 60000 });
+  assert.equal(result.status, 0, result.stdout + result.stderr);
+
+  assert.equal(fs.readFileSync(path.join(repo, 'src', 'title.js'), 'utf-8'), "module.exports = { title: 'Acme' };\n");
+  assert.equal(JSON.parse(fs.readFileSync(manifest, 'utf-8')).summary.changes, 1);
+});
@@ -0,0 +1,51 @@
+/**
+ * Tests for lib/secrets.js: run with `node --test scripts/test/`
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test } = require('node:test');
+const { isSecretEnvValue, readEnvValues, scanChanges } = require('../lib/secrets');
+
+function repoWithEnv(text) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'retools-secrets-'));
+  fs.writeFileSync(path.join(root, '.env'), text, 'utf-8');
+  return root;
+}
+
+test('ordinary .env settings are not treated as secrets', (t) => {
+  const root = repoWithEnv('NODE_ENV=production\nNEXT_PUBLIC_APP_NAME="Acme Dashboard"\nVITE_API_URL=https://api.acme.example.com/v1\nLOG_LEVEL=debug\n');
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  const envValues = readEnvValues(root);
+  assert.equal(envValues.size, 0);
+
+  const leaks = scanChanges([{
+    path: 'src/app.js',
+    before: '',
+    after: "if (process.env.NODE_ENV === 'production') title = 'Acme Dashboard';\n",
+  }], { envValues });
+  assert.deepEqual(leaks, []);
+});
+
+test('secret .env values are caught when generated code hard-codes them', (t) => {
+  const root = repoWithEnv('NODE_ENV=production\nDB_PASSWORD=hunter2hunter2\nSESSION_SEED=q8Vx2LmP4rT7wZ9kB3nY6cF1\n');
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  const envValues = readEnvValues(root);
+  assert.deepEqual([...envValues].sort(), ['hunter2hunter2', 'q8Vx2LmP4rT7wZ9kB3nY6cF1']);
+
+  const leaks = scanChanges([{ path: 'src/db.js', before: '', after: "connect({ password: 'hunter2hunter2' });\n" }], { envValues });
+  assert.equal(leaks.length, 1);
+  assert.equal(leaks[0].kind, 'env-value');
+});
+
+test('isSecretEnvValue skips public keys, words and short values', () => {
+  assert.equal(isSecretEnvValue('NEXT_PUBLIC_STRIPE_KEY', 'pk_live_abcdefghijklmnop1234'), false);
+  assert.equal(isSecretEnvValue('API_TOKEN', 'changeme'), false);
+  assert.equal(isSecretEnvValue('JWT_SECRET', 'production'), false);
+  assert.equal(isSecretEnvValue('API_TOKEN', 'abc123'), false);
+  assert.equal(isSecretEnvValue('API_TOKEN', 't0k3n-for-staging'), true);
+});
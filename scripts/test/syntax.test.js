@@ -0,0 +1,33 @@
+/**
+ * Tests for lib/syntax.js: run with `node --test scripts/test/`
+ */
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const { formatSyntaxErrorsForPrompt } = require('../lib/syntax');
+const { createViewLog, spliceRegion } = require('../lib/regions');
+
+const functions = (count) => Array.from({ length: count }, (_, i) => `export function fn${i}(a, b) {\n  const total = a + b + ${i};\n  return total * 2;\n}\n`).join('\n');
+
+test('a small broken file is shown whole', () => {
+  const content = 'export function broken(x) {\n  return x;\n';
+  const text = formatSyntaxErrorsForPrompt([{ path: 'src/small.js', parser: 'node', errors: [{ message: 'Unexpected end of input', line: 3 }] }], [{ path: 'src/small.js', after: content }]);
+  assert.ok(text.includes(content));
+});
+
+test('a large broken file is shown by region and repaired with a region edit', () => {
+  const content = `${functions(150)}\nexport function broken(x) {\n  if (x) {\n    return x;\n`;
+  const views = createViewLog();
+  views.full('src/big.js');
+
+  const text = formatSyntaxErrorsForPrompt([{ path: 'src/big.js', parser: 'typescript', errors: [{ message: "'}' expected" }] }], [{ path: 'src/big.js', after: content }], views);
+  assert.ok(!text.includes('export function fn3('));
+  assert.match(text, /region R151 · lines \d+-\d+ · export function broken/);
+
+  const view = views.get('src/big.js');
+  assert.equal(view.partial, false);
+  const result = spliceRegion(content, view, 'R151', 'export function broken(x) {\n  if (x) {\n    return x;\n  }\n}');
+  assert.equal(result.ok, true);
+  assert.ok(result.content.endsWith('    return x;\n  }\n}\n'));
+  assert.ok(result.content.startsWith('export function fn0('));
+});
@@ -5,9 +5,19 @@
  *
  * Sends HMAC-signed webhook callbacks to the Retools app
  * to update job status in real-time.
+ *
+ * RETOOLS_WEBHOOK_SECRET may list several secrets ("new,old") while keys
+ * are rotated; every request is signed with each of them. See
+ * lib/webhook-signature.js for the header format and the verifier.
+ *
+ * Events go through an on-disk outbox: each one is spooled, delivered with
+ * retries until a deadline, and left in the outbox if the app is
+ * unreachable so the next invocation (or `--flush`) sends it.
  */
 
-const crypto = require('crypto');
+const { createOutbox } = require('./lib/webhook-outbox');
+const { parseSecrets } = require('./lib/webhook-signature');
+const { WebhookEventError, buildPayload, createSigner, deliverQueued, queueEvent, reportEventError } = require('./lib/webhook-events');
 
 // Parse command line arguments
 const args = process.argv.slice(2);
@@ -18,6 +28,7 @@ function getArg(name) {
 }
 
 const jobId = getArg('--job-id');
+const revisionId = getArg('--revision-id');
 const status = getArg('--status');
 const message = getArg('--message');
 const webhookUrl = getArg('--webhook-url');
@@ -25,96 +36,71 @@ const prUrl = getArg('--pr-url');
 const previewUrl = getArg('--preview-url');
 const prNumber = getArg('--pr-number');
 const githubRunUrl = getArg('--github-run-url');
-
-if (!jobId || !status || !webhookUrl) {
-  console.error('Usage: webhook-driver.js --job-id <id> --status <status> --webhook-url <url>');
+const stage = getArg('--stage');
+const attempt = getArg('--attempt');
+const maxAttempts = getArg('--max-attempts');
+const buildOutcome = getArg('--build-outcome');
+const buildAttempts = getArg('--build-attempts');
+const gates = getArg('--gates');
+const filesChanged = getArg('--files-changed');
+const flushOnly = args.includes('--flush');
+const outboxDir = getArg('--outbox');
+const budgetFile = getArg('--budget-file');
+const deadlineMs = parseInt(getArg('--deadline-ms') || process.env.RETOOLS_WEBHOOK_DEADLINE_MS || '30000', 10);
+
+if (!flushOnly && (!jobId || !status || !webhookUrl)) {
+  console.error('Usage: webhook-driver.js --job-id <id> [--revision-id <id>] --status <status> --webhook-url <url> [--message <text>]');
+  console.error('         [--stage <stage>] [--attempt <n> --max-attempts <m>] [--build-outcome passed|failed|skipped|pending]');
+  console.error('         [--build-attempts <n>] [--gates <json>] [--files-changed <n>] [--pr-url <url> --pr-number <n>] [--preview-url <url>]');
+  console.error('         [--outbox <dir>] [--deadline-ms <ms>] [--budget-file <path>]');
+  console.error('       webhook-driver.js --flush [--outbox <dir>]');
   process.exit(1);
 }
 
-const webhookSecret = process.env.RETOOLS_WEBHOOK_SECRET;
+const webhookSecrets = parseSecrets(process.env.RETOOLS_WEBHOOK_SECRET);
 
-if (!webhookSecret) {
+if (!webhookSecrets.length) {
   console.error('❌ RETOOLS_WEBHOOK_SECRET environment variable not set');
   process.exit(1);
 }
 
-/**
- * Build webhook payload
- */
-function buildPayload() {
-  const payload = {
-    job_id: jobId,
-    status,
-    message: message || `Status: ${status}`,
-    timestamp: new Date().toISOString(),
-    github_run_id: process.env.GITHUB_RUN_ID,
-    github_run_url: githubRunUrl || `${process.env.GITHUB_SERVER_URL}/${process.env.GITHUB_REPOSITORY}/actions/runs/${process.env.GITHUB_RUN_ID}`,
-  };
-
-  if (prUrl) {
-    payload.pr_url = prUrl;
-  }
-
-  // Live hosted preview URL (Vercel/Netlify/etc.) — rendered as an iframe in the Noelle dashboard
-  if (previewUrl) {
-    payload.preview_url = previewUrl;
-  }
-
-  if (prNumber) {
-    payload.pr_number = parseInt(prNumber, 10);
-  }
-
-  return payload;
-}
-
-/**
- * Generate HMAC signature
- */
-function generateSignature(payload) {
-  const payloadString = JSON.stringify(payload);
-  const hmac = crypto.createHmac('sha256', webhookSecret);
-  hmac.update(payloadString);
-  return hmac.digest('hex');
-}
-
 /**
  * Send webhook
  */
 async function sendWebhook() {
-  const payload = buildPayload();
-  const signature = generateSignature(payload);
-
-  console.log(`📡 Sending webhook to ${webhookUrl}`);
-  console.log(`   Job ID: ${jobId}`);
-  console.log(`   Status: ${status}`);
-  console.log(`   Message: ${message || 'N/A'}`);
-  console.log(`   Payload: ${JSON.stringify(payload)}`);
-  console.log(`   Signature: ${signature}`);
-  console.log(`   Secret (first 8 chars): ${webhookSecret.substring(0, 8)}...`);
-
-  try {
-    const response = await fetch(webhookUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-webhook-signature': signature,
-        'User-Agent': 'Retools-Builder-Engine',
-      },
-      body: JSON.stringify(payload),
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Webhook failed: ${response.status} - ${errorText}`);
+  const outbox = createOutbox(outboxDir || undefined);
+
+  if (!flushOnly) {
+    try {
+      const payload = buildPayload({
+        jobId,
+        revisionId,
+        status,
+        message,
+        prUrl,
+        previewUrl,
+        prNumber,
+        githubRunUrl,
+        stage,
+        attempt,
+        maxAttempts,
+        buildOutcome,
+        buildAttempts,
+        gates,
+        filesChanged,
+      }, { budgetFile });
+      queueEvent(outbox, { url: webhookUrl, payload });
+    } catch (error) {
+      // A refused event is reported but, like a failed delivery, never fails the workflow
+      if (!(error instanceof WebhookEventError)) throw error;
+      reportEventError(error);
     }
-
-    console.log(`✅ Webhook sent successfully (${response.status})`);
-  } catch (error) {
-    console.error(`❌ Webhook failed:`, error.message);
-    // Don't fail the workflow if webhook fails
-    process.exit(0);
   }
+
+  await deliverQueued(outbox, { sign: createSigner(webhookSecrets), deadlineMs, flushOnly });
+
+  // Don't fail the workflow if webhook fails
+  process.exit(0);
 }
 
 sendWebhook();
-
@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+
+/**
+ * Retools Webhook Receiver
+ *
+ * Local stand-in for the Retools app's callback endpoint. Verifies the
+ * signature of every request with the same module the app uses,
+ * validates the payload schema, dedupes on the idempotency key and flags
+ * out-of-order sequence numbers, so the whole callback flow can be tested
+ * end to end:
+ *
+ *   RETOOLS_WEBHOOK_SECRET=dev node scripts/webhook-receiver.js --port 8788 --log events.jsonl
+ *   RETOOLS_WEBHOOK_SECRET=dev node scripts/webhook-driver.js --job-id demo --status cloning \
+ *     --webhook-url http://127.0.0.1:8788/webhook
+ *
+ * `--fail-first N` answers the first N requests with 503 to exercise the
+ * driver's retries and outbox.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const { SIGNATURE_HEADER, parseSecrets, verifyRequest } = require('./lib/webhook-signature');
+const { validatePayload } = require('./lib/job-status');
+const { streamOf } = require('./lib/webhook-outbox');
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+
+function getArg(name) {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : null;
+}
+
+const port = parseInt(getArg('--port') || '8788', 10);
+const logPath = getArg('--log');
+const failFirst = parseInt(getArg('--fail-first') || '0', 10);
+const toleranceSeconds = parseInt(getArg('--tolerance') || '300', 10);
+const secrets = parseSecrets(process.env.RETOOLS_WEBHOOK_SECRET);
+
+if (!secrets.length) {
+  console.error('❌ RETOOLS_WEBHOOK_SECRET environment variable not set');
+  process.exit(1);
+}
+
+const seenKeys = new Set();
+const lastSequence = new Map();
+let requests = 0;
+
+function reply(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+const server = http.createServer((req, res) => {
+  if (req.method !== 'POST') {
+    reply(res, 404, { error: 'Not found' });
+    return;
+  }
+
+  const chunks = [];
+  req.on('data', (chunk) => chunks.push(chunk));
+  req.on('end', () => {
+    requests++;
+    const rawBody = Buffer.concat(chunks);
+
+    if (requests <= failFirst) {
+      console.log(`🧪 Request ${requests} → 503 (simulated outage)`);
+      reply(res, 503, { error: 'Simulated outage' });
+      return;
+    }
+
+    const verified = verifyRequest(req.headers, rawBody, secrets, { toleranceSeconds });
+    if (!verified.ok) {
+      console.warn(`🚫 Request ${requests} → 401: ${verified.reason} (${SIGNATURE_HEADER}: ${req.headers[SIGNATURE_HEADER] ? 'present' : 'missing'})`);
+      reply(res, 401, { error: verified.reason });
+      return;
+    }
+
+    let event;
+    try {
+      event = JSON.parse(rawBody.toString('utf-8'));
+    } catch {
+      reply(res, 400, { error: 'Body is not JSON' });
+      return;
+    }
+
+    const invalid = validatePayload(event);
+    if (invalid.length) {
+      console.warn(`🚫 Request ${requests} → 422: ${invalid.map((e) => `${e.path} ${e.message}`).join('; ')}`);
+      reply(res, 422, { error: 'Invalid payload', details: invalid });
+      return;
+    }
+
+    const key = req.headers['idempotency-key'] || event.event_id;
+    if (key && seenKeys.has(key)) {
+      console.log(`♻️  Request ${requests} → 200 (duplicate ${key})`);
+      reply(res, 200, { duplicate: true });
+      return;
+    }
+    if (key) seenKeys.add(key);
+
+    // A revision's events are numbered on their own
+    const stream = streamOf(event);
+    const previous = lastSequence.get(stream) || 0;
+    const outOfOrder = typeof event.sequence === 'number' && event.sequence <= previous;
+    if (!outOfOrder && typeof event.sequence === 'number') lastSequence.set(stream, event.sequence);
+
+    console.log(`📥 ${event.job_id}${event.revision_id ? ` (revision ${event.revision_id})` : ''} #${event.sequence ?? '?'} ${event.status}: ${event.message}${outOfOrder ? ` ⚠️ out of order (last #${previous})` : ''}`);
+    if (logPath) fs.appendFileSync(logPath, JSON.stringify({ received_at: new Date().toISOString(), out_of_order: outOfOrder, event }) + '\n');
+
+    reply(res, 200, { ok: true });
+  });
+});
+
+server.listen(port, '127.0.0.1', () => {
+  console.log(`🧪 Webhook receiver listening on http://127.0.0.1:${port} (${secrets.length} secret(s), ±${toleranceSeconds}s tolerance)`);
+});